@@ -0,0 +1,191 @@
+// Service worker: keeps RespiroNet usable without a connection.
+//
+// The app shell (every file in the build's asset-manifest.json, which includes
+// the compiled Tailwind stylesheet and the web fonts) and the default model's
+// model.json and weight shards are precached into one cache per version,
+// where the version is a hash of asset-manifest.json and model.json. The page
+// asks for an update check on load and whenever it comes back online
+// (src/offline/serviceWorker.js); a new version is downloaded next to the
+// current one and only replaces it when the page says so, so a running page
+// never loses the files it was built against.
+//
+// Registered as sw.js?model=<model.json URL>.
+
+const PREFIX = "respironet-";
+const SHELL_PREFIX = `${PREFIX}shell-`;
+const RUNTIME_CACHE = `${PREFIX}runtime`;
+const META_CACHE = `${PREFIX}meta`;
+const CURRENT_KEY = "current-version";
+
+const SCOPE = new URL("./", self.location).href;
+const MODEL_URL =
+  new URL(self.location).searchParams.get("model") ||
+  new URL("model/model.json", SCOPE).href;
+const MODEL_BASE = new URL("./", MODEL_URL).href;
+
+// Build outputs that are not part of the app: source maps and the unused
+// service worker generated by react-scripts.
+const SKIPPED = /\.map$|(^|\/)service-worker\.js$|(^|\/)precache-manifest\./;
+
+// FNV-1a, enough to tell two manifests apart.
+const hash = (text) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(16).padStart(8, "0");
+};
+
+const fetchText = async (url) => {
+  const response = await fetch(url, { cache: "no-store" });
+  if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+  return response.text();
+};
+
+// Resolves to { version, shell, model } for what the server currently has:
+// URLs of the app shell files, and of the default model's files if it has one.
+async function latestRelease() {
+  const manifestText = await fetchText(new URL("asset-manifest.json", SCOPE));
+  const shell = Object.values(JSON.parse(manifestText).files)
+    .filter((path) => !SKIPPED.test(path))
+    .map((path) => new URL(path, self.location.origin).href)
+    .concat(["manifest.json", "icon.svg"].map((f) => new URL(f, SCOPE).href));
+
+  let modelText = "";
+  let model = [];
+  try {
+    modelText = await fetchText(MODEL_URL);
+    const { weightsManifest = [] } = JSON.parse(modelText);
+    model = [
+      MODEL_URL,
+      new URL("classes.json", MODEL_URL).href,
+      ...weightsManifest
+        .reduce((all, group) => all.concat(group.paths), [])
+        .map((p) => new URL(p, MODEL_URL).href),
+    ];
+  } catch (err) {
+    // No default model deployed; users load their own
+  }
+
+  return { version: hash(manifestText + modelText), shell, model };
+}
+
+// Shell files must all arrive; model files are optional (classes.json often
+// does not exist).
+async function precache({ version, shell, model }) {
+  const cache = await caches.open(SHELL_PREFIX + version);
+  await cache.addAll(shell);
+  await Promise.all(
+    model.map(async (url) => {
+      const response = await fetch(url, { cache: "no-store" });
+      if (response.ok) await cache.put(url, response);
+    })
+  );
+}
+
+const currentVersion = async () => {
+  const response = await (await caches.open(META_CACHE)).match(CURRENT_KEY);
+  return response ? response.text() : null;
+};
+
+// Makes `version` the one served and drops every other shell cache and the
+// runtime cache, which may hold files of the old build.
+async function switchTo(version) {
+  await (await caches.open(META_CACHE)).put(CURRENT_KEY, new Response(version));
+  const names = await caches.keys();
+  await Promise.all(
+    names
+      .filter(
+        (name) =>
+          (name.startsWith(SHELL_PREFIX) && name !== SHELL_PREFIX + version) ||
+          name === RUNTIME_CACHE
+      )
+      .map((name) => caches.delete(name))
+  );
+}
+
+const notifyClients = async (message) => {
+  const clients = await self.clients.matchAll({ includeUncontrolled: true });
+  clients.forEach((client) => client.postMessage(message));
+};
+
+// Downloads a newer release, if there is one, and tells the pages about it.
+async function checkForUpdate() {
+  const release = await latestRelease();
+  const current = await currentVersion();
+  if (release.version === current) return;
+  if (!(await caches.has(SHELL_PREFIX + release.version))) {
+    await precache(release);
+  }
+  if (current === null) await switchTo(release.version);
+  else await notifyClients({ type: "update-ready", version: release.version });
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    latestRelease()
+      .then(async (release) => {
+        await precache(release);
+        // A fresh install has nothing to keep consistent with
+        if ((await currentVersion()) === null) await switchTo(release.version);
+      })
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener("message", (event) => {
+  const { type, version } = event.data || {};
+  if (type === "check-update") {
+    event.waitUntil(checkForUpdate().catch(() => {}));
+  } else if (type === "apply-update") {
+    event.waitUntil(
+      switchTo(version).then(() => notifyClients({ type: "updated", version }))
+    );
+  }
+});
+
+async function fromCache(request) {
+  const version = await currentVersion();
+  if (version) {
+    const cache = await caches.open(SHELL_PREFIX + version);
+    // Hash routing means every page is index.html
+    const hit =
+      request.mode === "navigate"
+        ? await cache.match(new URL("index.html", SCOPE).href)
+        : await cache.match(request);
+    if (hit) return hit;
+  }
+  return caches.match(request, { cacheName: RUNTIME_CACHE });
+}
+
+// Cache first; misses come from the network and same-origin files are kept
+// in the runtime cache for next time.
+async function respond(request) {
+  const cached = await fromCache(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (new URL(request.url).origin === self.location.origin && response.ok) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || !/^https?:$/.test(url.protocol)) return;
+  // The sync endpoint and other APIs must never be answered from a cache
+  if (
+    url.origin !== self.location.origin &&
+    !request.url.startsWith(MODEL_BASE)
+  ) {
+    return;
+  }
+  event.respondWith(respond(request));
+});
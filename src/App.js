@@ -7,53 +7,182 @@ import {
   Square,
   FileAudio,
   Brain,
-  Stethoscope,
   Info,
-  ChevronRight,
-  AlertCircle,
   CheckCircle2,
   X,
+  Download,
+  User,
 } from "lucide-react";
+import ModelPicker from "./components/ModelPicker";
+import InputDeviceSelector from "./components/InputDeviceSelector";
+import WaveformViewer from "./components/WaveformViewer";
+import ResultCard from "./components/ResultCard";
+import StreamingTimeline from "./components/StreamingTimeline";
+import HistoryTab from "./components/HistoryTab";
+import BatchTab, { useBatchAnalysis } from "./components/BatchTab";
+import BenchmarkPanel, { useBenchmark } from "./components/BenchmarkPanel";
+import TrainingTab, { useTraining } from "./components/TrainingTab";
+import ArchitectureTab from "./components/ArchitectureTab";
+import AuditTab from "./components/AuditTab";
+import ConsentDialog from "./components/ConsentDialog";
+import NavBar, { useRoute } from "./components/NavBar";
+import OfflineStatus from "./components/OfflineStatus";
+import ProtocolPanel from "./components/ProtocolPanel";
+import ProtocolResultCard from "./components/ProtocolResultCard";
+import AnnotationEditor from "./components/AnnotationEditor";
+import { EMPTY_ANNOTATIONS, addRegion } from "./annotation/annotations";
+import { AUSCULTATION_SITES, aggregateSites } from "./analysis/aggregate";
+import {
+  saveSession,
+  updateSession,
+  getSession,
+  pseudonymizeStoredSessions,
+} from "./storage/sessions";
+import { logEvent, saveOperator, analysisDetails } from "./storage/audit";
+import { pseudonymize } from "./privacy/pseudonym";
+import { CONSENT_VERSION } from "./config/consent";
+import { createAnalysisClient } from "./analysis/client";
+import { isAnalysisCancelled } from "./analysis/pipeline";
+import { createStreamingAnalyzer } from "./analysis/streaming";
+import { decodeAudio } from "./audio/decode";
+import { DEFAULT_CLASS_CONFIG } from "./inference/classConfig";
+import { DISCLAIMER } from "./config/disclaimer";
+import { exportReport } from "./report/export";
+import { downloadIcbhiExport } from "./report/icbhi";
+import { fileStamp } from "./report/download";
+import { createPcmRecorder, RECORDING_SAMPLE_RATES } from "./audio/recorder";
+import { encodeWav, BIT_DEPTHS } from "./audio/wav";
+import { resample } from "./audio/preprocess";
+import {
+  openInputStream,
+  loadPreferredDevice,
+  savePreferredDevice,
+} from "./audio/devices";
 
 export default function App() {
-  const [activeTab, setActiveTab] = useState("detect"); // 'detect', 'architecture', 'about'
+  // Tab and opened session live in the URL (navigation/routes.js)
+  const [route, navigate] = useRoute();
+  const activeTab = route.tab;
+  const setActiveTab = (tab) => navigate({ tab });
+  // History search, kept out of the URL (navigation/routes.js)
+  const [historyQuery, setHistoryQuery] = useState("");
+  const [patientId, setPatientId] = useState(""); // As typed; never stored
+  const [pseudonym, setPseudonym] = useState({ value: "", error: null });
+  // { patientId, confirmedAt, operator } of the last consent confirmation,
+  // and the Record/Upload action waiting for one
+  const [consent, setConsent] = useState(null);
+  const [consentAction, setConsentAction] = useState(null);
+  const hasConsent = Boolean(consent && consent.patientId === patientId.trim());
+  // What sessions of the current patient store about the consent
+  const sessionConsent = hasConsent
+    ? {
+        confirmedAt: consent.confirmedAt,
+        operator: consent.operator,
+        statement: CONSENT_VERSION,
+      }
+    : null;
   const [audioFile, setAudioFile] = useState(null);
   const [isRecording, setIsRecording] = useState(false);
   const [audioUrl, setAudioUrl] = useState(null);
+  const [audioSource, setAudioSource] = useState(null); // 'upload', 'recording'
+  const [recordingFormat, setRecordingFormat] = useState({
+    sampleRate: 16000,
+    bitDepth: 16,
+  });
+  const [inputDeviceId, setInputDeviceId] = useState(loadPreferredDevice);
+  const [inputGain, setInputGain] = useState(1);
+  const [liveAnalysis, setLiveAnalysis] = useState(true);
+  const [autoStop, setAutoStop] = useState(true);
+  const [streamWindows, setStreamWindows] = useState([]);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [analysisStep, setAnalysisStep] = useState(0); // 0: Idle, 1: Preprocessing, 2: Feature Extraction, 3: CNN-GRU Inference
+  const [stepProgress, setStepProgress] = useState(0); // Fraction of the active step
   const [result, setResult] = useState(null);
+  const [workerError, setWorkerError] = useState(null); // The analysis worker died
+  const [analysis] = useState(() =>
+    createAnalysisClient({ onFailure: (err) => setWorkerError(err.message) })
+  );
+  const [engine, setEngine] = useState(null); // Proxy for the engine in the analysis worker
+  const [classConfig, setClassConfig] = useState(DEFAULT_CLASS_CONFIG);
+  const [threshold, setThreshold] = useState(DEFAULT_CLASS_CONFIG.threshold);
+  const [heartSuppression, setHeartSuppression] = useState(true);
+  const [explain, setExplain] = useState(false); // Saliency map with each analysis
+  const canExplain = Boolean(engine && engine.id !== "demo");
+  // Clinician labels for the current clip, and its stored session once analysed
+  const [annotations, setAnnotations] = useState(EMPTY_ANNOTATIONS);
+  const [sessionId, setSessionId] = useState(null);
+  const analysisOptions = { classConfig, threshold, heartSuppression };
+  const batch = useBatchAnalysis(analysis, analysisOptions);
+  const benchmark = useBenchmark(analysis, analysisOptions);
+  const training = useTraining(analysisOptions);
+  // Multi-site protocol
+  const [protocolMode, setProtocolMode] = useState(false);
+  const [selectedSite, setSelectedSite] = useState(AUSCULTATION_SITES[0].id);
+  const [siteClips, setSiteClips] = useState({}); // Site id -> { file, url, source, result, annotations, sessionId }
+  const [protocolSummary, setProtocolSummary] = useState(null);
+  const [protocolProgress, setProtocolProgress] = useState(null); // { index, total }
 
   // Refs for audio processing
   const canvasRef = useRef(null);
   const audioContextRef = useRef(null);
   const analyserRef = useRef(null);
-  const mediaRecorderRef = useRef(null);
-  const audioChunksRef = useRef([]);
+  const gainNodeRef = useRef(null);
+  const recorderRef = useRef(null);
+  const streamerRef = useRef(null);
+  const streamRef = useRef(null);
   const animationRef = useRef(null);
+  const analysisRunRef = useRef(null);
+  const viewerRef = useRef(null);
+  const autoStopRef = useRef(null);
 
-  // --- Audio Visualization Logic ---
-  const startVisualization = (stream) => {
-    if (!audioContextRef.current) {
-      audioContextRef.current = new (window.AudioContext ||
-        window.webkitAudioContext)();
-    }
+  useEffect(() => {
+    analysis
+      .createEngine("demo")
+      .then(setEngine)
+      .catch((err) =>
+        console.error("Error starting the analysis engine:", err)
+      );
+    return () => analysis.terminate();
+  }, [analysis]);
+
+  // Sessions saved before pseudonymization still hold raw identifiers
+  useEffect(() => {
+    pseudonymizeStoredSessions().catch((err) =>
+      console.error("Error pseudonymizing stored sessions:", err)
+    );
+  }, []);
 
-    const audioCtx = audioContextRef.current;
-    const analyser = audioCtx.createAnalyser();
+  // Reports need the pseudonym synchronously (report/export.js)
+  useEffect(() => {
+    let cancelled = false;
+    setPseudonym({ value: null, error: null });
+    pseudonymize(patientId)
+      .then((value) => !cancelled && setPseudonym({ value, error: null }))
+      .catch((err) => {
+        console.error("Error pseudonymizing patient ID:", err);
+        if (!cancelled) setPseudonym({ value: null, error: err.message });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [patientId]);
+
+  // --- Audio Visualization Logic ---
+  const startVisualization = (source) => {
+    const analyser = source.context.createAnalyser();
     analyser.fftSize = 2048;
     analyserRef.current = analyser;
-
-    const source = audioCtx.createMediaStreamSource(stream);
     source.connect(analyser);
 
-    const canvas = canvasRef.current;
-    const canvasCtx = canvas.getContext("2d");
     const bufferLength = analyser.frequencyBinCount;
     const dataArray = new Uint8Array(bufferLength);
 
     const draw = () => {
       animationRef.current = requestAnimationFrame(draw);
+      // The canvas only mounts once isRecording has rendered.
+      const canvas = canvasRef.current;
+      if (!canvas) return;
+      const canvasCtx = canvas.getContext("2d");
       analyser.getByteTimeDomainData(dataArray);
 
       canvasCtx.fillStyle = "rgb(240, 253, 250)"; // Light teal background
@@ -95,30 +224,44 @@ export default function App() {
   // --- Recording Logic ---
   const startRecording = async () => {
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-      startVisualization(stream);
+      const stream = await openInputStream(inputDeviceId);
+      streamRef.current = stream;
 
-      const mediaRecorder = new MediaRecorder(stream);
-      mediaRecorderRef.current = mediaRecorder;
-      audioChunksRef.current = [];
+      if (!audioContextRef.current) {
+        audioContextRef.current = new (window.AudioContext ||
+          window.webkitAudioContext)();
+      }
+      const audioCtx = audioContextRef.current;
+      await audioCtx.resume();
 
-      mediaRecorder.ondataavailable = (event) => {
-        audioChunksRef.current.push(event.data);
-      };
+      // Manual gain replaces the browser's auto-gain, which is disabled.
+      const gainNode = audioCtx.createGain();
+      gainNode.gain.value = inputGain;
+      gainNodeRef.current = gainNode;
+      audioCtx.createMediaStreamSource(stream).connect(gainNode);
 
-      mediaRecorder.onstop = () => {
-        const audioBlob = new Blob(audioChunksRef.current, {
-          type: "audio/wav",
-        });
-        const url = URL.createObjectURL(audioBlob);
-        setAudioUrl(url);
-        setAudioFile(audioBlob);
-        stopVisualization();
-      };
+      startVisualization(gainNode);
+
+      // Classify sliding windows while recording; the full recording can
+      // still be analysed afterwards.
+      const streamer =
+        liveAnalysis && engine && engine.ready
+          ? createStreamingAnalyzer({
+              analysis,
+              sampleRate: audioCtx.sampleRate,
+              options: { classConfig, threshold, heartSuppression },
+              onWindow: setStreamWindows,
+              onStable: () => autoStopRef.current(),
+            })
+          : null;
+      streamerRef.current = streamer;
+      recorderRef.current = createPcmRecorder(gainNode, {
+        onChunk: streamer ? (chunk) => streamer.push(chunk) : undefined,
+      });
 
-      mediaRecorder.start();
       setIsRecording(true);
       setResult(null);
+      setStreamWindows([]);
     } catch (err) {
       console.error("Error accessing microphone:", err);
       alert("Microphone access denied or not available.");
@@ -126,65 +269,425 @@ export default function App() {
   };
 
   const stopRecording = () => {
-    if (mediaRecorderRef.current && isRecording) {
-      mediaRecorderRef.current.stop();
+    // Checks the ref rather than isRecording: auto-stop and the button can
+    // both call this before the next render.
+    if (recorderRef.current) {
+      const { samples, sampleRate } = recorderRef.current.stop();
+      recorderRef.current = null;
+      if (streamerRef.current) {
+        streamerRef.current.stop();
+        streamerRef.current = null;
+      }
+      gainNodeRef.current.disconnect();
+      gainNodeRef.current = null;
+      stopVisualization();
       setIsRecording(false);
       // Stop all tracks to release mic
-      mediaRecorderRef.current.stream
-        .getTracks()
-        .forEach((track) => track.stop());
+      streamRef.current.getTracks().forEach((track) => track.stop());
+
+      const { sampleRate: rate, bitDepth } = recordingFormat;
+      const wav = encodeWav(
+        resample(samples, sampleRate, rate),
+        rate,
+        bitDepth
+      );
+      const file = new File([wav], `recording-${fileStamp()}.wav`, {
+        type: "audio/wav",
+      });
+      logEvent("recording", {
+        patientId,
+        details: { file: file.name, duration: samples.length / sampleRate },
+      });
+      loadClip(file, "recording");
     }
   };
 
+  // The streaming analyzer keeps the callbacks it was created with, so
+  // auto-stop goes through a ref reassigned on every render; it then saves
+  // with the current route, site and settings rather than those from when
+  // recording started.
+  autoStopRef.current = () => {
+    if (autoStop) stopRecording();
+  };
+
+  const handleDeviceChange = (deviceId) => {
+    setInputDeviceId(deviceId);
+    savePreferredDevice(deviceId);
+  };
+
+  const handleGainChange = (gain) => {
+    setInputGain(gain);
+    if (gainNodeRef.current) {
+      gainNodeRef.current.gain.value = gain;
+    }
+  };
+
+  // --- Model / Class Config ---
+  const handleEngineChange = async (type) => {
+    if (engineBusy) return;
+    try {
+      setEngine(await analysis.createEngine(type));
+    } catch (err) {
+      console.error("Error switching engine:", err);
+      alert(`Could not switch the backend: ${err.message}`);
+      return;
+    }
+    applyClassConfig(DEFAULT_CLASS_CONFIG);
+  };
+
+  const applyClassConfig = (config) => {
+    setClassConfig(config);
+    setThreshold(config.threshold);
+  };
+
+  // A model trained in the Training tab and saved in the browser
+  const selectTrainedModel = async (url) => {
+    if (engineBusy) {
+      alert("Wait for the running analysis to finish before switching models.");
+      return;
+    }
+    let next;
+    try {
+      next = await analysis.createEngine("tfjs");
+      await next.load(url);
+    } catch (err) {
+      console.error("Error loading trained model:", err);
+      alert(`Could not load the model: ${err.message}`);
+      return;
+    }
+    setEngine(next);
+    applyClassConfig(next.classConfig || DEFAULT_CLASS_CONFIG);
+    setActiveTab("detect");
+  };
+
+  // --- Consent ---
+  // Runs `action` (opening the microphone or the file picker) once the
+  // patient's consent has been confirmed for the current patient ID.
+  const withConsent = (action) => {
+    if (hasConsent) action();
+    else setConsentAction(() => action);
+  };
+
+  const confirmConsent = (operator) => {
+    saveOperator(operator);
+    setConsent({
+      patientId: patientId.trim(),
+      confirmedAt: Date.now(),
+      operator,
+    });
+    logEvent("consent", {
+      patientId,
+      details: { statement: CONSENT_VERSION },
+    });
+    setConsentAction(null);
+    consentAction();
+  };
+
   // --- File Upload Logic ---
   const handleFileUpload = (e) => {
-    const file = e.target.files[0];
+    const { files } = e.target;
+    if (files.length > 1) {
+      // Several files go through the batch queue instead.
+      batch.start(files, { patientId, consent: sessionConsent });
+      setActiveTab("batch");
+      return;
+    }
+    const file = files[0];
     if (file) {
-      setAudioFile(file);
-      setAudioUrl(URL.createObjectURL(file));
-      setResult(null);
-      // Note: Visualization for file upload is harder without playing it,
-      // skipping viz for static upload in this demo.
+      logEvent("upload", { patientId, details: { files: [file.name] } });
+      loadClip(file, "upload");
+      setStreamWindows([]);
+    }
+  };
+
+  // Makes `file` the current clip; in protocol mode it also becomes the clip
+  // of the selected site.
+  const loadClip = (file, source) => {
+    // Leave the session's URL before clearing the session, or the route
+    // would reopen it
+    if (route.sessionId !== null)
+      navigate({ tab: "detect" }, { replace: true });
+    const url = URL.createObjectURL(file);
+    setAudioFile(file);
+    setAudioUrl(url);
+    setAudioSource(source);
+    setResult(null);
+    setAnnotations(EMPTY_ANNOTATIONS);
+    setSessionId(null);
+    if (protocolMode) {
+      setSiteClips((clips) => ({
+        ...clips,
+        [selectedSite]: {
+          file,
+          url,
+          source,
+          result: null,
+          annotations: EMPTY_ANNOTATIONS,
+          sessionId: null,
+        },
+      }));
+      setProtocolSummary(null);
     }
   };
 
-  // --- Analysis Simulation ---
-  const runAnalysis = () => {
-    if (!audioFile) return;
+  // --- Multi-site Protocol ---
+  const selectSite = (id) => {
+    const clip = siteClips[id];
+    setSelectedSite(id);
+    setAudioFile(clip ? clip.file : null);
+    setAudioUrl(clip ? clip.url : null);
+    setAudioSource(clip ? clip.source : null);
+    setResult(clip ? clip.result : null);
+    setAnnotations(clip ? clip.annotations : EMPTY_ANNOTATIONS);
+    setSessionId(clip ? clip.sessionId : null);
+    setStreamWindows([]);
+  };
 
-    setIsAnalyzing(true);
+  // --- Analysis ---
+  const showProgress = ({ step, fraction }) => {
+    setAnalysisStep(step);
+    setStepProgress(fraction);
+  };
+
+  const analyzeFile = async (file) => {
     setAnalysisStep(1); // Preprocessing
+    setStepProgress(0);
+    // Decoding needs Web Audio, which workers don't have.
+    const decoded = await decodeAudio(file);
+    const run = analysis.analyze(
+      decoded,
+      {
+        classConfig,
+        threshold,
+        heartSuppression,
+        explain: canExplain && explain,
+      },
+      showProgress
+    );
+    analysisRunRef.current = run;
+    return { ...(await run.promise), analyzedAt: Date.now() };
+  };
 
-    // Simulate the time steps of a CNN-GRU pipeline
-    setTimeout(() => setAnalysisStep(2), 1500); // Feature Extraction
-    setTimeout(() => setAnalysisStep(3), 3000); // Inference
-    setTimeout(() => {
-      // Mock Results
-      const isHealthy = Math.random() > 0.4;
-      const results = isHealthy
-        ? {
-            label: "Healthy",
-            confidence: 0.85 + Math.random() * 0.14,
-            details: "Normal respiratory sounds detected.",
-          }
-        : Math.random() > 0.5
-        ? {
-            label: "COPD",
-            confidence: 0.75 + Math.random() * 0.2,
-            details: "Wheezing and prolonged expiratory phase detected.",
-          }
-        : {
-            label: "Pneumonia",
-            confidence: 0.82 + Math.random() * 0.15,
-            details: "Crackles and bronchial breath sounds detected.",
-          };
+  // Resolves to the new session id, or null when saving failed. The analysis
+  // is audited either way.
+  const persistSession = async (
+    file,
+    source,
+    analysed,
+    labels,
+    site = null
+  ) => {
+    let id = null;
+    try {
+      id = await saveSession({
+        audio: file,
+        audioName: file.name,
+        audioSource: source,
+        patientId,
+        site,
+        result: analysed,
+        annotations: labels,
+        consent: sessionConsent,
+      });
+    } catch (err) {
+      console.error("Error saving session:", err);
+    }
+    logEvent("analysis", {
+      patientId,
+      sessionId: id,
+      details: { file: file.name, site, ...analysisDetails(analysed) },
+    });
+    return id;
+  };
+
+  // Analyses every recorded site in examination order, then aggregates.
+  const analyzeProtocol = async () => {
+    const sites = AUSCULTATION_SITES.filter((site) => siteClips[site.id]);
+    const clips = { ...siteClips };
+    for (let i = 0; i < sites.length; i++) {
+      const site = sites[i];
+      const clip = clips[site.id];
+      setProtocolProgress({ index: i + 1, total: sites.length });
+      const analysed = await analyzeFile(clip.file);
+      clips[site.id] = { ...clip, result: analysed };
+      setSiteClips({ ...clips });
+      if (site.id === selectedSite) setResult(analysed);
+      persistSession(
+        clip.file,
+        clip.source,
+        analysed,
+        clip.annotations,
+        site.id
+      ).then((id) => {
+        setSiteClips((current) => ({
+          ...current,
+          [site.id]: { ...current[site.id], sessionId: id },
+        }));
+        if (site.id === selectedSite) setSessionId(id);
+      });
+    }
+    setProtocolSummary(
+      aggregateSites(
+        sites.map((site) => ({ site, result: clips[site.id].result })),
+        { ...classConfig, threshold }
+      )
+    );
+  };
+
+  const runAnalysis = async () => {
+    if (!engine || !engine.ready || !canAnalyze) return;
 
-      setResult(results);
+    setIsAnalyzing(true);
+    try {
+      if (protocolMode) {
+        await analyzeProtocol();
+      } else {
+        const analysed = await analyzeFile(audioFile);
+        setResult(analysed);
+        persistSession(audioFile, audioSource, analysed, annotations).then(
+          (id) => {
+            // Session first, so the route change finds it already open
+            setSessionId(id);
+            if (id !== null) {
+              navigate({ tab: "detect", sessionId: id }, { replace: true });
+            }
+          }
+        );
+      }
+    } catch (err) {
+      if (!isAnalysisCancelled(err)) {
+        console.error("Error running analysis:", err);
+        alert(`Analysis failed: ${err.message}`);
+      }
+    } finally {
+      analysisRunRef.current = null;
       setIsAnalyzing(false);
       setAnalysisStep(0);
-    }, 4500);
+      setProtocolProgress(null);
+    }
   };
 
+  const cancelAnalysis = () => {
+    if (analysisRunRef.current) analysisRunRef.current.cancel();
+  };
+
+  // --- Export ---
+  const exportResult = (format) => {
+    try {
+      if (pseudonym.value === null) {
+        throw new Error(
+          pseudonym.error || "The patient pseudonym is not ready yet."
+        );
+      }
+      exportReport(
+        format,
+        {
+          result,
+          patientId: pseudonym.value,
+          recording: {
+            name: audioFile.name,
+            type: audioFile.type,
+            size: audioFile.size,
+            source: audioSource,
+          },
+          snapshot: viewerRef.current ? viewerRef.current.snapshot() : null,
+        },
+        sessionId
+      );
+    } catch (err) {
+      console.error("Error exporting result:", err);
+      alert(`Export failed: ${err.message}`);
+    }
+  };
+
+  // --- Annotations ---
+  const changeAnnotations = (next) => {
+    setAnnotations(next);
+    if (protocolMode) {
+      setSiteClips((clips) => ({
+        ...clips,
+        [selectedSite]: { ...clips[selectedSite], annotations: next },
+      }));
+    }
+    if (sessionId !== null) {
+      updateSession(sessionId, { annotations: next }).catch((err) =>
+        console.error("Error saving annotations:", err)
+      );
+    }
+  };
+
+  const exportAnnotations = () =>
+    downloadIcbhiExport([
+      {
+        id: sessionId,
+        createdAt: result ? result.analyzedAt : Date.now(),
+        patientId,
+        audio: audioFile,
+        audioName: audioFile.name,
+        site: protocolMode ? selectedSite : null,
+        result,
+        annotations,
+      },
+    ]).catch((err) => {
+      console.error("Error exporting annotations:", err);
+      alert(`Could not export the annotations: ${err.message}`);
+    });
+
+  // Opens the session named by a #/sessions/:id route in the detect view
+  useEffect(() => {
+    if (route.sessionId === null || route.sessionId === sessionId) return;
+    // Opening a session replaces the patient ID, which the recording in
+    // progress was consented and will be saved for.
+    if (isRecording) {
+      alert("Stop the recording before opening a saved session.");
+      navigate({ tab: "history" }, { replace: true });
+      return;
+    }
+    let cancelled = false;
+    getSession(route.sessionId)
+      .then((session) => {
+        if (cancelled) return;
+        if (!session) {
+          alert(`Session ${route.sessionId} does not exist.`);
+          navigate({ tab: "history" }, { replace: true });
+          return;
+        }
+        const file = new File([session.audio], session.audioName, {
+          type: session.audio.type,
+        });
+        setAudioFile(file);
+        setAudioUrl(URL.createObjectURL(file));
+        setAudioSource(session.audioSource);
+        setPatientId(session.patientId);
+        // Sessions saved before results carried a timestamp
+        setResult({
+          analyzedAt: session.createdAt,
+          ...session.result,
+        });
+        setAnnotations(session.annotations || EMPTY_ANNOTATIONS);
+        setSessionId(session.id);
+        setStreamWindows([]);
+        setProtocolMode(false);
+      })
+      .catch((err) => {
+        console.error("Error opening session:", err);
+        alert(`Could not open the session: ${err.message}`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [route.sessionId, sessionId, isRecording, navigate]);
+
+  const engineReady = Boolean(engine && engine.ready);
+  // Swapping the model mid-run would mix results from two engines
+  const engineBusy =
+    isAnalyzing ||
+    (isRecording && liveAnalysis) ||
+    batch.running ||
+    benchmark.progress !== null;
+  const protocolClipCount = Object.keys(siteClips).length;
+  const canAnalyze = protocolMode ? protocolClipCount > 0 : Boolean(audioUrl);
+
   const getStepStatus = (step) => {
     if (analysisStep === step) return "active";
     if (analysisStep > step) return "completed";
@@ -193,39 +696,23 @@ export default function App() {
 
   return (
     <div className="min-h-screen bg-slate-50 font-sans text-slate-800 flex flex-col">
-      {/* Header */}
-      <header className="bg-teal-700 text-white shadow-lg">
-        <div className="container mx-auto px-4 py-4 flex items-center justify-between">
-          <div className="flex items-center space-x-3">
-            <div className="bg-white/20 p-2 rounded-lg backdrop-blur-sm">
-              <Stethoscope className="w-6 h-6 text-white" />
-            </div>
-            <div>
-              <h1 className="text-xl font-bold tracking-tight">
-                RespiroNet AI
-              </h1>
-              <p className="text-xs text-teal-100 opacity-80">
-                CNN-GRU Hybrid Respiratory Analysis
-              </p>
-            </div>
-          </div>
-          <nav className="hidden md:flex space-x-1">
-            {["detect", "architecture", "about"].map((tab) => (
-              <button
-                key={tab}
-                onClick={() => setActiveTab(tab)}
-                className={`px-4 py-2 rounded-full text-sm font-medium transition-colors ${
-                  activeTab === tab
-                    ? "bg-white text-teal-800 shadow-sm"
-                    : "text-teal-100 hover:bg-teal-600"
-                }`}
-              >
-                {tab.charAt(0).toUpperCase() + tab.slice(1)}
-              </button>
-            ))}
-          </nav>
+      <NavBar
+        route={route}
+        navigate={navigate}
+        query={historyQuery}
+        onSearch={(query) => {
+          setHistoryQuery(query);
+          setActiveTab("history");
+        }}
+      />
+      <OfflineStatus />
+      {workerError && (
+        <div className="container mx-auto px-4 pt-4">
+          <p className="text-sm text-red-800 bg-red-50 border border-red-200 rounded-lg px-4 py-2">
+            {workerError} Analysis is unavailable until the page is reloaded.
+          </p>
         </div>
-      </header>
+      )}
 
       {/* Main Content */}
       <main className="flex-1 container mx-auto px-4 py-8">
@@ -235,16 +722,58 @@ export default function App() {
             {/* Left Col: Input */}
             <div className="lg:col-span-2 space-y-6">
               <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
-                <h2 className="text-lg font-semibold flex items-center space-x-2 mb-4">
-                  <Activity className="w-5 h-5 text-teal-600" />
-                  <span>Audio Acquisition</span>
-                </h2>
+                <div className="flex items-center justify-between mb-4">
+                  <h2 className="text-lg font-semibold flex items-center space-x-2">
+                    <Activity className="w-5 h-5 text-teal-600" />
+                    <span>Audio Acquisition</span>
+                  </h2>
+                  <label className="flex items-center space-x-2 text-xs text-slate-600">
+                    <input
+                      type="checkbox"
+                      checked={protocolMode}
+                      disabled={isRecording || isAnalyzing}
+                      onChange={(e) => setProtocolMode(e.target.checked)}
+                    />
+                    <span>Multi-site protocol</span>
+                  </label>
+                </div>
+
+                {/* Patient */}
+                <label className="flex items-center space-x-2 mb-1 text-sm">
+                  <User className="w-4 h-4 text-slate-400 shrink-0" />
+                  <input
+                    type="text"
+                    value={patientId}
+                    onChange={(e) => setPatientId(e.target.value)}
+                    disabled={isRecording}
+                    placeholder="Patient ID (optional)"
+                    className="flex-1 min-w-0 border border-slate-300 rounded-lg px-3 py-2"
+                  />
+                </label>
+                <p className="mb-4 ml-6 text-xs text-slate-500">
+                  {pseudonym.error
+                    ? `Cannot pseudonymize: ${pseudonym.error}`
+                    : pseudonym.value
+                    ? `Saved and exported as ${pseudonym.value}`
+                    : "Identifiers are replaced by a pseudonym before saving."}
+                </p>
+
+                {protocolMode && (
+                  <ProtocolPanel
+                    clips={siteClips}
+                    selected={selectedSite}
+                    onSelect={selectSite}
+                    disabled={isRecording || isAnalyzing}
+                  />
+                )}
 
                 {/* Input Methods */}
                 <div className="grid grid-cols-2 gap-4 mb-6">
                   <button
                     onClick={() =>
-                      document.getElementById("file-upload").click()
+                      withConsent(() =>
+                        document.getElementById("file-upload").click()
+                      )
                     }
                     className="flex flex-col items-center justify-center p-6 border-2 border-dashed border-slate-300 rounded-xl hover:border-teal-500 hover:bg-teal-50 transition-all group"
                   >
@@ -256,13 +785,18 @@ export default function App() {
                       id="file-upload"
                       type="file"
                       accept="audio/*"
+                      multiple={!protocolMode}
                       className="hidden"
                       onChange={handleFileUpload}
                     />
                   </button>
 
                   <button
-                    onClick={isRecording ? stopRecording : startRecording}
+                    onClick={
+                      isRecording
+                        ? stopRecording
+                        : () => withConsent(startRecording)
+                    }
                     className={`flex flex-col items-center justify-center p-6 border-2 border-solid rounded-xl transition-all ${
                       isRecording
                         ? "border-red-500 bg-red-50"
@@ -284,35 +818,188 @@ export default function App() {
                   </button>
                 </div>
 
+                <InputDeviceSelector
+                  deviceId={inputDeviceId}
+                  onDeviceChange={handleDeviceChange}
+                  gain={inputGain}
+                  onGainChange={handleGainChange}
+                  analyser={isRecording ? analyserRef.current : null}
+                  disabled={isRecording}
+                />
+
+                {/* Recording Format */}
+                <div className="flex flex-wrap items-center gap-3 mb-4 text-xs text-slate-600">
+                  <span className="font-semibold uppercase tracking-wider text-slate-400">
+                    Recording format
+                  </span>
+                  <select
+                    value={recordingFormat.sampleRate}
+                    disabled={isRecording}
+                    onChange={(e) =>
+                      setRecordingFormat({
+                        ...recordingFormat,
+                        sampleRate: Number(e.target.value),
+                      })
+                    }
+                    className="border border-slate-300 rounded-md px-2 py-1 bg-white"
+                  >
+                    {RECORDING_SAMPLE_RATES.map((rate) => (
+                      <option key={rate} value={rate}>
+                        {rate / 1000} kHz
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    value={recordingFormat.bitDepth}
+                    disabled={isRecording}
+                    onChange={(e) =>
+                      setRecordingFormat({
+                        ...recordingFormat,
+                        bitDepth: Number(e.target.value),
+                      })
+                    }
+                    className="border border-slate-300 rounded-md px-2 py-1 bg-white"
+                  >
+                    {BIT_DEPTHS.map((depth) => (
+                      <option key={depth.value} value={depth.value}>
+                        {depth.label}
+                      </option>
+                    ))}
+                  </select>
+                  <label className="flex items-center space-x-1">
+                    <input
+                      type="checkbox"
+                      checked={liveAnalysis}
+                      disabled={isRecording}
+                      onChange={(e) => setLiveAnalysis(e.target.checked)}
+                    />
+                    <span>Live analysis</span>
+                  </label>
+                  <label className="flex items-center space-x-1">
+                    <input
+                      type="checkbox"
+                      checked={autoStop}
+                      disabled={isRecording || !liveAnalysis}
+                      onChange={(e) => setAutoStop(e.target.checked)}
+                    />
+                    <span>Auto-stop when stable</span>
+                  </label>
+                </div>
+
                 {/* Visualizer / Audio Player */}
-                <div className="relative bg-teal-950 rounded-xl overflow-hidden h-48 flex items-center justify-center border border-slate-800">
-                  {isRecording ? (
-                    <canvas
-                      ref={canvasRef}
-                      width="600"
-                      height="200"
-                      className="w-full h-full opacity-80"
+                {!isRecording && audioUrl ? (
+                  <>
+                    <WaveformViewer
+                      ref={viewerRef}
+                      analysis={analysis}
+                      audioFile={audioFile}
+                      audioUrl={audioUrl}
+                      events={result ? result.events : null}
+                      saliency={result ? result.saliency : null}
+                      regions={annotations.regions}
+                      onAddRegion={(region) =>
+                        changeAnnotations(addRegion(annotations, region))
+                      }
+                    />
+                    <AnnotationEditor
+                      annotations={annotations}
+                      onChange={changeAnnotations}
+                      diagnosisOptions={classConfig.classes.map((c) => c.label)}
+                      onExport={exportAnnotations}
+                      saved={sessionId !== null}
+                    />
+                  </>
+                ) : (
+                  <div className="relative bg-teal-950 rounded-xl overflow-hidden h-48 flex items-center justify-center border border-slate-800">
+                    {isRecording ? (
+                      <canvas
+                        ref={canvasRef}
+                        width="600"
+                        height="200"
+                        className="w-full h-full opacity-80"
+                      />
+                    ) : (
+                      <div className="text-teal-400/30 text-sm font-medium flex flex-col items-center">
+                        <Activity className="w-12 h-12 mb-2 opacity-20" />
+                        <span>Waiting for input stream...</span>
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {liveAnalysis &&
+                  audioSource !== "upload" &&
+                  (isRecording || streamWindows.length > 0) && (
+                    <StreamingTimeline
+                      windows={streamWindows}
+                      live={isRecording}
                     />
-                  ) : audioUrl ? (
-                    <div className="w-full h-full flex flex-col items-center justify-center space-y-4 bg-slate-900">
-                      <FileAudio className="w-12 h-12 text-teal-400" />
-                      <audio src={audioUrl} controls className="w-3/4 h-8" />
-                    </div>
-                  ) : (
-                    <div className="text-teal-400/30 text-sm font-medium flex flex-col items-center">
-                      <Activity className="w-12 h-12 mb-2 opacity-20" />
-                      <span>Waiting for input stream...</span>
-                    </div>
                   )}
-                </div>
 
-                {/* Action Button */}
-                <div className="mt-6 flex justify-end">
+                {/* Action Buttons */}
+                <div className="mt-6 flex items-center justify-end space-x-3">
+                  <label
+                    className="mr-auto flex items-center space-x-2 text-xs text-slate-600"
+                    title="Gate out S1/S2 before feature extraction"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={heartSuppression}
+                      disabled={isAnalyzing || isRecording}
+                      onChange={(e) => setHeartSuppression(e.target.checked)}
+                    />
+                    <span>Suppress heart sounds</span>
+                  </label>
+                  <label
+                    className="flex items-center space-x-2 text-xs text-slate-600"
+                    title={
+                      canExplain
+                        ? "Map which parts of the spectrogram drove the prediction (one extra prediction per patch)"
+                        : "Needs a trained model; the demo backend is random"
+                    }
+                  >
+                    <input
+                      type="checkbox"
+                      checked={canExplain && explain}
+                      disabled={!canExplain || isAnalyzing || isRecording}
+                      onChange={(e) => setExplain(e.target.checked)}
+                    />
+                    <span>Explain prediction</span>
+                  </label>
+                  {audioSource === "recording" && audioFile && (
+                    <a
+                      href={audioUrl}
+                      download={audioFile.name}
+                      onClick={() =>
+                        logEvent("export", {
+                          patientId,
+                          sessionId,
+                          details: {
+                            format: "recording",
+                            file: audioFile.name,
+                          },
+                        })
+                      }
+                      className="flex items-center space-x-2 px-4 py-3 rounded-lg text-sm font-medium text-teal-700 border border-teal-200 hover:bg-teal-50 transition-all"
+                    >
+                      <Download className="w-4 h-4" />
+                      <span>Download recording</span>
+                    </a>
+                  )}
+                  {isAnalyzing && (
+                    <button
+                      onClick={cancelAnalysis}
+                      className="flex items-center space-x-2 px-4 py-3 rounded-lg text-sm font-medium text-slate-600 border border-slate-300 hover:bg-slate-100 transition-all"
+                    >
+                      <X className="w-4 h-4" />
+                      <span>Cancel</span>
+                    </button>
+                  )}
                   <button
                     onClick={runAnalysis}
-                    disabled={!audioUrl || isAnalyzing}
+                    disabled={!canAnalyze || isAnalyzing || !engineReady}
                     className={`flex items-center space-x-2 px-6 py-3 rounded-lg font-semibold shadow-md transition-all ${
-                      !audioUrl || isAnalyzing
+                      !canAnalyze || isAnalyzing || !engineReady
                         ? "bg-slate-200 text-slate-400 cursor-not-allowed"
                         : "bg-teal-600 text-white hover:bg-teal-700 hover:shadow-lg active:scale-95"
                     }`}
@@ -325,7 +1012,13 @@ export default function App() {
                     ) : (
                       <>
                         <Brain className="w-5 h-5" />
-                        <span>Analyze Audio</span>
+                        <span>
+                          {protocolMode
+                            ? `Analyze ${protocolClipCount} Site${
+                                protocolClipCount === 1 ? "" : "s"
+                              }`
+                            : "Analyze Audio"}
+                        </span>
                       </>
                     )}
                   </button>
@@ -335,24 +1028,46 @@ export default function App() {
 
             {/* Right Col: Process & Results */}
             <div className="lg:col-span-1 space-y-6">
+              {engine && (
+                <ModelPicker
+                  engine={engine}
+                  onEngineChange={handleEngineChange}
+                  onModelLoaded={() =>
+                    applyClassConfig(engine.classConfig || DEFAULT_CLASS_CONFIG)
+                  }
+                  classConfig={classConfig}
+                  threshold={threshold}
+                  onThresholdChange={setThreshold}
+                  disabled={engineBusy}
+                />
+              )}
+
               {/* Status Stepper */}
               <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
-                <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-4">
-                  Pipeline Status
+                <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-4 flex justify-between">
+                  <span>Pipeline Status</span>
+                  {protocolProgress && (
+                    <span className="normal-case tracking-normal font-medium text-teal-700">
+                      Site {protocolProgress.index} of {protocolProgress.total}
+                    </span>
+                  )}
                 </h3>
                 <div className="space-y-4">
                   <StepItem
                     status={getStepStatus(1)}
+                    progress={stepProgress}
                     title="Preprocessing"
-                    desc="Noise reduction & segmentation"
+                    desc="Noise reduction & breath-cycle segmentation"
                   />
                   <StepItem
                     status={getStepStatus(2)}
+                    progress={stepProgress}
                     title="Feature Extraction"
-                    desc="Mel-Spectrogram Generation"
+                    desc="Mel-Spectrogram & MFCC Generation"
                   />
                   <StepItem
                     status={getStepStatus(3)}
+                    progress={stepProgress}
                     title="CNN-GRU Inference"
                     desc="Spatial-Temporal Classification"
                   />
@@ -360,172 +1075,52 @@ export default function App() {
               </div>
 
               {/* Results Card */}
-              {result && (
-                <div className="bg-white rounded-2xl shadow-lg border border-teal-100 overflow-hidden animate-in fade-in slide-in-from-bottom-4 duration-500">
-                  <div
-                    className={`p-4 ${
-                      result.label === "Healthy"
-                        ? "bg-emerald-100"
-                        : "bg-amber-100"
-                    }`}
-                  >
-                    <div className="flex items-start justify-between">
-                      <div>
-                        <p className="text-xs font-bold opacity-60 uppercase mb-1">
-                          Diagnosis Prediction
-                        </p>
-                        <h2
-                          className={`text-2xl font-bold ${
-                            result.label === "Healthy"
-                              ? "text-emerald-800"
-                              : "text-amber-800"
-                          }`}
-                        >
-                          {result.label}
-                        </h2>
-                      </div>
-                      <div
-                        className={`p-2 rounded-full ${
-                          result.label === "Healthy"
-                            ? "bg-emerald-200"
-                            : "bg-amber-200"
-                        }`}
-                      >
-                        {result.label === "Healthy" ? (
-                          <CheckCircle2 className="w-6 h-6 text-emerald-700" />
-                        ) : (
-                          <AlertCircle className="w-6 h-6 text-amber-700" />
-                        )}
-                      </div>
-                    </div>
-                  </div>
-                  <div className="p-5 space-y-4">
-                    <div>
-                      <div className="flex justify-between text-sm mb-1">
-                        <span className="text-slate-600">Confidence Score</span>
-                        <span className="font-bold text-slate-800">
-                          {(result.confidence * 100).toFixed(1)}%
-                        </span>
-                      </div>
-                      <div className="w-full bg-slate-100 rounded-full h-2.5 overflow-hidden">
-                        <div
-                          className={`h-2.5 rounded-full ${
-                            result.label === "Healthy"
-                              ? "bg-emerald-500"
-                              : "bg-amber-500"
-                          }`}
-                          style={{ width: `${result.confidence * 100}%` }}
-                        ></div>
-                      </div>
-                    </div>
-                    <p className="text-sm text-slate-600 bg-slate-50 p-3 rounded-lg border border-slate-100">
-                      <span className="font-semibold block mb-1 text-slate-700">
-                        Clinical Note:
-                      </span>
-                      {result.details}
-                    </p>
-                    <div className="text-xs text-slate-400 text-center pt-2">
-                      * Simulation Mode: Results generated for demonstration.
-                    </div>
-                  </div>
-                </div>
+              {protocolMode && protocolSummary && (
+                <ProtocolResultCard
+                  summary={protocolSummary}
+                  onSelectSite={selectSite}
+                />
               )}
+              {result && <ResultCard result={result} onExport={exportResult} />}
             </div>
           </div>
         )}
 
-        {/* Architecture Tab */}
+        {/* Batch Tab */}
+        {activeTab === "batch" && (
+          <>
+            <BatchTab
+              batch={batch}
+              classLabels={classConfig.classes.map((c) => c.label)}
+              engineReady={engineReady}
+              patientId={patientId}
+              consent={sessionConsent}
+              requestConsent={withConsent}
+            />
+            <BenchmarkPanel benchmark={benchmark} engineReady={engineReady} />
+          </>
+        )}
+
+        {activeTab === "train" && (
+          <TrainingTab
+            training={training}
+            classConfig={classConfig}
+            onUseModel={selectTrainedModel}
+          />
+        )}
+
+        {activeTab === "history" && (
+          <HistoryTab query={historyQuery} onQueryChange={setHistoryQuery} />
+        )}
+
+        {activeTab === "audit" && <AuditTab />}
+
         {activeTab === "architecture" && (
-          <div className="max-w-4xl mx-auto">
-            <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
-              <div className="bg-slate-900 text-slate-300 p-4 border-b border-slate-800 flex justify-between items-center">
-                <span className="font-mono text-sm">model_architecture.js</span>
-                <span className="text-xs bg-teal-900 text-teal-300 px-2 py-1 rounded">
-                  TensorFlow.js
-                </span>
-              </div>
-              <div className="p-6 overflow-x-auto bg-[#0f172a]">
-                <pre className="font-mono text-sm text-blue-100 leading-relaxed">
-                  {`// 1. Define Sequential Model
-const model = tf.sequential();
-
-// --- Feature Extraction (CNN Block) ---
-// Captures spatial features from Mel-Spectrograms (Frequency domain)
-model.add(tf.layers.conv1d({
-    inputShape: [128, 40], // 128 time steps, 40 MFCCs
-    filters: 64,
-    kernelSize: 3,
-    activation: 'relu',
-    padding: 'same'
-}));
-
-model.add(tf.layers.batchNormalization());
-model.add(tf.layers.maxPooling1d({ poolSize: 2 }));
-model.add(tf.layers.dropout({ rate: 0.3 }));
-
-model.add(tf.layers.conv1d({
-    filters: 128,
-    kernelSize: 3,
-    activation: 'relu',
-    padding: 'same'
-}));
-
-model.add(tf.layers.maxPooling1d({ poolSize: 2 }));
-
-// --- Temporal Analysis (GRU Block) ---
-// Captures time-dependent patterns in breathing cycles
-model.add(tf.layers.gru({
-    units: 128,
-    returnSequences: false, // Output only the last state
-    dropout: 0.2,
-    recurrentDropout: 0.2
-}));
-
-// --- Classification Head ---
-model.add(tf.layers.dense({ units: 64, activation: 'relu' }));
-model.add(tf.layers.dropout({ rate: 0.3 }));
-
-// Output Layer (3 Classes: Healthy, COPD, Pneumonia)
-model.add(tf.layers.dense({ 
-    units: 3, 
-    activation: 'softmax' 
-}));
-
-// Compile
-model.compile({
-    optimizer: 'adam',
-    loss: 'categoricalCrossentropy',
-    metrics: ['accuracy']
-});`}
-                </pre>
-              </div>
-              <div className="p-6 bg-slate-50 border-t border-slate-200">
-                <h3 className="font-semibold text-slate-800 mb-2">
-                  Why this Architecture?
-                </h3>
-                <ul className="space-y-2 text-sm text-slate-600">
-                  <li className="flex items-start">
-                    <ChevronRight className="w-4 h-4 text-teal-500 mt-0.5 mr-2 shrink-0" />
-                    <span>
-                      <strong>CNN (1D Convolution):</strong> Excellent at
-                      detecting local features in audio spectrograms, such as
-                      the specific frequency spikes caused by crackles or
-                      wheezes.
-                    </span>
-                  </li>
-                  <li className="flex items-start">
-                    <ChevronRight className="w-4 h-4 text-teal-500 mt-0.5 mr-2 shrink-0" />
-                    <span>
-                      <strong>GRU (Gated Recurrent Unit):</strong> More
-                      efficient than LSTM, it remembers sequences. Respiratory
-                      diseases often manifest as patterns over time (e.g., a
-                      wheeze lasts for a specific duration in the breath cycle).
-                    </span>
-                  </li>
-                </ul>
-              </div>
-            </div>
-          </div>
+          <ArchitectureTab
+            engine={engine}
+            classConfig={classConfig}
+            heartSuppression={heartSuppression}
+          />
         )}
 
         {/* About Tab */}
@@ -578,21 +1173,26 @@ model.compile({
               <div className="mt-8 p-4 bg-amber-50 border border-amber-100 rounded-lg flex items-start space-x-3">
                 <Info className="w-5 h-5 text-amber-600 mt-0.5 shrink-0" />
                 <p className="text-sm text-amber-800">
-                  <strong>Disclaimer:</strong> This application is a technical
-                  demonstration. The inference results are simulated. A
-                  real-world deployment would require a backend Python API or a
-                  pre-trained TensorFlow.js model file loaded into the browser.
+                  <strong>Disclaimer:</strong> {DISCLAIMER}
                 </p>
               </div>
             </div>
           </div>
         )}
       </main>
+
+      {consentAction && (
+        <ConsentDialog
+          patientId={patientId}
+          onConfirm={confirmConsent}
+          onCancel={() => setConsentAction(null)}
+        />
+      )}
     </div>
   );
 }
 
-function StepItem({ status, title, desc }) {
+function StepItem({ status, title, desc, progress }) {
   const getIcon = () => {
     if (status === "completed")
       return <CheckCircle2 className="w-5 h-5 text-white" />;
@@ -626,6 +1226,14 @@ function StepItem({ status, title, desc }) {
           {title}
         </h4>
         <p className="text-xs text-slate-500">{desc}</p>
+        {status === "active" && progress > 0 && (
+          <div className="mt-1 h-1 w-32 bg-slate-100 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-teal-500 transition-all"
+              style={{ width: `${Math.round(progress * 100)}%` }}
+            />
+          </div>
+        )}
       </div>
     </div>
   );
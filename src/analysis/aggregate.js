@@ -0,0 +1,63 @@
+// Patient-level result of a multi-site auscultation protocol.
+import { decide } from "../inference/classConfig";
+
+const VIEWS = ["anterior", "posterior"];
+const LEVELS = ["upper", "lower"];
+const SIDES = ["left", "right"];
+
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+// Standard sites in examination order: anterior before posterior, upper
+// before lower, patient's right before left. `side` is the patient's side.
+export const AUSCULTATION_SITES = VIEWS.flatMap((view) =>
+  LEVELS.flatMap((level) =>
+    SIDES.slice()
+      .reverse()
+      .map((side) => ({
+        id: `${view}-${level}-${side}`,
+        view,
+        level,
+        side,
+        label: `${capitalize(view)} ${level} ${side}`,
+      }))
+  )
+);
+
+export const siteById = (id) => AUSCULTATION_SITES.find((s) => s.id === id);
+
+// `siteResults` is [{ site, result }] with one analysis result per recorded
+// site; `config` is the class config with the active threshold. Class
+// probabilities are averaged over the sites that passed the quality gate and
+// the mean goes through the usual decision. Sites classified as abnormal on
+// their own are listed in `abnormalSites` even when the mean is normal.
+export function aggregateSites(siteResults, config) {
+  const accepted = siteResults.filter((r) => r.result.quality.acceptable);
+  const sites = siteResults.map(({ site, result }) => ({
+    site,
+    acceptable: result.quality.acceptable,
+    label: result.quality.acceptable ? result.label : null,
+    confidence: result.quality.acceptable ? result.confidence : null,
+    severity: result.quality.acceptable ? result.severity : null,
+    crackles: result.events.crackles.length,
+    wheezes: result.events.wheezes.length,
+  }));
+  const summary = {
+    sites,
+    abnormalSites: sites
+      .filter((s) => s.severity === "abnormal")
+      .map((s) => s.site),
+    rejectedSites: sites.filter((s) => !s.acceptable).map((s) => s.site),
+    threshold: config.threshold,
+  };
+  if (accepted.length === 0) return { ...summary, decision: null };
+
+  const classes = accepted[0].result.probabilities.length;
+  const mean = Array.from({ length: classes }, (_, i) => {
+    const total = accepted.reduce(
+      (sum, { result }) => sum + result.probabilities[i].probability,
+      0
+    );
+    return total / accepted.length;
+  });
+  return { ...summary, decision: decide(mean, config) };
+}
@@ -0,0 +1,12 @@
+import * as tf from "@tensorflow/tfjs";
+import { createAnalysisHost } from "./analysisHost";
+
+// eslint-disable-next-line no-restricted-globals
+const scope = self;
+
+// Imported statically: the worker bundle must not have lazy chunks (loadTf.js)
+const handle = createAnalysisHost(
+  (message, transfer) => scope.postMessage(message, transfer),
+  { loadTf: () => Promise.resolve(tf) }
+);
+scope.onmessage = (event) => handle(event.data);
@@ -0,0 +1,83 @@
+// Message handler behind the analysis client. It runs inside the analysis
+// worker, or in-process when Web Workers are unavailable. `loadTf` resolves to
+// the TensorFlow.js module for the tfjs engine.
+//
+// Requests carry an `id`; every request except "cancel" is answered with a
+// { id, type: "done" | "error" } message, and "analyze" additionally sends
+// { id, type: "progress", progress } messages while it runs. `post(message,
+// transfer)` may transfer the listed buffers instead of copying them.
+import { createEngine } from "../inference/engine";
+import { suppressHeartSounds } from "../audio/heartSounds";
+import { runPipeline } from "./pipeline";
+
+const engineInfo = (engine) => ({
+  ready: engine.ready,
+  source: engine.source,
+  inputShape: engine.inputShape,
+  outputSize: engine.outputSize,
+  classConfig: engine.classConfig,
+});
+
+export function createAnalysisHost(post, { loadTf }) {
+  let engine = createEngine("demo");
+  const running = new Map(); // request id -> AbortController
+
+  return async ({ id, type, ...payload }) => {
+    try {
+      switch (type) {
+        case "engine":
+          engine.dispose();
+          engine = createEngine(payload.engineType, { loadTf });
+          post({ id, type: "done", engine: engineInfo(engine) });
+          break;
+
+        case "load":
+          await engine.load(payload.from);
+          post({ id, type: "done", engine: engineInfo(engine) });
+          break;
+
+        case "describe":
+          post({ id, type: "done", description: await engine.describe() });
+          break;
+
+        case "analyze": {
+          const controller = new AbortController();
+          running.set(id, controller);
+          try {
+            const result = await runPipeline(payload.audio, engine, {
+              ...payload.options,
+              signal: controller.signal,
+              onProgress: (progress) =>
+                post({ id, type: "progress", progress }),
+            });
+            post({ id, type: "done", result });
+          } finally {
+            running.delete(id);
+          }
+          break;
+        }
+
+        case "suppressHeart": {
+          const audio = suppressHeartSounds(payload.audio);
+          post({ id, type: "done", audio }, [audio.samples.buffer]);
+          break;
+        }
+
+        case "cancel": {
+          const controller = running.get(payload.target);
+          if (controller) controller.abort();
+          break;
+        }
+
+        default:
+          throw new Error(`Unknown analysis request "${type}".`);
+      }
+    } catch (err) {
+      post({
+        id,
+        type: "error",
+        error: { name: err.name, message: err.message },
+      });
+    }
+  };
+}
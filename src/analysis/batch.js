@@ -0,0 +1,37 @@
+// Queue for analysing many recordings at once (the Batch tab).
+export const BATCH_CONFIG = {
+  // Files decoded and in the analysis worker at the same time. Decoded PCM
+  // is held in memory until the worker is done with it, so keep this small.
+  concurrency: 3,
+};
+
+const AUDIO_EXTENSIONS = /\.(wav|mp3|ogg|oga|flac|m4a|aac|webm)$/i;
+
+// Folder uploads include every file in the tree; keep the recordings.
+export const isAudioFile = (file) =>
+  file.type.startsWith("audio/") || AUDIO_EXTENSIONS.test(file.name);
+
+// Runs `task(item, index)` over `items` with at most `concurrency` tasks in
+// flight, calling `onSettled(index, { result } | { error })` as each one
+// finishes. Aborting `signal` stops new tasks from starting; tasks already
+// running are expected to watch the signal themselves. Resolves once every
+// started task has settled.
+export async function runQueue(
+  items,
+  task,
+  { concurrency = BATCH_CONFIG.concurrency, signal, onSettled = () => {} } = {}
+) {
+  let next = 0;
+  const lane = async () => {
+    while (next < items.length && !(signal && signal.aborted)) {
+      const index = next++;
+      try {
+        onSettled(index, { result: await task(items[index], index) });
+      } catch (error) {
+        onSettled(index, { error });
+      }
+    }
+  };
+  const lanes = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+}
@@ -0,0 +1,151 @@
+// Main-thread side of the analysis worker. DSP and inference both run in the
+// worker so the UI (including the live visualizer) stays responsive; the
+// inference engine lives there too, and the objects returned by
+// createEngine() are proxies exposing the same read-only fields as a real
+// engine (see inference/engine.js).
+//
+// eslint-disable-next-line import/no-webpack-loader-syntax
+import AnalysisWorker from "worker-loader!./analysis.worker.js";
+import { ENGINE_TYPES } from "../inference/engine";
+import { createAnalysisHost } from "./analysisHost";
+import { loadTf } from "../inference/loadTf";
+
+const toError = ({ name, message }) => {
+  const err = new Error(message);
+  err.name = name;
+  return err;
+};
+
+// `onFailure(error)` is called once if the worker dies (fails to load, throws
+// outside a request, or sends a message that cannot be read); every pending
+// and later request then rejects with that error.
+export function createAnalysisClient({ onFailure = () => {} } = {}) {
+  const pending = new Map(); // request id -> { resolve, reject, onProgress }
+  let nextId = 1;
+  let failure = null;
+
+  const rejectAll = (err) => {
+    pending.forEach(({ reject }) => reject(err));
+    pending.clear();
+  };
+
+  const fail = (message) => {
+    if (failure) return;
+    failure = toError({ name: "Error", message });
+    rejectAll(failure);
+    onFailure(failure);
+  };
+
+  const handle = ({ id, type, ...payload }) => {
+    const request = pending.get(id);
+    if (!request) return;
+    if (type === "progress") {
+      request.onProgress(payload.progress);
+      return;
+    }
+    pending.delete(id);
+    if (type === "error") request.reject(toError(payload.error));
+    else request.resolve(payload);
+  };
+
+  let send;
+  let worker = null;
+  if (typeof Worker !== "undefined") {
+    worker = new AnalysisWorker();
+    worker.onmessage = (event) => handle(event.data);
+    worker.onerror = (event) => {
+      event.preventDefault();
+      fail(`Analysis worker failed: ${event.message || "it could not start"}`);
+    };
+    worker.onmessageerror = () =>
+      fail("Analysis worker sent a message that could not be read.");
+    send = (message, transfer) => worker.postMessage(message, transfer);
+  } else {
+    const host = createAnalysisHost((message) => handle(message), { loadTf });
+    send = (message) => host(message);
+  }
+
+  const request = (message, { onProgress = () => {}, transfer = [] } = {}) => {
+    const id = nextId++;
+    if (failure) return { id, promise: Promise.reject(failure) };
+    const promise = new Promise((resolve, reject) =>
+      pending.set(id, { resolve, reject, onProgress })
+    );
+    send({ ...message, id }, transfer);
+    return { id, promise };
+  };
+
+  return {
+    // Resolves once the worker has switched to the new engine.
+    async createEngine(type) {
+      const { name } = ENGINE_TYPES.find((t) => t.id === type);
+      let info = (await request({ type: "engine", engineType: type }).promise)
+        .engine;
+
+      return {
+        id: type,
+        name,
+        get ready() {
+          return info.ready;
+        },
+        get source() {
+          return info.source;
+        },
+        get inputShape() {
+          return info.inputShape;
+        },
+        get outputSize() {
+          return info.outputSize;
+        },
+        get classConfig() {
+          return info.classConfig;
+        },
+
+        async load(from) {
+          // The worker has no page URL to resolve relative paths against.
+          const target =
+            typeof from === "string"
+              ? new URL(from, window.location.href).href
+              : Array.from(from);
+          info = (await request({ type: "load", from: target }).promise).engine;
+        },
+
+        async describe() {
+          return (await request({ type: "describe" }).promise).description;
+        },
+
+        // The worker disposes the old engine when the next one is created.
+        dispose() {},
+      };
+    },
+
+    // `audio` is decoded PCM; its buffer is transferred to the worker and is
+    // unusable afterwards. Returns { promise, cancel }.
+    analyze(audio, options, onProgress) {
+      const { id, promise } = request(
+        { type: "analyze", audio, options },
+        { onProgress, transfer: [audio.samples.buffer] }
+      );
+      return {
+        promise: promise.then(({ result }) => result),
+        cancel: () => send({ type: "cancel", target: id }),
+      };
+    },
+
+    // Resolves to `audio` with the heart sounds gated out (audio/heartSounds.js):
+    // { samples, sampleRate, heartSounds }. Unlike analyze(), `audio` is
+    // copied, so the caller can keep using it.
+    suppressHeartSounds(audio) {
+      return request({ type: "suppressHeart", audio }).promise.then(
+        (response) => response.audio
+      );
+    },
+
+    terminate() {
+      if (worker) worker.terminate();
+      rejectAll(
+        toError({ name: "Error", message: "Analysis worker stopped." })
+      );
+    },
+  };
+}
@@ -0,0 +1,167 @@
+// The analysis pipeline, independent of where it runs: the analysis worker
+// calls it, and so can tests or the main thread when workers are unavailable.
+//
+// Stages (reported through onProgress as { step, fraction }):
+//   1. Preprocessing: resample, optional heart-sound suppression, band-pass,
+//      denoise, breath-cycle segmentation,
+//      signal quality assessment. Recordings failing the quality gate stop
+//      here and are returned without a diagnosis (`quality.acceptable` false).
+//   2. Feature extraction: adventitious sound events, MFCCs per recording and
+//      per cycle
+//   3. Inference: whole recording, then every cycle, then (with `explain`) an
+//      occlusion saliency map for the predicted class (analysis/saliency.js)
+import { preprocessPcm } from "../audio/preprocess";
+import { extractFeatures } from "../audio/features";
+import { segmentBreathCycles } from "../audio/segmentation";
+import { detectAdventitiousSounds } from "../audio/events";
+import { assessQuality } from "../audio/quality";
+import { occlusionSaliency } from "./saliency";
+import { buildClinicalNote } from "../inference/clinicalNote";
+import { decide } from "../inference/classConfig";
+
+export const ANALYSIS_STEPS = {
+  PREPROCESSING: 1,
+  FEATURES: 2,
+  INFERENCE: 3,
+};
+
+export class AnalysisCancelledError extends Error {
+  constructor() {
+    super("Analysis cancelled.");
+    this.name = "AnalysisCancelledError";
+  }
+}
+
+// Errors lose their class when posted back from the worker, so check the name.
+export const isAnalysisCancelled = (err) =>
+  err.name === "AnalysisCancelledError";
+
+// Yields to the event loop so a pending cancel message can be handled, then
+// stops the run if it arrived.
+const checkpoint = async (signal) => {
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  if (signal && signal.aborted) throw new AnalysisCancelledError();
+};
+
+// Also used to cut training examples per cycle (training/dataset.js).
+export const sliceSeconds = ({ samples, sampleRate }, start, end) => ({
+  samples: samples.subarray(
+    Math.floor(start * sampleRate),
+    Math.ceil(end * sampleRate)
+  ),
+  sampleRate,
+});
+
+// `decoded` is mono PCM ({ samples, sampleRate }) at any sample rate.
+export async function runPipeline(
+  decoded,
+  engine,
+  {
+    classConfig,
+    threshold,
+    heartSuppression = false,
+    explain = false,
+    onProgress = () => {},
+    signal,
+  } = {}
+) {
+  const config = { ...classConfig, threshold };
+
+  onProgress({ step: ANALYSIS_STEPS.PREPROCESSING, fraction: 0 });
+  await checkpoint(signal);
+  const audio = preprocessPcm(decoded, { heartSuppression });
+  const breathing = segmentBreathCycles(audio);
+  const quality = assessQuality(decoded, breathing);
+  if (!quality.acceptable) {
+    return {
+      quality,
+      threshold,
+      engine: engine.id,
+      model: engine.source,
+      duration: audio.duration,
+      heartSounds: audio.heartSounds,
+      events: { crackles: [], wheezes: [] },
+      cycles: [],
+      respiratoryRate: breathing.respiratoryRate,
+      ieRatio: breathing.ieRatio,
+    };
+  }
+
+  onProgress({ step: ANALYSIS_STEPS.FEATURES, fraction: 0 });
+  await checkpoint(signal);
+  const events = detectAdventitiousSounds(audio, breathing.phases);
+  const [frames, nMfcc] = engine.inputShape;
+  const features = extractFeatures(audio, { frames, nMfcc });
+  const cycleFeatures = breathing.cycles.map((cycle) =>
+    extractFeatures(sliceSeconds(audio, cycle.start, cycle.end), {
+      frames,
+      nMfcc,
+    })
+  );
+
+  onProgress({ step: ANALYSIS_STEPS.INFERENCE, fraction: 0 });
+  await checkpoint(signal);
+  const { probabilities } = await engine.predict(features);
+  const decision = decide(probabilities, config);
+
+  // Progress units: the recording, each cycle, and the saliency map
+  const units = breathing.cycles.length + (explain ? 2 : 1);
+  const cycles = [];
+  for (let i = 0; i < breathing.cycles.length; i++) {
+    onProgress({
+      step: ANALYSIS_STEPS.INFERENCE,
+      fraction: (i + 1) / units,
+    });
+    await checkpoint(signal);
+    const cycle = await engine.predict(cycleFeatures[i]);
+    const { label, confidence, severity } = decide(cycle.probabilities, config);
+    cycles.push({ ...breathing.cycles[i], label, confidence, severity });
+  }
+
+  let saliency = null;
+  if (explain) {
+    saliency = await occlusionSaliency(audio, engine, {
+      frames,
+      nMfcc,
+      onProgress: async (fraction) => {
+        onProgress({
+          step: ANALYSIS_STEPS.INFERENCE,
+          fraction: (units - 1 + fraction) / units,
+        });
+        await checkpoint(signal);
+      },
+    });
+    saliency.label = decision.probabilities[saliency.classIndex].label;
+  }
+
+  return {
+    quality,
+    label: decision.label,
+    topLabel: decision.topLabel,
+    confidence: decision.confidence,
+    severity: decision.severity,
+    probabilities: decision.probabilities,
+    threshold,
+    details: buildClinicalNote({
+      decision,
+      threshold,
+      events,
+      cycles,
+      ieRatio: breathing.ieRatio,
+    }),
+    engine: engine.id,
+    model: engine.source,
+    duration: audio.duration,
+    heartSounds: audio.heartSounds,
+    features: {
+      shape: features.shape,
+      frameCount: features.frameCount,
+      mfccMean: Array.from(features.mean),
+    },
+    events,
+    cycles,
+    saliency,
+    respiratoryRate: breathing.respiratoryRate,
+    ieRatio: breathing.ieRatio,
+  };
+}
@@ -0,0 +1,126 @@
+// Occlusion sensitivity: which parts of the time-frequency input the model
+// relies on for its prediction. The log-mel spectrogram the features are built
+// from is cut into a grid of patches; each patch in turn is replaced by its
+// bands' mean level and the features rebuilt, and the drop in the predicted
+// class's probability is that patch's importance. Whole time columns are
+// masked the same way to rank time regions.
+//
+// Unlike Grad-CAM this needs nothing but engine.predict(), so it works the
+// same for every backend, at the cost of one prediction per patch.
+import {
+  extractLogMel,
+  featuresFromLogMel,
+  melBandEdges,
+} from "../audio/features";
+
+export const SALIENCY_CONFIG = {
+  timeCells: 16,
+  bandCells: 8,
+  topRegions: 3,
+  minDrop: 0.01, // Time regions below this probability drop are not reported
+};
+
+const argmax = (values) =>
+  values.reduce((best, v, i) => (v > values[best] ? i : best), 0);
+
+// Splits `count` items into `cells` contiguous [from, to) ranges.
+const partition = (count, cells) =>
+  Array.from({ length: Math.min(cells, count) }, (_, k) => [
+    Math.round((k * count) / Math.min(cells, count)),
+    Math.round(((k + 1) * count) / Math.min(cells, count)),
+  ]);
+
+// Frequency range of a group of mel bands, split halfway between the centres
+// of neighbouring bands.
+const bandRange = (edges, [from, to]) => {
+  const boundary = (i) =>
+    i === 0
+      ? edges[0]
+      : i === edges.length - 2
+      ? edges[edges.length - 1]
+      : (edges[i] + edges[i + 1]) / 2;
+  return { low: boundary(from), high: boundary(to) };
+};
+
+// Resolves to { classIndex, baseline, duration, bands: [{ low, high }],
+// cells: [{ start, end, importance: [per band], drop }], regions }, where
+// `importance` and `drop` are probability drops (negative when masking made
+// the class more likely), `duration` is how much of the recording the model
+// input covers, and `regions` are the time cells with the largest drop.
+// `onProgress(fraction)` is awaited after every prediction, so the caller can
+// yield or cancel there.
+export async function occlusionSaliency(
+  audio,
+  engine,
+  { frames, nMfcc, onProgress = async () => {}, config = SALIENCY_CONFIG }
+) {
+  const { logMel, config: features } = extractLogMel(audio, { frames, nMfcc });
+  const predict = async (frameList) =>
+    (await engine.predict(featuresFromLogMel(frameList, features)))
+      .probabilities;
+
+  const baselineProbabilities = await predict(logMel);
+  const classIndex = argmax(baselineProbabilities);
+  const baseline = baselineProbabilities[classIndex];
+
+  // Only the first `frames` frames reach the model
+  const covered = Math.min(frames, logMel.length);
+  const bandMeans = Float32Array.from({ length: features.nMels }, (_, m) => {
+    let sum = 0;
+    for (let t = 0; t < covered; t++) sum += logMel[t][m];
+    return sum / covered;
+  });
+  const timeRanges = partition(covered, config.timeCells);
+  const bandRanges = partition(features.nMels, config.bandCells);
+  const total = timeRanges.length * (bandRanges.length + 1);
+  let done = 0;
+
+  const occludedDrop = async ([t0, t1], [m0, m1]) => {
+    const masked = logMel.slice();
+    for (let t = t0; t < t1; t++) {
+      masked[t] = Float32Array.from(logMel[t]);
+      for (let m = m0; m < m1; m++) masked[t][m] = bandMeans[m];
+    }
+    const drop = baseline - (await predict(masked))[classIndex];
+    done += 1;
+    await onProgress(done / total);
+    return drop;
+  };
+
+  const seconds = (frame) => (frame * features.hopLength) / audio.sampleRate;
+  const cells = [];
+  for (const range of timeRanges) {
+    const importance = [];
+    for (const bands of bandRanges) {
+      importance.push(await occludedDrop(range, bands));
+    }
+    cells.push({
+      start: seconds(range[0]),
+      end: seconds(range[1]),
+      importance,
+      drop: await occludedDrop(range, [0, features.nMels]),
+    });
+  }
+
+  const edges = melBandEdges(features);
+  const bands = bandRanges.map((range) => bandRange(edges, range));
+  const regions = cells
+    .filter((c) => c.drop >= config.minDrop)
+    .sort((a, b) => b.drop - a.drop)
+    .slice(0, config.topRegions)
+    .map((c) => ({
+      start: c.start,
+      end: c.end,
+      drop: c.drop,
+      band: bands[argmax(c.importance)],
+    }));
+
+  return {
+    classIndex,
+    baseline,
+    duration: seconds(covered),
+    bands,
+    cells,
+    regions,
+  };
+}
@@ -0,0 +1,115 @@
+// Streaming analysis while recording: the most recent `window` seconds are
+// classified every `hop` seconds, and the run counts as stable once the last
+// `stableWindows` windows agree on a conclusive label.
+//
+// Windows are sent to the analysis worker one at a time; if a window is still
+// being analysed when the next hop is due, that hop is skipped rather than
+// queued, so the timeline never falls behind the recording.
+import { isAnalysisCancelled } from "./pipeline";
+
+export const STREAMING_CONFIG = {
+  window: 5, // Window length (s)
+  hop: 1, // Time between window starts (s)
+  stableWindows: 4, // Consecutive agreeing windows needed to call it stable
+};
+
+export function isStable(
+  windows,
+  stableWindows = STREAMING_CONFIG.stableWindows
+) {
+  if (windows.length < stableWindows) return false;
+  const recent = windows.slice(-stableWindows);
+  return recent.every(
+    (w) => w.severity !== "inconclusive" && w.label === recent[0].label
+  );
+}
+
+// `analysis` is the client from createAnalysisClient(); `options` are the
+// analysis options ({ classConfig, threshold }). `onWindow` receives the full
+// list of analysed windows after each one, `onStable` fires once.
+export function createStreamingAnalyzer({
+  analysis,
+  sampleRate,
+  options,
+  onWindow = () => {},
+  onStable = () => {},
+  config = STREAMING_CONFIG,
+}) {
+  const windowLength = Math.round(config.window * sampleRate);
+  const hopLength = Math.round(config.hop * sampleRate);
+  const buffer = new Float32Array(windowLength); // Latest audio, oldest first
+  const windows = [];
+  let received = 0;
+  let sinceHop = 0;
+  let run = null;
+  let stable = false;
+  let stopped = false;
+
+  const append = (chunk) => {
+    if (chunk.length >= windowLength) {
+      buffer.set(chunk.subarray(chunk.length - windowLength));
+    } else {
+      buffer.copyWithin(0, chunk.length);
+      buffer.set(chunk, windowLength - chunk.length);
+    }
+    received += chunk.length;
+    sinceHop += chunk.length;
+  };
+
+  const analyzeWindow = async () => {
+    sinceHop = 0;
+    const end = received / sampleRate;
+    run = analysis.analyze(
+      { samples: buffer.slice(), sampleRate },
+      options,
+      () => {}
+    );
+    try {
+      const result = await run.promise;
+      if (stopped) return;
+      windows.push(
+        result.quality.acceptable
+          ? {
+              start: end - config.window,
+              end,
+              label: result.label,
+              confidence: result.confidence,
+              severity: result.severity,
+            }
+          : {
+              start: end - config.window,
+              end,
+              label: "Poor signal",
+              confidence: result.quality.score,
+              severity: "inconclusive",
+            }
+      );
+      onWindow(windows.slice());
+      if (!stable && isStable(windows, config.stableWindows)) {
+        stable = true;
+        onStable(windows.slice());
+      }
+    } catch (err) {
+      if (!isAnalysisCancelled(err)) {
+        console.error("Error analysing stream window:", err);
+      }
+    } finally {
+      run = null;
+    }
+  };
+
+  return {
+    push(chunk) {
+      if (stopped) return;
+      append(chunk);
+      if (received >= windowLength && sinceHop >= hopLength && !run) {
+        analyzeWindow();
+      }
+    },
+
+    stop() {
+      stopped = true;
+      if (run) run.cancel();
+    },
+  };
+}
@@ -0,0 +1,112 @@
+// Clinician annotations of one recording, stored with its session:
+//
+//   { regions: [{ id, start, end, tag }], diagnosis }
+//
+// Times are seconds into the original recording; `diagnosis` is free text,
+// usually one of the class labels.
+//
+// `strip` colours a region in the waveform viewer, `chip` in the editor.
+export const ANNOTATION_TAGS = [
+  {
+    id: "inspiration",
+    label: "Inspiration",
+    strip: "bg-sky-400",
+    chip: "bg-sky-100 text-sky-800",
+  },
+  {
+    id: "expiration",
+    label: "Expiration",
+    strip: "bg-indigo-400",
+    chip: "bg-indigo-100 text-indigo-800",
+  },
+  {
+    id: "crackle",
+    label: "Crackle",
+    strip: "bg-amber-400",
+    chip: "bg-amber-100 text-amber-800",
+  },
+  {
+    id: "wheeze",
+    label: "Wheeze",
+    strip: "bg-purple-400",
+    chip: "bg-purple-100 text-purple-800",
+  },
+  {
+    id: "artifact",
+    label: "Artifact",
+    strip: "bg-slate-400",
+    chip: "bg-slate-200 text-slate-700",
+  },
+];
+
+export const tagById = (id) => ANNOTATION_TAGS.find((t) => t.id === id);
+
+export const EMPTY_ANNOTATIONS = { regions: [], diagnosis: "" };
+
+export const hasAnnotations = (annotations) =>
+  Boolean(
+    annotations &&
+      (annotations.regions.length > 0 || annotations.diagnosis.trim())
+  );
+
+// Returns new annotations with the region added, keeping regions in time
+// order.
+export function addRegion(annotations, { start, end, tag }) {
+  const region = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    start: Math.min(start, end),
+    end: Math.max(start, end),
+    tag,
+  };
+  return {
+    ...annotations,
+    regions: [...annotations.regions, region].sort((a, b) => a.start - b.start),
+  };
+}
+
+export const updateRegion = (annotations, id, changes) => ({
+  ...annotations,
+  regions: annotations.regions.map((r) =>
+    r.id === id ? { ...r, ...changes } : r
+  ),
+});
+
+export const removeRegion = (annotations, id) => ({
+  ...annotations,
+  regions: annotations.regions.filter((r) => r.id !== id),
+});
+
+const overlaps = (a, b) => a.start < b.end && a.end > b.start;
+
+// Respiratory cycles in the ICBHI sense (start, end, crackles, wheezes).
+// Cycles come from the inspiration/expiration regions, an inspiration
+// joining the expiration that follows it; without phase regions they fall
+// back to `detected`, the cycles the breath segmentation found. Cycles that
+// overlap an artifact region are dropped, as ICBHI has no way to mark them.
+export function annotatedCycles({ regions }, detected = []) {
+  const phases = regions.filter(
+    (r) => r.tag === "inspiration" || r.tag === "expiration"
+  );
+  const spans = [];
+  for (let i = 0; i < phases.length; i++) {
+    const next = phases[i + 1];
+    if (phases[i].tag === "inspiration" && next && next.tag === "expiration") {
+      spans.push({ start: phases[i].start, end: next.end });
+      i++;
+    } else {
+      spans.push({ start: phases[i].start, end: phases[i].end });
+    }
+  }
+  const cycles = spans.length
+    ? spans
+    : detected.map(({ start, end }) => ({ start, end }));
+
+  const tagged = (tag) => regions.filter((r) => r.tag === tag);
+  return cycles
+    .filter((cycle) => !tagged("artifact").some((r) => overlaps(r, cycle)))
+    .map((cycle) => ({
+      ...cycle,
+      crackles: tagged("crackle").some((r) => overlaps(r, cycle)),
+      wheezes: tagged("wheeze").some((r) => overlaps(r, cycle)),
+    }));
+}
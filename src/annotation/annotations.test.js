@@ -0,0 +1,99 @@
+import {
+  EMPTY_ANNOTATIONS,
+  addRegion,
+  annotatedCycles,
+  hasAnnotations,
+  removeRegion,
+  tagById,
+  updateRegion,
+} from "./annotations";
+
+const regions = (...list) => ({
+  ...EMPTY_ANNOTATIONS,
+  regions: list.map(([start, end, tag], i) => ({
+    id: `r${i}`,
+    start,
+    end,
+    tag,
+  })),
+});
+
+describe("hasAnnotations", () => {
+  it("is true once there is a region or a diagnosis", () => {
+    expect(hasAnnotations(undefined)).toBe(false);
+    expect(hasAnnotations(EMPTY_ANNOTATIONS)).toBe(false);
+    expect(hasAnnotations({ ...EMPTY_ANNOTATIONS, diagnosis: "  " })).toBe(
+      false
+    );
+    expect(hasAnnotations({ ...EMPTY_ANNOTATIONS, diagnosis: "COPD" })).toBe(
+      true
+    );
+    expect(hasAnnotations(regions([0, 1, "wheeze"]))).toBe(true);
+  });
+});
+
+describe("region editing", () => {
+  it("adds regions in time order with start before end", () => {
+    const once = addRegion(EMPTY_ANNOTATIONS, {
+      start: 3,
+      end: 2,
+      tag: "wheeze",
+    });
+    const twice = addRegion(once, { start: 0.5, end: 1, tag: "crackle" });
+    expect(
+      twice.regions.map(({ start, end, tag }) => [start, end, tag])
+    ).toEqual([
+      [0.5, 1, "crackle"],
+      [2, 3, "wheeze"],
+    ]);
+    expect(new Set(twice.regions.map((r) => r.id)).size).toBe(2);
+    expect(EMPTY_ANNOTATIONS.regions).toEqual([]);
+  });
+
+  it("updates and removes regions by id without mutating", () => {
+    const annotations = regions([0, 1, "wheeze"], [2, 3, "crackle"]);
+    const updated = updateRegion(annotations, "r1", { tag: "artifact" });
+    expect(updated.regions[1].tag).toBe("artifact");
+    expect(annotations.regions[1].tag).toBe("crackle");
+    expect(removeRegion(updated, "r0").regions.map((r) => r.id)).toEqual([
+      "r1",
+    ]);
+  });
+
+  it("looks tags up by id", () => {
+    expect(tagById("crackle").label).toBe("Crackle");
+    expect(tagById("unknown")).toBeUndefined();
+  });
+});
+
+describe("annotatedCycles", () => {
+  it("joins each inspiration with the expiration that follows it", () => {
+    const cycles = annotatedCycles(
+      regions(
+        [0, 1, "inspiration"],
+        [1.2, 3, "expiration"],
+        [1.5, 1.6, "crackle"],
+        [4, 5, "inspiration"],
+        [5.1, 7, "expiration"],
+        [6, 6.5, "wheeze"]
+      )
+    );
+    expect(cycles).toEqual([
+      { start: 0, end: 3, crackles: true, wheezes: false },
+      { start: 4, end: 7, crackles: false, wheezes: true },
+    ]);
+  });
+
+  it("falls back to the detected cycles and drops artifacts", () => {
+    const cycles = annotatedCycles(
+      regions([0.5, 0.6, "crackle"], [4.5, 4.6, "artifact"]),
+      [
+        { start: 0, end: 4, inspiration: {}, expiration: {} },
+        { start: 4, end: 8, inspiration: {}, expiration: {} },
+      ]
+    );
+    expect(cycles).toEqual([
+      { start: 0, end: 4, crackles: true, wheezes: false },
+    ]);
+  });
+});
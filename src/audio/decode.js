@@ -0,0 +1,24 @@
+let decodeContext = null;
+
+// Decodes an uploaded File or recorded Blob into mono PCM.
+export async function decodeAudio(blob) {
+  if (!decodeContext) {
+    decodeContext = new (window.AudioContext || window.webkitAudioContext)();
+  }
+
+  const arrayBuffer = await blob.arrayBuffer();
+  const buffer = await new Promise((resolve, reject) =>
+    // Callback form for Safari, which lacks the promise-based overload.
+    decodeContext.decodeAudioData(arrayBuffer, resolve, reject)
+  );
+
+  const samples = new Float32Array(buffer.length);
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+    const data = buffer.getChannelData(ch);
+    for (let i = 0; i < data.length; i++) {
+      samples[i] += data[i] / buffer.numberOfChannels;
+    }
+  }
+
+  return { samples, sampleRate: buffer.sampleRate };
+}
@@ -0,0 +1,59 @@
+// Input device handling for digital stethoscopes. Browsers enable echo
+// cancellation, noise suppression and auto-gain by default; all three are
+// tuned for speech and distort auscultation audio, so they are turned off.
+const RAW_CAPTURE_CONSTRAINTS = {
+  echoCancellation: false,
+  noiseSuppression: false,
+  autoGainControl: false,
+};
+
+const DEVICE_STORAGE_KEY = "respironet.inputDeviceId";
+
+// Device labels are empty until the user has granted microphone access once.
+export async function listInputDevices() {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+    return [];
+  }
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter((device) => device.kind === "audioinput")
+    .map((device, i) => ({
+      deviceId: device.deviceId,
+      label: device.label || `Microphone ${i + 1}`,
+    }));
+}
+
+export async function openInputStream(deviceId) {
+  const audio = deviceId
+    ? { ...RAW_CAPTURE_CONSTRAINTS, deviceId: { exact: deviceId } }
+    : RAW_CAPTURE_CONSTRAINTS;
+
+  try {
+    return await navigator.mediaDevices.getUserMedia({ audio });
+  } catch (err) {
+    // The remembered device may have been unplugged; use the default instead.
+    if (deviceId && err.name === "OverconstrainedError") {
+      return navigator.mediaDevices.getUserMedia({
+        audio: RAW_CAPTURE_CONSTRAINTS,
+      });
+    }
+    throw err;
+  }
+}
+
+export function loadPreferredDevice() {
+  try {
+    return localStorage.getItem(DEVICE_STORAGE_KEY) || "";
+  } catch (err) {
+    return "";
+  }
+}
+
+export function savePreferredDevice(deviceId) {
+  try {
+    if (deviceId) localStorage.setItem(DEVICE_STORAGE_KEY, deviceId);
+    else localStorage.removeItem(DEVICE_STORAGE_KEY);
+  } catch (err) {
+    // Storage can be unavailable (private mode); the choice just won't persist.
+  }
+}
@@ -0,0 +1,146 @@
+// Adventitious sound detection on preprocessed PCM.
+//
+// Crackles are short (< 20 ms) explosive transients, found as samples that
+// stand far above the local RMS level. Wheezes are sustained tonal
+// components, found as runs of STFT frames with a prominent spectral peak
+// whose frequency stays roughly constant.
+import { stft } from "./features";
+
+export const EVENT_CONFIG = {
+  crackle: {
+    window: 0.05, // Local RMS window (s)
+    ratio: 5, // Peak / local RMS needed for a transient
+    duration: 0.02, // Reported event length (s)
+    refractory: 0.01, // Minimum spacing between crackles (s)
+  },
+  wheeze: {
+    nFft: 256,
+    hopLength: 128,
+    fMin: 100,
+    fMax: 1000,
+    prominence: 12, // Peak power / mean band power
+    maxDrift: 60, // Largest frame-to-frame pitch change (Hz)
+    minDuration: 0.1, // Shortest wheeze (s)
+  },
+};
+
+export function detectCrackles({ samples, sampleRate }, options = {}) {
+  const config = { ...EVENT_CONFIG.crackle, ...options };
+  const half = Math.max(1, Math.round((config.window * sampleRate) / 2));
+  const refractory = Math.round(config.refractory * sampleRate);
+  const events = [];
+
+  // Running sum of squares for the local RMS
+  const cumulative = new Float64Array(samples.length + 1);
+  for (let i = 0; i < samples.length; i++) {
+    cumulative[i + 1] = cumulative[i] + samples[i] * samples[i];
+  }
+
+  let last = -Infinity;
+  for (let i = 0; i < samples.length; i++) {
+    const from = Math.max(0, i - half);
+    const to = Math.min(samples.length, i + half);
+    const rms = Math.sqrt((cumulative[to] - cumulative[from]) / (to - from));
+    const score = rms > 0 ? Math.abs(samples[i]) / rms : 0;
+    if (score < config.ratio || i - last < refractory) continue;
+
+    // Keep only the local maximum of each transient
+    let peak = i;
+    for (let j = i; j < Math.min(samples.length, i + refractory); j++) {
+      if (Math.abs(samples[j]) > Math.abs(samples[peak])) peak = j;
+    }
+    last = peak;
+    i = peak;
+
+    const start = Math.max(0, peak / sampleRate - config.duration / 2);
+    events.push({
+      type: "crackle",
+      start,
+      end: start + config.duration,
+      confidence: Math.min(1, (score - config.ratio) / config.ratio + 0.5),
+    });
+  }
+  return events;
+}
+
+export function detectWheezes({ samples, sampleRate }, options = {}) {
+  const config = { ...EVENT_CONFIG.wheeze, ...options };
+  const frames = stft(samples, config);
+  const binHz = sampleRate / config.nFft;
+  const lo = Math.max(1, Math.floor(config.fMin / binHz));
+  const hi = Math.min(frames[0].length - 1, Math.ceil(config.fMax / binHz));
+  const frameTime = config.hopLength / sampleRate;
+
+  // Dominant in-band peak and how far it stands out from the band average
+  const peaks = frames.map((power) => {
+    let best = lo;
+    let sum = 0;
+    for (let k = lo; k <= hi; k++) {
+      sum += power[k];
+      if (power[k] > power[best]) best = k;
+    }
+    const mean = sum / (hi - lo + 1);
+    return {
+      frequency: best * binHz,
+      prominence: mean > 0 ? power[best] / mean : 0,
+    };
+  });
+
+  const events = [];
+  let run = null;
+  const close = (end) => {
+    if (run && (end - run.start) * frameTime >= config.minDuration) {
+      const n = run.frequencies.length;
+      events.push({
+        type: "wheeze",
+        start: run.start * frameTime,
+        end: (end - 1) * frameTime + config.nFft / sampleRate,
+        frequency: run.frequencies.reduce((a, b) => a + b, 0) / n,
+        confidence: Math.min(1, run.prominence / n / (config.prominence * 3)),
+      });
+    }
+    run = null;
+  };
+
+  peaks.forEach((peak, f) => {
+    const tonal = peak.prominence >= config.prominence;
+    const continues =
+      run &&
+      tonal &&
+      Math.abs(peak.frequency - run.frequencies[run.frequencies.length - 1]) <=
+        config.maxDrift;
+
+    if (continues) {
+      run.frequencies.push(peak.frequency);
+      run.prominence += peak.prominence;
+      return;
+    }
+    close(f);
+    if (tonal) {
+      run = {
+        start: f,
+        frequencies: [peak.frequency],
+        prominence: peak.prominence,
+      };
+    }
+  });
+  close(peaks.length);
+
+  return events;
+}
+
+// Tags each event with the breath phase it falls in, if any.
+export function assignPhases(events, phases) {
+  return events.map((event) => {
+    const mid = (event.start + event.end) / 2;
+    const phase = phases.find((p) => mid >= p.start && mid < p.end);
+    return { ...event, phase: phase ? phase.type : null };
+  });
+}
+
+export function detectAdventitiousSounds(audio, phases = []) {
+  return {
+    crackles: assignPhases(detectCrackles(audio), phases),
+    wheezes: assignPhases(detectWheezes(audio), phases),
+  };
+}
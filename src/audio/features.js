@@ -0,0 +1,174 @@
+// Feature extraction stage: STFT -> mel filterbank -> log-mel -> MFCC, shaped
+// to the model's [timeSteps, coefficients] input. Like preprocess.js this works
+// on plain Float32Arrays and has no browser dependencies.
+import { fft, hannWindow } from "./fft";
+
+export const FEATURE_CONFIG = {
+  nFft: 512,
+  hopLength: 256, // 32 ms at 8 kHz, so 128 frames cover ~4.1 s
+  nMels: 64,
+  nMfcc: 40,
+  fMin: 100,
+  fMax: 2000,
+  frames: 128, // Time steps expected by the model
+  normalize: true,
+};
+
+// Power spectrogram as an array of frames, each holding nFft / 2 + 1 bins.
+export function stft(samples, { nFft, hopLength }) {
+  const window = hannWindow(nFft);
+  const bins = nFft / 2 + 1;
+  const frameCount = Math.max(
+    1,
+    1 + Math.floor((samples.length - nFft) / hopLength)
+  );
+  const frames = [];
+
+  for (let f = 0; f < frameCount; f++) {
+    const re = new Float32Array(nFft);
+    const im = new Float32Array(nFft);
+    const offset = f * hopLength;
+    for (let i = 0; i < nFft && offset + i < samples.length; i++) {
+      re[i] = samples[offset + i] * window[i];
+    }
+    fft(re, im);
+    const power = new Float32Array(bins);
+    for (let k = 0; k < bins; k++) {
+      power[k] = re[k] * re[k] + im[k] * im[k];
+    }
+    frames.push(power);
+  }
+  return frames;
+}
+
+const hzToMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+const melToHz = (mel) => 700 * (10 ** (mel / 2595) - 1);
+
+// Band edges in Hz: filter m rises from edges[m] to edges[m + 1] and falls
+// to edges[m + 2].
+export function melBandEdges({ nMels, sampleRate, fMin, fMax }) {
+  const top = Math.min(fMax, sampleRate / 2);
+  const melMin = hzToMel(fMin);
+  const melMax = hzToMel(top);
+  return Array.from({ length: nMels + 2 }, (_, i) =>
+    melToHz(melMin + ((melMax - melMin) * i) / (nMels + 1))
+  );
+}
+
+// Triangular HTK-style filters spaced evenly on the mel scale.
+export function melFilterbank({ nMels, nFft, sampleRate, fMin, fMax }) {
+  const bins = nFft / 2 + 1;
+  const edges = melBandEdges({ nMels, sampleRate, fMin, fMax });
+  const binHz = sampleRate / nFft;
+
+  return Array.from({ length: nMels }, (_, m) => {
+    const [lo, mid, hi] = [edges[m], edges[m + 1], edges[m + 2]];
+    const filter = new Float32Array(bins);
+    for (let k = 0; k < bins; k++) {
+      const hz = k * binHz;
+      if (hz > lo && hz <= mid) filter[k] = (hz - lo) / (mid - lo);
+      else if (hz > mid && hz < hi) filter[k] = (hi - hz) / (hi - mid);
+    }
+    return filter;
+  });
+}
+
+export function logMelSpectrogram(powerFrames, filterbank) {
+  return powerFrames.map((power) => {
+    const out = new Float32Array(filterbank.length);
+    filterbank.forEach((filter, m) => {
+      let sum = 0;
+      for (let k = 0; k < power.length; k++) sum += filter[k] * power[k];
+      out[m] = Math.log(sum + 1e-10);
+    });
+    return out;
+  });
+}
+
+// Orthonormal DCT-II of each log-mel frame, keeping the first nMfcc terms.
+export function mfcc(logMelFrames, nMfcc) {
+  const nMels = logMelFrames[0].length;
+  const basis = Array.from({ length: nMfcc }, (_, c) => {
+    const scale = Math.sqrt((c === 0 ? 1 : 2) / nMels);
+    return Float32Array.from(
+      { length: nMels },
+      (_, m) => scale * Math.cos((Math.PI * c * (m + 0.5)) / nMels)
+    );
+  });
+
+  return logMelFrames.map((frame) =>
+    Float32Array.from(basis, (row) => {
+      let sum = 0;
+      for (let m = 0; m < nMels; m++) sum += row[m] * frame[m];
+      return sum;
+    })
+  );
+}
+
+// Per-recording normalisation: zero mean and unit variance per coefficient.
+export function normalizeFrames(frames) {
+  const dims = frames[0].length;
+  for (let d = 0; d < dims; d++) {
+    let mean = 0;
+    frames.forEach((f) => (mean += f[d]));
+    mean /= frames.length;
+    let variance = 0;
+    frames.forEach((f) => (variance += (f[d] - mean) ** 2));
+    const std = Math.sqrt(variance / frames.length) || 1;
+    frames.forEach((f) => (f[d] = (f[d] - mean) / std));
+  }
+  return frames;
+}
+
+// Crops or zero-pads to exactly `count` frames, flattened row-major.
+export function fitFrames(frames, count) {
+  const dims = frames[0].length;
+  const out = new Float32Array(count * dims);
+  for (let t = 0; t < Math.min(count, frames.length); t++) {
+    out.set(frames[t], t * dims);
+  }
+  return out;
+}
+
+// First half of the extractor: the log-mel frames and the resolved config.
+// Saliency maps (analysis/saliency.js) perturb these before finishing with
+// featuresFromLogMel().
+export function extractLogMel({ samples, sampleRate }, options = {}) {
+  const config = { ...FEATURE_CONFIG, ...options, sampleRate };
+  if (config.nMfcc > config.nMels) {
+    throw new Error(
+      `Cannot compute ${config.nMfcc} MFCCs from ${config.nMels} mel bands.`
+    );
+  }
+
+  const filterbank = melFilterbank(config);
+  return {
+    logMel: logMelSpectrogram(stft(samples, config), filterbank),
+    config,
+  };
+}
+
+// Second half: MFCCs, normalisation and cropping to the model input.
+export function featuresFromLogMel(logMel, config) {
+  let coefficients = mfcc(logMel, config.nMfcc);
+  const mean = new Float32Array(config.nMfcc);
+  coefficients.forEach((f) => f.forEach((v, d) => (mean[d] += v)));
+  mean.forEach((v, d) => (mean[d] = v / coefficients.length));
+  if (config.normalize) {
+    coefficients = normalizeFrames(coefficients);
+  }
+
+  return {
+    data: fitFrames(coefficients, config.frames),
+    shape: [config.frames, config.nMfcc],
+    frameCount: coefficients.length,
+    mean,
+  };
+}
+
+// Full extractor. Returns the flattened model input and its shape, plus the
+// per-coefficient mean before normalisation as a compact summary.
+export function extractFeatures(audio, options = {}) {
+  const { logMel, config } = extractLogMel(audio, options);
+  return featuresFromLogMel(logMel, config);
+}
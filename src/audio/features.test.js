@@ -0,0 +1,127 @@
+import {
+  FEATURE_CONFIG,
+  stft,
+  melFilterbank,
+  logMelSpectrogram,
+  mfcc,
+  fitFrames,
+  extractFeatures,
+} from "./features";
+
+const RATE = 8000;
+
+const tone = (freq, seconds) =>
+  Float32Array.from(
+    { length: Math.round(seconds * RATE) },
+    (_, i) => 0.5 * Math.sin((2 * Math.PI * freq * i) / RATE)
+  );
+
+const argmax = (values) =>
+  values.reduce((best, v, i) => (v > values[best] ? i : best), 0);
+
+const config = { ...FEATURE_CONFIG, sampleRate: RATE };
+
+describe("stft", () => {
+  it("gives one frame per hop with nFft / 2 + 1 bins", () => {
+    const samples = tone(1000, 1);
+    const frames = stft(samples, config);
+    expect(frames).toHaveLength(
+      1 + Math.floor((RATE - config.nFft) / config.hopLength)
+    );
+    frames.forEach((f) => expect(f).toHaveLength(config.nFft / 2 + 1));
+  });
+
+  it("puts a tone's energy in its frequency bin", () => {
+    const [frame] = stft(tone(1000, 0.5), config);
+    expect(argmax(Array.from(frame))).toBe((1000 * config.nFft) / RATE);
+  });
+
+  it("returns one frame for input shorter than nFft", () => {
+    expect(stft(tone(1000, 0.01), config)).toHaveLength(1);
+  });
+});
+
+describe("mel filterbank", () => {
+  const filterbank = melFilterbank(config);
+
+  it("has nMels filters over the FFT bins", () => {
+    expect(filterbank).toHaveLength(config.nMels);
+    filterbank.forEach((f) => expect(f).toHaveLength(config.nFft / 2 + 1));
+  });
+
+  it("covers only fMin to fMax", () => {
+    const binHz = RATE / config.nFft;
+    filterbank.forEach((filter) =>
+      filter.forEach((weight, k) => {
+        if (weight > 0) {
+          expect(k * binHz).toBeGreaterThan(config.fMin);
+          expect(k * binHz).toBeLessThan(config.fMax);
+        }
+      })
+    );
+  });
+
+  it("maps higher tones to higher mel bands", () => {
+    const band = (freq) =>
+      argmax(
+        Array.from(
+          logMelSpectrogram(stft(tone(freq, 0.5), config), filterbank)[0]
+        )
+      );
+    expect(band(300)).toBeLessThan(band(800));
+    expect(band(800)).toBeLessThan(band(1600));
+  });
+});
+
+describe("mfcc", () => {
+  it("keeps the first nMfcc coefficients of each frame", () => {
+    const logMel = [Float32Array.from({ length: config.nMels }, () => 1)];
+    const [coefficients] = mfcc(logMel, config.nMfcc);
+    expect(coefficients).toHaveLength(config.nMfcc);
+    // A flat spectrum only has a DC term: sqrt(nMels) with orthonormal scaling
+    expect(coefficients[0]).toBeCloseTo(Math.sqrt(config.nMels), 4);
+    coefficients
+      .slice(1)
+      .forEach((c) => expect(Math.abs(c)).toBeLessThan(1e-5));
+  });
+});
+
+describe("extractFeatures", () => {
+  it("shapes any recording to the model input", () => {
+    [1, 4, 10].forEach((seconds) => {
+      const features = extractFeatures({
+        samples: tone(500, seconds),
+        sampleRate: RATE,
+      });
+      expect(features.shape).toEqual([config.frames, config.nMfcc]);
+      expect(features.data).toHaveLength(config.frames * config.nMfcc);
+      expect(features.mean).toHaveLength(config.nMfcc);
+    });
+  });
+
+  it("zero-pads short recordings", () => {
+    const features = extractFeatures({
+      samples: tone(500, 1),
+      sampleRate: RATE,
+    });
+    expect(features.frameCount).toBeLessThan(config.frames);
+    const padding = features.data.subarray(features.frameCount * config.nMfcc);
+    expect(padding.every((v) => v === 0)).toBe(true);
+  });
+
+  it("rejects more MFCCs than mel bands", () => {
+    expect(() =>
+      extractFeatures(
+        { samples: tone(500, 1), sampleRate: RATE },
+        { nMfcc: config.nMels + 1 }
+      )
+    ).toThrow(/MFCCs/);
+  });
+});
+
+describe("fitFrames", () => {
+  it("crops to the requested frame count", () => {
+    const frames = Array.from({ length: 5 }, (_, t) => Float32Array.of(t, t));
+    expect(Array.from(fitFrames(frames, 3))).toEqual([0, 0, 1, 1, 2, 2]);
+  });
+});
@@ -0,0 +1,146 @@
+// Heart-sound separation for chest recordings.
+//
+// S1 and S2 are found as bursts in the Shannon-energy envelope of the heart
+// band, then gated: inside each burst the part of the signal below `cutoff`
+// (where heart sounds live) is attenuated, while the higher lung-sound band is
+// left untouched. Gain changes are raised-cosine ramps so gating does not add
+// clicks that would look like crackles.
+import { bandpass, lowpass } from "./preprocess";
+import { percentile } from "./stats";
+
+export const HEART_CONFIG = {
+  band: [25, 150], // Heart-sound band used for detection (Hz)
+  frameDuration: 0.02, // Envelope frame (s)
+  threshold: 0.3, // Fraction of the median-to-peak envelope range
+  mergeGap: 0.05, // Bursts closer than this are joined (s)
+  minDuration: 0.03, // Heart sounds last roughly 30-250 ms (s)
+  maxDuration: 0.25,
+  margin: 0.02, // Padding gated around each sound (s)
+  cutoff: 200, // Gating applies below this frequency (Hz)
+  attenuation: 0.05, // Gain inside gated segments
+  fade: 0.01, // Gain ramp length (s)
+};
+
+// Average Shannon energy per frame of the peak-normalised signal. Shannon
+// energy weighs medium intensities up relative to squared energy, so soft S2s
+// are not drowned out by loud S1s.
+const shannonEnvelope = (samples, frameSize) => {
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) {
+    peak = Math.max(peak, Math.abs(samples[i]));
+  }
+  const count = Math.floor(samples.length / frameSize);
+  const envelope = new Float32Array(count);
+  if (peak === 0) return envelope;
+  for (let f = 0; f < count; f++) {
+    let sum = 0;
+    for (let i = f * frameSize; i < (f + 1) * frameSize; i++) {
+      const e = (samples[i] / peak) ** 2;
+      if (e > 0) sum -= e * Math.log(e);
+    }
+    envelope[f] = sum / frameSize;
+  }
+  return envelope;
+};
+
+// S1 precedes the short systolic interval and S2 the longer diastolic one, so
+// each sound is labelled by comparing the gaps before and after it. The first
+// and last sounds only have one gap and take the opposite of their neighbour.
+const labelSounds = (segments) => {
+  const types = segments.map((s, i) => {
+    if (i === 0 || i === segments.length - 1) return null;
+    const before = s.start - segments[i - 1].end;
+    const after = segments[i + 1].start - s.end;
+    return after < before ? "S1" : "S2";
+  });
+  const opposite = (type) => (type === "S1" ? "S2" : "S1");
+  if (segments.length > 2) {
+    types[0] = opposite(types[1]);
+    types[segments.length - 1] = opposite(types[segments.length - 2]);
+  } else {
+    types.fill("S1");
+    if (segments.length === 2) types[1] = "S2";
+  }
+  return segments.map((s, i) => ({
+    type: types[i],
+    start: s.start,
+    end: s.end,
+  }));
+};
+
+// Returns [{ type: "S1" | "S2", start, end }] in seconds.
+export function detectHeartSounds({ samples, sampleRate }, options = {}) {
+  const config = { ...HEART_CONFIG, ...options };
+  const heart = bandpass(samples, config.band[0], config.band[1], sampleRate);
+  const frameSize = Math.max(1, Math.round(config.frameDuration * sampleRate));
+  const envelope = shannonEnvelope(heart, frameSize);
+  if (envelope.length === 0) return [];
+
+  const floor = percentile(envelope, 0.5);
+  const peak = percentile(envelope, 0.99);
+  if (peak <= floor) return [];
+  const level = floor + config.threshold * (peak - floor);
+
+  const bursts = [];
+  let start = null;
+  for (let f = 0; f <= envelope.length; f++) {
+    const above = f < envelope.length && envelope[f] >= level;
+    if (above && start === null) start = f;
+    if (!above && start !== null) {
+      const s = {
+        start: start * config.frameDuration,
+        end: f * config.frameDuration,
+      };
+      const last = bursts[bursts.length - 1];
+      if (last && s.start - last.end < config.mergeGap) last.end = s.end;
+      else bursts.push(s);
+      start = null;
+    }
+  }
+
+  return labelSounds(
+    bursts.filter(
+      (b) =>
+        b.end - b.start >= config.minDuration &&
+        b.end - b.start <= config.maxDuration
+    )
+  );
+}
+
+// Returns { samples, sampleRate, heartSounds } with the heart sounds gated
+// out; the input is not modified.
+export function suppressHeartSounds({ samples, sampleRate }, options = {}) {
+  const config = { ...HEART_CONFIG, ...options };
+  const heartSounds = detectHeartSounds({ samples, sampleRate }, config);
+
+  const gain = new Float32Array(samples.length).fill(1);
+  const fade = Math.max(1, Math.round(config.fade * sampleRate));
+  heartSounds.forEach((sound) => {
+    const from = Math.max(
+      0,
+      Math.floor((sound.start - config.margin) * sampleRate)
+    );
+    const to = Math.min(
+      samples.length,
+      Math.ceil((sound.end + config.margin) * sampleRate)
+    );
+    for (let i = from - fade; i < to + fade; i++) {
+      if (i < 0 || i >= samples.length) continue;
+      let g = config.attenuation;
+      const ramp =
+        i < from ? (from - i) / fade : i >= to ? (i - to + 1) / fade : 0;
+      if (ramp > 0) {
+        const t = 0.5 - 0.5 * Math.cos(Math.PI * Math.min(1, ramp));
+        g = config.attenuation + (1 - config.attenuation) * t;
+      }
+      gain[i] = Math.min(gain[i], g);
+    }
+  });
+
+  const low = lowpass(samples, config.cutoff, sampleRate);
+  const out = new Float32Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    out[i] = samples[i] - low[i] + low[i] * gain[i];
+  }
+  return { samples: out, sampleRate, heartSounds };
+}
@@ -0,0 +1,93 @@
+import { bandpass } from "./preprocess";
+import { detectHeartSounds, suppressHeartSounds } from "./heartSounds";
+
+const RATE = 4000;
+const PERIOD = 60 / 72;
+const SYSTOLE = 0.3;
+const SOUND = 0.08;
+
+const noise = (length, seed = 5) => {
+  let state = seed;
+  return Float32Array.from({ length }, () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return 2 * (state / 2 ** 32) - 1;
+  });
+};
+
+// Hann-windowed 60 Hz bursts for S1 and S2 at 72 bpm, starting at 0.2 s.
+const heartbeat = (seconds) =>
+  Float32Array.from({ length: seconds * RATE }, (_, i) => {
+    const t = i / RATE - 0.2;
+    if (t < 0) return 0;
+    const inBeat = t % PERIOD;
+    const onset = inBeat < SYSTOLE ? 0 : SYSTOLE;
+    const u = (inBeat - onset) / SOUND;
+    if (u >= 1) return 0;
+    const amplitude = onset === 0 ? 0.6 : 0.4;
+    return (
+      amplitude *
+      (0.5 - 0.5 * Math.cos(2 * Math.PI * u)) *
+      Math.sin(2 * Math.PI * 60 * t)
+    );
+  });
+
+const lung = (seconds) =>
+  bandpass(noise(seconds * RATE), 400, 1000, RATE).map((x) => 0.05 * x);
+
+const mix = (a, b) => a.map((x, i) => x + b[i]);
+
+const energy = (samples, from = 0, to = samples.length) => {
+  let sum = 0;
+  for (let i = from; i < to; i++) sum += samples[i] * samples[i];
+  return sum;
+};
+
+describe("detectHeartSounds", () => {
+  it("finds alternating S1 and S2 at the burst onsets", () => {
+    const sounds = detectHeartSounds({
+      samples: mix(heartbeat(5), lung(5)),
+      sampleRate: RATE,
+    });
+    const beats = Math.floor((5 - 0.2 - SOUND) / PERIOD) + 1;
+    expect(sounds.length).toBeGreaterThanOrEqual(2 * beats - 1);
+    sounds.forEach((sound, i) => {
+      expect(sound.type).toBe(i % 2 === 0 ? "S1" : "S2");
+      const onset =
+        0.2 + Math.floor(i / 2) * PERIOD + (sound.type === "S2" ? SYSTOLE : 0);
+      expect(Math.abs(sound.start - onset)).toBeLessThan(0.05);
+    });
+  });
+
+  it("finds nothing in silence", () => {
+    expect(
+      detectHeartSounds({ samples: new Float32Array(RATE), sampleRate: RATE })
+    ).toEqual([]);
+  });
+});
+
+describe("suppressHeartSounds", () => {
+  const samples = mix(heartbeat(5), lung(5));
+  const result = suppressHeartSounds({ samples, sampleRate: RATE });
+
+  it("attenuates the heart sounds", () => {
+    expect(result.heartSounds.length).toBeGreaterThan(0);
+    result.heartSounds.forEach((sound) => {
+      const from = Math.floor(sound.start * RATE);
+      const to = Math.ceil(sound.end * RATE);
+      expect(energy(result.samples, from, to)).toBeLessThan(
+        0.1 * energy(samples, from, to)
+      );
+    });
+  });
+
+  it("keeps the lung-sound band", () => {
+    const before = energy(bandpass(samples, 300, 1900, RATE));
+    const after = energy(bandpass(result.samples, 300, 1900, RATE));
+    expect(after / before).toBeGreaterThan(0.9);
+    expect(after / before).toBeLessThan(1.1);
+  });
+
+  it("does not modify its input", () => {
+    expect(samples).toEqual(mix(heartbeat(5), lung(5)));
+  });
+});
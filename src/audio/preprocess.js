@@ -0,0 +1,210 @@
+// Preprocessing stage of the analysis pipeline. Everything below except
+// `preprocess()` on a Blob works on plain Float32Arrays, so it can run (and be
+// tested) without React or a browser audio stack.
+import { decodeAudio } from "./decode";
+import { fft, hannWindow } from "./fft";
+import { suppressHeartSounds } from "./heartSounds";
+
+export const PREPROCESS_CONFIG = {
+  sampleRate: 8000, // Model input rate (Hz)
+  lowCut: 100, // Lung-sound band-pass (Hz)
+  highCut: 2000,
+  denoise: true,
+  heartSuppression: false, // Gate out S1/S2 (see heartSounds.js)
+  frameSize: 256, // Spectral subtraction STFT
+  noiseQuantile: 0.1, // Quietest fraction of frames used as the noise profile
+  overSubtraction: 1.5,
+  spectralFloor: 0.05,
+};
+
+// --- Filters ---
+
+// RBJ audio-EQ-cookbook biquad coefficients, normalised so a0 = 1.
+const biquad = (type, freq, q, sampleRate) => {
+  const w0 = (2 * Math.PI * freq) / sampleRate;
+  const cos = Math.cos(w0);
+  const alpha = Math.sin(w0) / (2 * q);
+  const a0 = 1 + alpha;
+  const b =
+    type === "lowpass"
+      ? [(1 - cos) / 2, 1 - cos, (1 - cos) / 2]
+      : [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2];
+  return {
+    b0: b[0] / a0,
+    b1: b[1] / a0,
+    b2: b[2] / a0,
+    a1: (-2 * cos) / a0,
+    a2: (1 - alpha) / a0,
+  };
+};
+
+// Q values of the two sections of a 4th-order Butterworth filter.
+const BUTTERWORTH_Q = [0.5412, 1.3066];
+
+const runBiquad = (x, { b0, b1, b2, a1, a2 }) => {
+  const y = new Float32Array(x.length);
+  let x1 = 0;
+  let x2 = 0;
+  let y1 = 0;
+  let y2 = 0;
+  for (let i = 0; i < x.length; i++) {
+    const out = b0 * x[i] + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+    x2 = x1;
+    x1 = x[i];
+    y2 = y1;
+    y1 = out;
+    y[i] = out;
+  }
+  return y;
+};
+
+// Forward-backward filtering so events keep their position in time.
+const zeroPhase = (x, sections) => {
+  let y = x;
+  sections.forEach((s) => (y = runBiquad(y, s)));
+  y.reverse();
+  sections.forEach((s) => (y = runBiquad(y, s)));
+  return y.reverse();
+};
+
+export function lowpass(samples, cutoff, sampleRate) {
+  return zeroPhase(
+    samples,
+    BUTTERWORTH_Q.map((q) => biquad("lowpass", cutoff, q, sampleRate))
+  );
+}
+
+export function bandpass(samples, lowCut, highCut, sampleRate) {
+  const sections = BUTTERWORTH_Q.map((q) =>
+    biquad("highpass", lowCut, q, sampleRate)
+  );
+  // Skip the low-pass when the upper edge is at or above Nyquist.
+  if (highCut < sampleRate / 2) {
+    BUTTERWORTH_Q.forEach((q) =>
+      sections.push(biquad("lowpass", highCut, q, sampleRate))
+    );
+  }
+  return zeroPhase(samples, sections);
+}
+
+// --- Resampling ---
+
+// Linear-interpolation resampler with an anti-aliasing low-pass when
+// downsampling.
+export function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate) return Float32Array.from(samples);
+
+  const source =
+    toRate < fromRate ? lowpass(samples, toRate * 0.45, fromRate) : samples;
+  const ratio = fromRate / toRate;
+  const out = new Float32Array(Math.floor(samples.length / ratio));
+
+  for (let i = 0; i < out.length; i++) {
+    const pos = i * ratio;
+    const idx = Math.floor(pos);
+    const frac = pos - idx;
+    const next = idx + 1 < source.length ? source[idx + 1] : source[idx];
+    out[i] = source[idx] * (1 - frac) + next * frac;
+  }
+  return out;
+}
+
+// --- Noise reduction ---
+
+// Magnitude spectral subtraction. The noise profile is the mean spectrum of
+// the quietest frames, which in a breath recording are the pauses between
+// breaths.
+export function spectralSubtraction(
+  samples,
+  {
+    frameSize = PREPROCESS_CONFIG.frameSize,
+    noiseQuantile = PREPROCESS_CONFIG.noiseQuantile,
+    overSubtraction = PREPROCESS_CONFIG.overSubtraction,
+    spectralFloor = PREPROCESS_CONFIG.spectralFloor,
+  } = {}
+) {
+  const hop = frameSize / 2;
+  const window = hannWindow(frameSize);
+  const frameCount = Math.ceil(samples.length / hop) + 1;
+  if (frameCount < 4) return Float32Array.from(samples);
+
+  const frames = [];
+  for (let f = 0; f < frameCount; f++) {
+    const re = new Float32Array(frameSize);
+    const im = new Float32Array(frameSize);
+    const offset = f * hop - hop;
+    for (let i = 0; i < frameSize; i++) {
+      const idx = offset + i;
+      if (idx >= 0 && idx < samples.length) re[i] = samples[idx] * window[i];
+    }
+    fft(re, im);
+    const mag = new Float32Array(frameSize);
+    let energy = 0;
+    for (let i = 0; i < frameSize; i++) {
+      mag[i] = Math.hypot(re[i], im[i]);
+      energy += mag[i] * mag[i];
+    }
+    frames.push({ re, im, mag, energy });
+  }
+
+  const quiet = [...frames]
+    .sort((a, b) => a.energy - b.energy)
+    .slice(0, Math.max(1, Math.round(frameCount * noiseQuantile)));
+  const noise = new Float32Array(frameSize);
+  quiet.forEach(({ mag }) => mag.forEach((m, i) => (noise[i] += m)));
+  noise.forEach((_, i) => (noise[i] /= quiet.length));
+
+  // Overlap-add; a periodic Hann window at 50% overlap sums to one.
+  const out = new Float32Array(samples.length);
+  frames.forEach(({ re, im, mag }, f) => {
+    for (let i = 0; i < frameSize; i++) {
+      const cleaned = Math.max(
+        mag[i] - overSubtraction * noise[i],
+        spectralFloor * mag[i]
+      );
+      const gain = mag[i] > 0 ? cleaned / mag[i] : 0;
+      re[i] *= gain;
+      im[i] *= gain;
+    }
+    fft(re, im, true);
+    const offset = f * hop - hop;
+    for (let i = 0; i < frameSize; i++) {
+      const idx = offset + i;
+      if (idx >= 0 && idx < out.length) out[idx] += re[i];
+    }
+  });
+  return out;
+}
+
+// --- Pipeline ---
+
+// Runs the full preprocessing chain. `input` may be a File/Blob (decoded with
+// Web Audio) or already-decoded PCM as { samples, sampleRate }.
+export async function preprocess(input, options) {
+  const decoded = input instanceof Blob ? await decodeAudio(input) : input;
+  return preprocessPcm(decoded, options);
+}
+
+export function preprocessPcm({ samples, sampleRate }, options = {}) {
+  const config = { ...PREPROCESS_CONFIG, ...options };
+
+  let out = resample(samples, sampleRate, config.sampleRate);
+  let heartSounds = [];
+  if (config.heartSuppression) {
+    ({ samples: out, heartSounds } = suppressHeartSounds({
+      samples: out,
+      sampleRate: config.sampleRate,
+    }));
+  }
+  out = bandpass(out, config.lowCut, config.highCut, config.sampleRate);
+  if (config.denoise) {
+    out = spectralSubtraction(out, config);
+  }
+
+  return {
+    samples: out,
+    sampleRate: config.sampleRate,
+    duration: out.length / config.sampleRate,
+    heartSounds,
+  };
+}
@@ -0,0 +1,108 @@
+import {
+  bandpass,
+  resample,
+  spectralSubtraction,
+  preprocessPcm,
+  PREPROCESS_CONFIG,
+} from "./preprocess";
+
+const RATE = 8000;
+
+const tone = (freq, seconds, rate = RATE, amplitude = 0.5) =>
+  Float32Array.from(
+    { length: Math.round(seconds * rate) },
+    (_, i) => amplitude * Math.sin((2 * Math.PI * freq * i) / rate)
+  );
+
+// Deterministic white noise in [-amplitude, amplitude].
+const noise = (length, amplitude, seed = 1) => {
+  let state = seed;
+  return Float32Array.from({ length }, () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return amplitude * (2 * (state / 2 ** 32) - 1);
+  });
+};
+
+// RMS of the middle of a signal, away from filter edge effects.
+const rms = (samples, from = 0.25, to = 0.75) => {
+  const part = samples.subarray(
+    Math.floor(samples.length * from),
+    Math.floor(samples.length * to)
+  );
+  return Math.sqrt(part.reduce((sum, v) => sum + v * v, 0) / part.length);
+};
+
+describe("bandpass", () => {
+  const filter = (x) =>
+    bandpass(x, PREPROCESS_CONFIG.lowCut, PREPROCESS_CONFIG.highCut, RATE);
+
+  it("passes tones inside the lung-sound band", () => {
+    [300, 1000].forEach((freq) => {
+      const x = tone(freq, 1);
+      expect(rms(filter(x)) / rms(x)).toBeGreaterThan(0.9);
+    });
+  });
+
+  it("attenuates tones outside the band", () => {
+    [25, 3500].forEach((freq) => {
+      const x = tone(freq, 1);
+      expect(rms(filter(x)) / rms(x)).toBeLessThan(0.05);
+    });
+  });
+});
+
+describe("resample", () => {
+  it("scales the length by the rate ratio", () => {
+    expect(resample(tone(440, 1, 44100), 44100, RATE)).toHaveLength(RATE);
+    expect(resample(tone(440, 1, 4000), 4000, RATE)).toHaveLength(RATE);
+  });
+
+  it("removes content above the new Nyquist frequency when downsampling", () => {
+    const kept = resample(tone(1000, 1, 16000), 16000, 4000);
+    const aliased = resample(tone(3000, 1, 16000), 16000, 4000);
+    expect(rms(kept)).toBeGreaterThan(0.3);
+    expect(rms(aliased)).toBeLessThan(0.05);
+  });
+});
+
+describe("spectralSubtraction", () => {
+  // One second of noise, one second of a tone in the same noise, and another
+  // second of noise: the quiet seconds are the "pauses between breaths".
+  const floor = noise(3 * RATE, 0.02);
+  const signal = Float32Array.from(floor, (v, i) =>
+    i >= RATE && i < 2 * RATE
+      ? v + 0.5 * Math.sin((2 * Math.PI * 500 * i) / RATE)
+      : v
+  );
+  const cleaned = spectralSubtraction(signal);
+
+  it("lowers the noise floor", () => {
+    expect(rms(cleaned, 0.05, 0.3)).toBeLessThan(0.5 * rms(signal, 0.05, 0.3));
+    expect(rms(cleaned, 0.7, 0.95)).toBeLessThan(0.5 * rms(signal, 0.7, 0.95));
+  });
+
+  it("keeps the louder signal", () => {
+    const during = [0.4, 0.6];
+    expect(rms(cleaned, ...during) / rms(signal, ...during)).toBeGreaterThan(
+      0.9
+    );
+  });
+
+  it("leaves very short input unchanged", () => {
+    const short = noise(100, 0.1);
+    expect(spectralSubtraction(short)).toEqual(short);
+  });
+});
+
+describe("preprocessPcm", () => {
+  it("resamples to the model rate", () => {
+    const out = preprocessPcm({
+      samples: tone(500, 2, 44100),
+      sampleRate: 44100,
+    });
+    expect(out.sampleRate).toBe(PREPROCESS_CONFIG.sampleRate);
+    expect(out.samples).toHaveLength(2 * PREPROCESS_CONFIG.sampleRate);
+    expect(out.duration).toBeCloseTo(2);
+    expect(out.heartSounds).toEqual([]);
+  });
+});
@@ -0,0 +1,224 @@
+// Signal quality assessment, run before feature extraction so that unusable
+// recordings are sent back for re-recording instead of being classified.
+//
+// Every check maps a metric onto a score between 0 (unusable) and 1 (fine)
+// with a linear ramp between its `bad` and `ok` values; the overall score is
+// the lowest check score, so one bad property is enough to reject a
+// recording. Checks scoring below 1 are reported as reasons.
+import { bandpass, preprocessPcm, resample } from "./preprocess";
+import { stft } from "./features";
+import { percentile } from "./stats";
+
+export const QUALITY_CONFIG = {
+  minScore: 0.5, // Recordings scoring lower are not classified
+  duration: { bad: 2, ok: 5 }, // Seconds
+  cycles: { bad: 0, ok: 2 }, // Segmented breath cycles
+  clipping: { ok: 0.001, bad: 0.02 }, // Fraction of samples at full scale
+  snr: { bad: 3, ok: 12 }, // dB, loud vs quiet envelope frames
+  silence: { ok: 0.5, bad: 0.9 }, // Fraction of frames below silenceDb
+  nonLung: { ok: 0.2, bad: 0.6 }, // Fraction of active frames
+  clipLevel: 0.99, // |sample| counted as clipped
+  silenceDb: -55, // dBFS
+  frameDuration: 0.05, // Level-metering frames (s)
+  analysisRate: 8000, // Rate for the non-lung content check (Hz)
+  frameSize: 512, // Non-lung content frames (samples at analysisRate)
+  pitchRange: [85, 300], // Voiced-speech fundamental (Hz)
+  voicing: 0.5, // Normalised autocorrelation peak that counts as voiced
+  frictionCentroid: 1500, // Spectral centroid above which a frame is friction (Hz)
+};
+
+// Linear ramp from 0 at `bad` to 1 at `ok`; works whichever way round the
+// two are ordered.
+const ramp = (value, { bad, ok }) =>
+  Math.min(1, Math.max(0, (value - bad) / (ok - bad)));
+
+const frameRms = (samples, frameSize) => {
+  const count = Math.floor(samples.length / frameSize);
+  const rms = new Float32Array(count);
+  for (let f = 0; f < count; f++) {
+    let sum = 0;
+    for (let i = f * frameSize; i < (f + 1) * frameSize; i++) {
+      sum += samples[i] * samples[i];
+    }
+    rms[f] = Math.sqrt(sum / frameSize);
+  }
+  return rms;
+};
+
+export function clippingRatio(samples, level = QUALITY_CONFIG.clipLevel) {
+  let clipped = 0;
+  for (let i = 0; i < samples.length; i++) {
+    if (Math.abs(samples[i]) >= level) clipped++;
+  }
+  return samples.length ? clipped / samples.length : 0;
+}
+
+// Ratio of loud to quiet frames of the band-passed (not denoised) signal.
+// Breathing is bursty, so the quietest frames approximate the noise floor.
+export function estimateSnr({ samples, sampleRate }, config = QUALITY_CONFIG) {
+  const rms = frameRms(
+    samples,
+    Math.max(1, Math.round(config.frameDuration * sampleRate))
+  );
+  if (rms.length === 0) return 0;
+  const noise = percentile(rms, 0.1);
+  const signal = percentile(rms, 0.9);
+  if (signal === 0) return 0;
+  return 20 * Math.log10(signal / Math.max(noise, 1e-9));
+}
+
+export function silenceRatio({ samples, sampleRate }, config = QUALITY_CONFIG) {
+  const rms = frameRms(
+    samples,
+    Math.max(1, Math.round(config.frameDuration * sampleRate))
+  );
+  if (rms.length === 0) return 1;
+  const floor = 10 ** (config.silenceDb / 20);
+  return rms.filter((r) => r < floor).length / rms.length;
+}
+
+// A frame is voiced when its autocorrelation has a strong local maximum at a
+// lag in the speaking pitch range.
+const isVoiced = (frame, sampleRate, config) => {
+  let energy = 0;
+  for (let i = 0; i < frame.length; i++) energy += frame[i] * frame[i];
+  if (energy === 0) return false;
+
+  const minLag = Math.floor(sampleRate / config.pitchRange[1]);
+  const maxLag = Math.ceil(sampleRate / config.pitchRange[0]);
+  const r = new Float32Array(maxLag + 2);
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let i = 0; i + lag < frame.length; i++)
+      sum += frame[i] * frame[i + lag];
+    r[lag] = sum / energy;
+  }
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    if (
+      r[lag] > config.voicing &&
+      r[lag] >= r[lag - 1] &&
+      r[lag] >= r[lag + 1]
+    ) {
+      return true;
+    }
+  }
+  return false;
+};
+
+const spectralCentroid = (power, sampleRate, nFft) => {
+  let weighted = 0;
+  let total = 0;
+  for (let k = 0; k < power.length; k++) {
+    weighted += ((k * sampleRate) / nFft) * power[k];
+    total += power[k];
+  }
+  return total > 0 ? weighted / total : 0;
+};
+
+// Fraction of active (non-quiet) frames that look like voiced speech
+// (periodic at a speaking pitch) or stethoscope friction (energy centred well
+// above the lung-sound band).
+export function nonLungRatio({ samples, sampleRate }, config = QUALITY_CONFIG) {
+  const rate = config.analysisRate;
+  // The high-pass keeps heart sounds and handling thumps, which are periodic
+  // at low frequencies, from passing as voicing.
+  const audio = bandpass(
+    resample(samples, sampleRate, rate),
+    config.pitchRange[0],
+    rate / 2,
+    rate
+  );
+  const size = config.frameSize;
+  const rms = frameRms(audio, size);
+  if (rms.length === 0) return 0;
+
+  const spectra = stft(audio, { nFft: size, hopLength: size });
+  const activeLevel = Math.max(
+    2 * percentile(rms, 0.1),
+    10 ** (config.silenceDb / 20)
+  );
+  let active = 0;
+  let foreign = 0;
+  for (let f = 0; f < rms.length; f++) {
+    if (rms[f] < activeLevel) continue;
+    active++;
+    const frame = audio.subarray(f * size, (f + 1) * size);
+    if (
+      isVoiced(frame, rate, config) ||
+      spectralCentroid(spectra[f], rate, size) > config.frictionCentroid
+    ) {
+      foreign++;
+    }
+  }
+  return active ? foreign / active : 0;
+}
+
+// `decoded` is the recording as captured (any sample rate), `breathing` the
+// segmentation of its preprocessed signal. Returns
+// { score, acceptable, reasons: [{ check, score, message }], metrics }.
+export function assessQuality(decoded, breathing, options = {}) {
+  const config = { ...QUALITY_CONFIG, ...options };
+  const filtered = preprocessPcm(decoded, { denoise: false });
+  const metrics = {
+    duration: decoded.samples.length / decoded.sampleRate,
+    cycles: breathing.cycles.length,
+    clipping: clippingRatio(decoded.samples, config.clipLevel),
+    snr: estimateSnr(filtered, config),
+    silence: silenceRatio(decoded, config),
+    nonLung: nonLungRatio(decoded, config),
+  };
+
+  const pct = (x) => `${(x * 100).toFixed(1)}%`;
+  const checks = [
+    {
+      check: "duration",
+      score: ramp(metrics.duration, config.duration),
+      message: `Recording is ${metrics.duration.toFixed(1)}s; at least ${
+        config.duration.ok
+      }s is recommended.`,
+    },
+    {
+      check: "cycles",
+      score: ramp(metrics.cycles, config.cycles),
+      message: `${metrics.cycles} breath cycle(s) detected; at least ${config.cycles.ok} are recommended.`,
+    },
+    {
+      check: "clipping",
+      score: ramp(metrics.clipping, config.clipping),
+      message: `${pct(
+        metrics.clipping
+      )} of samples are clipped; lower the input gain.`,
+    },
+    {
+      check: "snr",
+      score: ramp(metrics.snr, config.snr),
+      message: `Estimated SNR is ${metrics.snr.toFixed(
+        1
+      )} dB; reduce background noise or press the chest piece more firmly.`,
+    },
+    {
+      check: "silence",
+      score: ramp(metrics.silence, config.silence),
+      message: `${pct(
+        metrics.silence
+      )} of the recording is silent; check the stethoscope connection.`,
+    },
+    {
+      check: "nonLung",
+      score: ramp(metrics.nonLung, config.nonLung),
+      message: `${pct(
+        metrics.nonLung
+      )} of the sound looks like speech or friction rather than breathing.`,
+    },
+  ];
+
+  const score = Math.min(...checks.map((c) => c.score));
+  return {
+    score,
+    acceptable: score >= config.minScore,
+    reasons: checks
+      .filter((c) => c.score < 1)
+      .sort((a, b) => a.score - b.score),
+    metrics,
+  };
+}
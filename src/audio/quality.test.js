@@ -0,0 +1,110 @@
+import { bandpass } from "./preprocess";
+import {
+  assessQuality,
+  clippingRatio,
+  nonLungRatio,
+  silenceRatio,
+} from "./quality";
+
+const RATE = 8000;
+
+const noise = (length, seed = 11) => {
+  let state = seed;
+  return Float32Array.from({ length }, () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return 2 * (state / 2 ** 32) - 1;
+  });
+};
+
+// 20 s of lung-band noise bursts: a 1 s inspiration and a quieter 1.8 s
+// expiration every 4 s over a faint background.
+const breathing = (gain = 1) => {
+  const carrier = bandpass(noise(20 * RATE), 100, 1000, RATE);
+  return carrier.map((x, i) => {
+    const t = (i / RATE) % 4;
+    const envelope = t < 1 ? 1 : t >= 1.4 && t < 3.2 ? 0.5 : 0.03;
+    return Math.max(-1, Math.min(1, gain * envelope * x));
+  });
+};
+
+// The gate takes the segmentation as input; five cycles is plenty.
+const FIVE_CYCLES = { cycles: Array.from({ length: 5 }, () => ({})) };
+const NO_CYCLES = { cycles: [] };
+
+describe("clippingRatio", () => {
+  it("counts samples at full scale", () => {
+    expect(clippingRatio(Float32Array.from([0, 0.5, 1, -1]))).toBe(0.5);
+    expect(clippingRatio(new Float32Array(0))).toBe(0);
+  });
+});
+
+describe("silenceRatio", () => {
+  it("is 1 for digital silence and low for breathing", () => {
+    expect(
+      silenceRatio({ samples: new Float32Array(RATE), sampleRate: RATE })
+    ).toBe(1);
+    expect(
+      silenceRatio({ samples: breathing(), sampleRate: RATE })
+    ).toBeLessThan(0.5);
+  });
+});
+
+describe("nonLungRatio", () => {
+  it("flags voiced syllables but not breathing noise", () => {
+    // A 150 Hz voice in 0.25 s syllables, so quiet frames set the floor.
+    const voice = Float32Array.from({ length: 2 * RATE }, (_, i) =>
+      (i / RATE) % 0.5 < 0.25
+        ? 0.3 * Math.sin((2 * Math.PI * 150 * i) / RATE) +
+          0.1 * Math.sin((2 * Math.PI * 300 * i) / RATE)
+        : 0
+    );
+    expect(nonLungRatio({ samples: voice, sampleRate: RATE })).toBeGreaterThan(
+      0.8
+    );
+    expect(
+      nonLungRatio({ samples: breathing(), sampleRate: RATE })
+    ).toBeLessThan(0.2);
+  });
+});
+
+describe("assessQuality", () => {
+  it("accepts a clean breathing recording", () => {
+    const quality = assessQuality(
+      { samples: breathing(), sampleRate: RATE },
+      FIVE_CYCLES
+    );
+    expect(quality.acceptable).toBe(true);
+    expect(quality.reasons).toEqual([]);
+  });
+
+  it("rejects clipped input", () => {
+    const quality = assessQuality(
+      { samples: breathing(20), sampleRate: RATE },
+      FIVE_CYCLES
+    );
+    expect(quality.metrics.clipping).toBeGreaterThan(0.02);
+    expect(quality.acceptable).toBe(false);
+    expect(quality.reasons[0].check).toBe("clipping");
+  });
+
+  it("rejects silent input", () => {
+    const quality = assessQuality(
+      { samples: new Float32Array(20 * RATE), sampleRate: RATE },
+      NO_CYCLES
+    );
+    expect(quality.acceptable).toBe(false);
+    expect(quality.score).toBe(0);
+    expect(quality.reasons.map((r) => r.check)).toEqual(
+      expect.arrayContaining(["cycles", "snr", "silence"])
+    );
+  });
+
+  it("rejects recordings that are too short", () => {
+    const quality = assessQuality(
+      { samples: breathing().subarray(0, RATE), sampleRate: RATE },
+      FIVE_CYCLES
+    );
+    expect(quality.acceptable).toBe(false);
+    expect(quality.reasons[0].check).toBe("duration");
+  });
+});
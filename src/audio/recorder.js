@@ -0,0 +1,55 @@
+// Captures raw mono PCM from a Web Audio source node. MediaRecorder is avoided
+// on purpose: browsers encode it lossily (usually Opus), which discards the
+// high-frequency detail crackles live in.
+export const RECORDING_SAMPLE_RATES = [8000, 16000, 22050, 44100, 48000];
+
+const BUFFER_SIZE = 4096;
+
+// `onChunk` receives each captured block (mono, at the context's sample rate)
+// as it arrives, e.g. for streaming analysis.
+export function createPcmRecorder(sourceNode, { onChunk } = {}) {
+  const audioCtx = sourceNode.context;
+  const channels = sourceNode.channelCount || 1;
+  // ScriptProcessorNode is deprecated but, unlike AudioWorklet, needs no
+  // separately served module and works in every browser we target.
+  const processor = audioCtx.createScriptProcessor(BUFFER_SIZE, channels, 1);
+  const chunks = [];
+  let length = 0;
+
+  processor.onaudioprocess = (event) => {
+    const input = event.inputBuffer;
+    const chunk = new Float32Array(input.length);
+    for (let ch = 0; ch < input.numberOfChannels; ch++) {
+      const data = input.getChannelData(ch);
+      for (let i = 0; i < data.length; i++) {
+        chunk[i] += data[i] / input.numberOfChannels;
+      }
+    }
+    chunks.push(chunk);
+    length += chunk.length;
+    if (onChunk) onChunk(chunk);
+  };
+
+  sourceNode.connect(processor);
+  // The processor only runs while connected to the destination; it writes
+  // nothing to its output, so this is silent.
+  processor.connect(audioCtx.destination);
+
+  return {
+    sampleRate: audioCtx.sampleRate,
+
+    stop() {
+      sourceNode.disconnect(processor);
+      processor.disconnect();
+      processor.onaudioprocess = null;
+
+      const samples = new Float32Array(length);
+      let offset = 0;
+      chunks.forEach((chunk) => {
+        samples.set(chunk, offset);
+        offset += chunk.length;
+      });
+      return { samples, sampleRate: audioCtx.sampleRate };
+    },
+  };
+}
@@ -0,0 +1,149 @@
+// Breath-cycle segmentation from the signal envelope. Works on preprocessed
+// (band-passed, denoised) PCM.
+//
+// Breath sounds come in bursts: an inspiratory burst, a (usually quieter)
+// expiratory burst and a pause. Bursts are found by thresholding a smoothed
+// RMS envelope; the louder of the two alternating burst families is taken to
+// be inspiration, which holds for normal vesicular breath sounds.
+import { percentile } from "./stats";
+
+export const SEGMENTATION_CONFIG = {
+  frameDuration: 0.05, // RMS envelope resolution (s)
+  smoothing: 0.3, // Moving-average window (s)
+  threshold: 0.3, // Fraction of the floor-to-peak envelope range
+  minPhase: 0.3, // Shortest burst kept (s)
+  mergeGap: 0.15, // Bursts closer than this are joined (s)
+};
+
+// Resting I:E is about 1:2; 1:3 or longer is reported as prolonged expiration.
+export const PROLONGED_EXPIRATION_IE = 1 / 3;
+
+export function computeEnvelope(samples, sampleRate, config) {
+  const frameSize = Math.max(1, Math.round(config.frameDuration * sampleRate));
+  const count = Math.floor(samples.length / frameSize);
+  const rms = new Float32Array(count);
+  for (let f = 0; f < count; f++) {
+    let sum = 0;
+    for (let i = f * frameSize; i < (f + 1) * frameSize; i++) {
+      sum += samples[i] * samples[i];
+    }
+    rms[f] = Math.sqrt(sum / frameSize);
+  }
+
+  const half = Math.max(
+    0,
+    Math.round(config.smoothing / config.frameDuration / 2)
+  );
+  const smooth = new Float32Array(count);
+  for (let f = 0; f < count; f++) {
+    let sum = 0;
+    let n = 0;
+    for (
+      let k = Math.max(0, f - half);
+      k <= Math.min(count - 1, f + half);
+      k++
+    ) {
+      sum += rms[k];
+      n++;
+    }
+    smooth[f] = sum / n;
+  }
+  return smooth;
+}
+
+// Above-threshold regions of the envelope as [startFrame, endFrame) pairs.
+const findBursts = (envelope, config) => {
+  const floor = percentile(envelope, 0.1);
+  const peak = percentile(envelope, 0.95);
+  const level = floor + config.threshold * (peak - floor);
+  const minFrames = config.minPhase / config.frameDuration;
+  const gapFrames = config.mergeGap / config.frameDuration;
+
+  const bursts = [];
+  let start = -1;
+  for (let f = 0; f <= envelope.length; f++) {
+    const above = f < envelope.length && envelope[f] > level;
+    if (above && start < 0) start = f;
+    if (!above && start >= 0) {
+      const last = bursts[bursts.length - 1];
+      if (last && start - last.end < gapFrames) last.end = f;
+      else bursts.push({ start, end: f });
+      start = -1;
+    }
+  }
+
+  return bursts
+    .filter((b) => b.end - b.start >= minFrames)
+    .map((b) => {
+      let sum = 0;
+      for (let f = b.start; f < b.end; f++) sum += envelope[f];
+      return { ...b, energy: sum / (b.end - b.start) };
+    });
+};
+
+const mean = (values) =>
+  values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+
+// Returns { phases, cycles, respiratoryRate, ieRatio }. Times are in seconds;
+// respiratoryRate is breaths per minute and ieRatio is inspiration time over
+// expiration time (0.5 reads as I:E = 1:2). Either is null when too few
+// cycles were found to measure it.
+export function segmentBreathCycles({ samples, sampleRate }, options = {}) {
+  const config = { ...SEGMENTATION_CONFIG, ...options };
+  const envelope = computeEnvelope(samples, sampleRate, config);
+  const bursts = envelope.length ? findBursts(envelope, config) : [];
+  const toSeconds = (frame) => frame * config.frameDuration;
+
+  // Pick the burst parity (even or odd) that is louder on average as
+  // inspiration.
+  const parityEnergy = [0, 1].map((parity) =>
+    mean(bursts.filter((_, i) => i % 2 === parity).map((b) => b.energy))
+  );
+  const inspiratoryParity =
+    (parityEnergy[1] || 0) > (parityEnergy[0] || 0) ? 1 : 0;
+
+  const phases = bursts.map((b, i) => ({
+    type: i % 2 === inspiratoryParity ? "inspiration" : "expiration",
+    start: toSeconds(b.start),
+    end: toSeconds(b.end),
+  }));
+
+  const cycles = [];
+  phases.forEach((phase, i) => {
+    if (phase.type !== "inspiration") return;
+    const next = phases[i + 1];
+    const expiration = next && next.type === "expiration" ? next : null;
+    const following = phases.slice(i + 1).find((p) => p.type === "inspiration");
+    cycles.push({
+      start: phase.start,
+      // A cycle runs until the next inspiration, or the end of its expiration
+      // for the last one.
+      end: following
+        ? following.start
+        : expiration
+        ? expiration.end
+        : phase.end,
+      inspiration: { start: phase.start, end: phase.end },
+      expiration: expiration
+        ? { start: expiration.start, end: expiration.end }
+        : null,
+      complete: Boolean(expiration && following),
+    });
+  });
+
+  const complete = cycles.filter((c) => c.complete);
+  const cycleLength = mean(complete.map((c) => c.end - c.start));
+  const inspTime = mean(
+    complete.map((c) => c.inspiration.end - c.inspiration.start)
+  );
+  // Expiration is measured up to the next inspiration so the pause after a
+  // quiet expiratory burst counts towards it, as it does clinically.
+  const expTime = mean(complete.map((c) => c.end - c.expiration.start));
+
+  return {
+    phases,
+    cycles,
+    respiratoryRate: cycleLength ? 60 / cycleLength : null,
+    ieRatio: inspTime && expTime ? inspTime / expTime : null,
+  };
+}
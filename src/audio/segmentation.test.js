@@ -0,0 +1,79 @@
+import { segmentBreathCycles } from "./segmentation";
+
+const RATE = 8000;
+
+// Breathing at 15/min: each 4 s cycle is a loud 1 s inspiration, a 0.4 s
+// pause, a quieter 1.8 s expiration and a 0.8 s pause, all noise bursts.
+const CYCLE = 4;
+const PHASES = [
+  { type: "inspiration", start: 0, end: 1, amplitude: 0.5 },
+  { type: "expiration", start: 1.4, end: 3.2, amplitude: 0.25 },
+];
+
+const breathing = (cycles, offset = 0.5) => {
+  let state = 7;
+  const length = Math.round((offset + cycles * CYCLE + 0.5) * RATE);
+  return Float32Array.from({ length }, (_, i) => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    const white = 2 * (state / 2 ** 32) - 1;
+    const t = i / RATE - offset;
+    const inCycle = t - Math.floor(t / CYCLE) * CYCLE;
+    const phase =
+      t >= 0 && t < cycles * CYCLE
+        ? PHASES.find((p) => inCycle >= p.start && inCycle < p.end)
+        : null;
+    return white * (phase ? phase.amplitude : 0.005);
+  });
+};
+
+describe("segmentBreathCycles", () => {
+  const offset = 0.5;
+  const result = segmentBreathCycles({
+    samples: breathing(5, offset),
+    sampleRate: RATE,
+  });
+
+  it("finds alternating inspiration and expiration phases", () => {
+    expect(result.phases.map((p) => p.type)).toEqual(
+      Array.from({ length: 5 }, () => ["inspiration", "expiration"]).flat()
+    );
+  });
+
+  it("places phase boundaries where the bursts are", () => {
+    result.phases.forEach((phase, i) => {
+      const expected = PHASES[i % 2];
+      const cycleStart = offset + Math.floor(i / 2) * CYCLE;
+      expect(
+        Math.abs(phase.start - (cycleStart + expected.start))
+      ).toBeLessThan(0.25);
+      expect(Math.abs(phase.end - (cycleStart + expected.end))).toBeLessThan(
+        0.25
+      );
+    });
+  });
+
+  it("builds cycles from one inspiration to the next", () => {
+    expect(result.cycles).toHaveLength(5);
+    expect(result.cycles.filter((c) => c.complete)).toHaveLength(4);
+    result.cycles.slice(0, 4).forEach((cycle, i) => {
+      expect(cycle.end).toBe(result.cycles[i + 1].start);
+    });
+  });
+
+  it("measures rate and I:E ratio", () => {
+    expect(result.respiratoryRate).toBeCloseTo(15, 0);
+    // Expiration runs up to the next inspiration: 1 s against 2.6 s.
+    expect(result.ieRatio).toBeGreaterThan(0.3);
+    expect(result.ieRatio).toBeLessThan(0.5);
+  });
+
+  it("finds nothing in silence", () => {
+    const silent = segmentBreathCycles({
+      samples: new Float32Array(5 * RATE),
+      sampleRate: RATE,
+    });
+    expect(silent.cycles).toEqual([]);
+    expect(silent.respiratoryRate).toBeNull();
+    expect(silent.ieRatio).toBeNull();
+  });
+});
@@ -0,0 +1,9 @@
+// Small numeric helpers shared by the envelope-based analyses (segmentation,
+// quality and heart-sound detection).
+
+// Nearest-rank percentile of `values`, `p` between 0 and 1; the input is not
+// modified.
+export const percentile = (values, p) => {
+  const sorted = Float32Array.from(values).sort();
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+};
@@ -0,0 +1,162 @@
+// RIFF/WAVE encoding for mono PCM. 16-bit output is integer PCM
+// (WAVE_FORMAT_PCM); 32-bit output is IEEE float (WAVE_FORMAT_IEEE_FLOAT),
+// which carries the extended fmt chunk and the fact chunk the spec requires.
+//
+// decodeWav() reads WAV files without Web Audio, for the benchmark harness
+// (evaluation/), which also runs under Node.
+export const BIT_DEPTHS = [
+  { value: 16, label: "16-bit PCM" },
+  { value: 32, label: "32-bit float" },
+];
+
+const writeString = (view, offset, text) => {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+};
+
+export function encodeWav(samples, sampleRate, bitDepth = 16) {
+  if (bitDepth !== 16 && bitDepth !== 32) {
+    throw new Error(`Unsupported WAV bit depth ${bitDepth}.`);
+  }
+
+  const isFloat = bitDepth === 32;
+  const bytesPerSample = bitDepth / 8;
+  const dataSize = samples.length * bytesPerSample;
+  const fmtSize = isFloat ? 18 : 16;
+  const factSize = isFloat ? 12 : 0;
+  const headerSize = 12 + 8 + fmtSize + factSize + 8;
+
+  const buffer = new ArrayBuffer(headerSize + dataSize);
+  const view = new DataView(buffer);
+  let offset = 0;
+
+  writeString(view, offset, "RIFF");
+  view.setUint32(offset + 4, buffer.byteLength - 8, true);
+  writeString(view, offset + 8, "WAVE");
+  offset += 12;
+
+  writeString(view, offset, "fmt ");
+  view.setUint32(offset + 4, fmtSize, true);
+  view.setUint16(offset + 8, isFloat ? 3 : 1, true); // Format tag
+  view.setUint16(offset + 10, 1, true); // Channels
+  view.setUint32(offset + 12, sampleRate, true);
+  view.setUint32(offset + 16, sampleRate * bytesPerSample, true); // Byte rate
+  view.setUint16(offset + 20, bytesPerSample, true); // Block align
+  view.setUint16(offset + 22, bitDepth, true);
+  if (isFloat) view.setUint16(offset + 24, 0, true); // cbSize
+  offset += 8 + fmtSize;
+
+  if (isFloat) {
+    writeString(view, offset, "fact");
+    view.setUint32(offset + 4, 4, true);
+    view.setUint32(offset + 8, samples.length, true);
+    offset += factSize;
+  }
+
+  writeString(view, offset, "data");
+  view.setUint32(offset + 4, dataSize, true);
+  offset += 8;
+
+  for (let i = 0; i < samples.length; i++, offset += bytesPerSample) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    if (isFloat) {
+      view.setFloat32(offset, s, true);
+    } else {
+      view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+    }
+  }
+
+  return buffer;
+}
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+const readString = (view, offset, length) =>
+  String.fromCharCode(
+    ...Array.from({ length }, (_, i) => view.getUint8(offset + i))
+  );
+
+// Sample reader for one container format, returning values in [-1, 1).
+const sampleReader = (view, format, bitDepth) => {
+  if (format === WAVE_FORMAT_IEEE_FLOAT && bitDepth === 32) {
+    return (offset) => view.getFloat32(offset, true);
+  }
+  if (format === WAVE_FORMAT_PCM) {
+    switch (bitDepth) {
+      case 8: // Unsigned
+        return (offset) => (view.getUint8(offset) - 128) / 128;
+      case 16:
+        return (offset) => view.getInt16(offset, true) / 0x8000;
+      case 24:
+        return (offset) =>
+          ((view.getInt8(offset + 2) << 16) |
+            (view.getUint8(offset + 1) << 8) |
+            view.getUint8(offset)) /
+          0x800000;
+      case 32:
+        return (offset) => view.getInt32(offset, true) / 0x80000000;
+      default:
+        break;
+    }
+  }
+  throw new Error(
+    `Unsupported WAV encoding (format ${format}, ${bitDepth}-bit).`
+  );
+};
+
+// Decodes integer PCM (8/16/24/32-bit) or 32-bit float WAV data into mono
+// PCM, averaging the channels like decodeAudio() does.
+export function decodeWav(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  if (
+    view.byteLength < 12 ||
+    readString(view, 0, 4) !== "RIFF" ||
+    readString(view, 8, 4) !== "WAVE"
+  ) {
+    throw new Error("Not a RIFF/WAVE file.");
+  }
+
+  let fmt = null;
+  let data = null;
+  for (let offset = 12; offset + 8 <= view.byteLength; ) {
+    const id = readString(view, offset, 4);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    if (id === "fmt ") {
+      let format = view.getUint16(body, true);
+      if (format === WAVE_FORMAT_EXTENSIBLE) {
+        format = view.getUint16(body + 24, true); // SubFormat GUID prefix
+      }
+      fmt = {
+        format,
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        blockAlign: view.getUint16(body + 12, true),
+        bitDepth: view.getUint16(body + 14, true),
+      };
+    } else if (id === "data") {
+      // Some writers leave the size unset or too large; clamp to the file.
+      data = { offset: body, size: Math.min(size, view.byteLength - body) };
+    }
+    offset = body + size + (size % 2); // Chunks are word aligned
+  }
+  if (!fmt || !data) throw new Error("WAV file has no fmt or data chunk.");
+
+  const read = sampleReader(view, fmt.format, fmt.bitDepth);
+  const bytesPerSample = fmt.bitDepth / 8;
+  const length = Math.floor(data.size / fmt.blockAlign);
+  const samples = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    const frame = data.offset + i * fmt.blockAlign;
+    let sum = 0;
+    for (let ch = 0; ch < fmt.channels; ch++) {
+      sum += read(frame + ch * bytesPerSample);
+    }
+    samples[i] = sum / fmt.channels;
+  }
+
+  return { samples, sampleRate: fmt.sampleRate };
+}
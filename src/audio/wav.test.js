@@ -0,0 +1,100 @@
+import { BIT_DEPTHS, decodeWav, encodeWav } from "./wav";
+
+const RATE = 4000;
+
+const tone = Float32Array.from(
+  { length: RATE / 10 },
+  (_, i) => 0.8 * Math.sin((2 * Math.PI * 440 * i) / RATE)
+);
+
+const text = (buffer, offset, length) =>
+  String.fromCharCode(...new Uint8Array(buffer, offset, length));
+
+// Canonical 44-byte header around raw sample bytes, for formats encodeWav()
+// does not write.
+const pcmFile = (bytes, { channels, bitDepth }) => {
+  const blockAlign = (channels * bitDepth) / 8;
+  const buffer = new ArrayBuffer(44 + bytes.length);
+  const view = new DataView(buffer);
+  const write = (offset, s) =>
+    [...s].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+  write(0, "RIFF");
+  view.setUint32(4, buffer.byteLength - 8, true);
+  write(8, "WAVE");
+  write(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, RATE, true);
+  view.setUint32(28, RATE * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+  write(36, "data");
+  view.setUint32(40, bytes.length, true);
+  new Uint8Array(buffer, 44).set(bytes);
+  return buffer;
+};
+
+describe("encodeWav", () => {
+  it("writes a 44-byte PCM header for 16-bit output", () => {
+    const buffer = encodeWav(tone, RATE, 16);
+    expect(buffer.byteLength).toBe(44 + 2 * tone.length);
+    expect(text(buffer, 0, 4)).toBe("RIFF");
+    expect(text(buffer, 8, 4)).toBe("WAVE");
+    expect(new DataView(buffer).getUint16(20, true)).toBe(1);
+  });
+
+  it("writes a float fmt chunk and a fact chunk for 32-bit output", () => {
+    const buffer = encodeWav(tone, RATE, 32);
+    const view = new DataView(buffer);
+    expect(view.getUint16(20, true)).toBe(3);
+    expect(text(buffer, 38, 4)).toBe("fact");
+    expect(view.getUint32(46, true)).toBe(tone.length);
+    expect(text(buffer, 50, 4)).toBe("data");
+  });
+
+  it("rejects other bit depths", () => {
+    expect(() => encodeWav(tone, RATE, 8)).toThrow("Unsupported WAV bit depth");
+  });
+});
+
+describe("decodeWav", () => {
+  BIT_DEPTHS.forEach(({ value, label }) => {
+    it(`round-trips ${label}`, () => {
+      const decoded = decodeWav(encodeWav(tone, RATE, value));
+      expect(decoded.sampleRate).toBe(RATE);
+      expect(decoded.samples).toHaveLength(tone.length);
+      // Positive 16-bit samples are scaled by 0x7fff but read back over
+      // 0x8000, so they may come back up to two steps low.
+      const tolerance = value === 32 ? 0 : 2 / 0x8000;
+      decoded.samples.forEach((s, i) => {
+        expect(Math.abs(s - tone[i])).toBeLessThanOrEqual(tolerance);
+      });
+    });
+  });
+
+  it("clamps samples outside [-1, 1]", () => {
+    const { samples } = decodeWav(encodeWav([2, -2], RATE, 32));
+    expect(Array.from(samples)).toEqual([1, -1]);
+  });
+
+  it("averages the channels of 8-bit stereo", () => {
+    const { samples } = decodeWav(
+      pcmFile(Uint8Array.from([192, 128, 0, 64]), {
+        channels: 2,
+        bitDepth: 8,
+      })
+    );
+    expect(Array.from(samples)).toEqual([0.25, -0.75]);
+  });
+
+  it("rejects files that are not RIFF/WAVE", () => {
+    expect(() => decodeWav(new ArrayBuffer(8))).toThrow("Not a RIFF/WAVE");
+  });
+
+  it("rejects unsupported encodings", () => {
+    expect(() =>
+      decodeWav(pcmFile(new Uint8Array(4), { channels: 1, bitDepth: 12 }))
+    ).toThrow("Unsupported WAV encoding");
+  });
+});
@@ -0,0 +1,104 @@
+import React from "react";
+import { Tags, Trash2, FileAudio } from "lucide-react";
+import {
+  ANNOTATION_TAGS,
+  tagById,
+  updateRegion,
+  removeRegion,
+} from "../annotation/annotations";
+
+// Region list and file-level diagnosis for the clip in the waveform viewer.
+// Regions are created in the viewer's annotate mode.
+export default function AnnotationEditor({
+  annotations,
+  onChange,
+  diagnosisOptions,
+  onExport,
+  saved,
+}) {
+  const { regions, diagnosis } = annotations;
+
+  return (
+    <div className="mt-4 border border-slate-200 rounded-xl p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-slate-700 flex items-center space-x-2">
+          <Tags className="w-4 h-4 text-teal-600" />
+          <span>Annotations</span>
+          <span className="text-xs font-normal text-slate-400">
+            {saved ? "saved with the session" : "saved when analysed"}
+          </span>
+        </h3>
+        <button
+          onClick={onExport}
+          title="Download the recording and its labels in the ICBHI 2017 format"
+          className="flex items-center space-x-1 text-xs font-medium text-teal-700 hover:text-teal-900"
+        >
+          <FileAudio className="w-4 h-4" />
+          <span>ICBHI .wav + .txt</span>
+        </button>
+      </div>
+
+      <label className="flex items-center space-x-2 text-sm mb-3">
+        <span className="text-slate-600 shrink-0">Diagnosis</span>
+        <input
+          type="text"
+          list="annotation-diagnoses"
+          value={diagnosis}
+          onChange={(e) =>
+            onChange({ ...annotations, diagnosis: e.target.value })
+          }
+          placeholder="File-level diagnosis"
+          className="flex-1 border border-slate-300 rounded-lg px-3 py-1.5"
+        />
+        <datalist id="annotation-diagnoses">
+          {diagnosisOptions.map((label) => (
+            <option key={label} value={label} />
+          ))}
+        </datalist>
+      </label>
+
+      {regions.length === 0 ? (
+        <p className="text-xs text-slate-500">
+          Switch the viewer to Annotate and drag across the waveform to label
+          breath phases, crackles, wheezes or artifacts.
+        </p>
+      ) : (
+        <ul className="divide-y divide-slate-100 text-xs">
+          {regions.map((region) => (
+            <li key={region.id} className="py-1.5 flex items-center space-x-3">
+              <select
+                value={region.tag}
+                onChange={(e) =>
+                  onChange(
+                    updateRegion(annotations, region.id, {
+                      tag: e.target.value,
+                    })
+                  )
+                }
+                className={`rounded px-2 py-1 font-medium ${
+                  tagById(region.tag).chip
+                }`}
+              >
+                {ANNOTATION_TAGS.map((tag) => (
+                  <option key={tag.id} value={tag.id}>
+                    {tag.label}
+                  </option>
+                ))}
+              </select>
+              <span className="font-mono text-slate-600 flex-1">
+                {region.start.toFixed(2)}–{region.end.toFixed(2)}s
+              </span>
+              <button
+                onClick={() => onChange(removeRegion(annotations, region.id))}
+                title="Delete region"
+                className="p-1 rounded text-slate-400 hover:text-red-600 hover:bg-red-50"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
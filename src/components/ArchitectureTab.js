@@ -0,0 +1,595 @@
+import React, { useState, useEffect, useRef } from "react";
+import {
+  Layers,
+  Tags,
+  Activity,
+  Wrench,
+  Plus,
+  Trash2,
+  Save,
+  Download,
+  ChevronRight,
+} from "lucide-react";
+import { FEATURE_CONFIG } from "../audio/features";
+import { PREPROCESS_CONFIG } from "../audio/preprocess";
+import { loadTf } from "../inference/loadTf";
+import { describeModel } from "../inference/describe";
+import {
+  CNN_GRU_CONFIG,
+  buildCnnGru,
+  compileModel,
+  modelSource,
+} from "../training/model";
+import {
+  TRAINING_DEFAULTS,
+  saveToBrowser,
+  downloadModel,
+} from "../training/train";
+import { downloadFile, fileStamp } from "../report/download";
+import { logEvent } from "../storage/audit";
+
+const CARD = "bg-white rounded-2xl shadow-sm border border-slate-200 p-6";
+const HEADING =
+  "text-sm font-bold text-slate-400 uppercase tracking-wider mb-4 flex items-center space-x-2";
+
+const formatCount = (n) => n.toLocaleString();
+
+const formatShape = (shape) =>
+  Array.isArray(shape[0])
+    ? shape.map(formatShape).join(", ")
+    : `[${shape.join(", ")}]`;
+
+function LayerTable({ description }) {
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-left text-slate-500 border-b border-slate-200">
+            <th className="py-2 pr-3 font-semibold">Layer</th>
+            <th className="py-2 pr-3 font-semibold">Type</th>
+            <th className="py-2 pr-3 font-semibold">Output shape</th>
+            <th className="py-2 pr-3 font-semibold text-right">Params</th>
+            <th className="py-2 font-semibold">Settings</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-slate-100">
+          {description.layers.map((layer) => (
+            <tr
+              key={layer.name}
+              className={layer.trainable ? "" : "text-slate-400"}
+            >
+              <td className="py-1.5 pr-3 font-mono">{layer.name}</td>
+              <td className="py-1.5 pr-3">{layer.type}</td>
+              <td className="py-1.5 pr-3 font-mono">
+                {formatShape(layer.outputShape)}
+              </td>
+              <td className="py-1.5 pr-3 font-mono text-right">
+                {formatCount(layer.params)}
+              </td>
+              <td className="py-1.5 text-slate-500">{layer.details}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr className="border-t border-slate-200 font-semibold text-slate-700">
+            <td className="py-2 pr-3" colSpan={3}>
+              Total ({formatCount(description.trainableParams)} trainable)
+            </td>
+            <td className="py-2 pr-3 font-mono text-right">
+              {formatCount(description.totalParams)}
+            </td>
+            <td />
+          </tr>
+        </tfoot>
+      </table>
+    </div>
+  );
+}
+
+function Fact({ label, children, title }) {
+  return (
+    <div className="bg-slate-50 rounded-lg border border-slate-100 p-3">
+      <p className="text-xs text-slate-500">{label}</p>
+      <p
+        className="text-sm font-semibold text-slate-800 break-all"
+        title={title}
+      >
+        {children}
+      </p>
+    </div>
+  );
+}
+
+// The loaded inference backend as the analysis worker sees it.
+function LoadedModel({ engine, description, loading }) {
+  if (engine.id === "demo") {
+    return (
+      <p className="text-sm text-slate-500">
+        The demo backend has no network: it returns random probabilities for{" "}
+        {engine.outputSize} classes from a [{engine.inputShape.join(", ")}]
+        input. Load a TensorFlow.js model in the Detect tab to inspect it here.
+      </p>
+    );
+  }
+  if (!engine.ready) {
+    return (
+      <p className="text-sm text-slate-500">
+        No TensorFlow.js model is loaded yet.
+      </p>
+    );
+  }
+  if (loading || !description) {
+    return <p className="text-sm text-slate-500">Inspecting model...</p>;
+  }
+
+  const { metadata } = description;
+  return (
+    <>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+        <Fact label="Input shape">[{description.inputShape.join(", ")}]</Fact>
+        <Fact label="Outputs">{description.outputSize}</Fact>
+        <Fact label="Parameters">{formatCount(description.totalParams)}</Fact>
+        <Fact label="Weights SHA-256" title={description.hash || undefined}>
+          {description.hash ? description.hash.slice(0, 12) : "unavailable"}
+        </Fact>
+      </div>
+      <p className="text-xs text-slate-500 mb-4 break-all">
+        Source: <span className="font-mono">{engine.source}</span>
+        {metadata && metadata.trainedAt && (
+          <> · trained {new Date(metadata.trainedAt).toLocaleString()}</>
+        )}
+      </p>
+      <LayerTable description={description} />
+    </>
+  );
+}
+
+const CONFIG_ROWS = (inputShape, heartSuppression) => [
+  ["Sample rate", `${PREPROCESS_CONFIG.sampleRate} Hz`],
+  ["Band-pass", `${PREPROCESS_CONFIG.lowCut}–${PREPROCESS_CONFIG.highCut} Hz`],
+  ["Denoising", PREPROCESS_CONFIG.denoise ? "spectral subtraction" : "off"],
+  ["Heart-sound suppression", heartSuppression ? "on" : "off"],
+  ["STFT", `${FEATURE_CONFIG.nFft}-point, hop ${FEATURE_CONFIG.hopLength}`],
+  [
+    "Mel filterbank",
+    `${FEATURE_CONFIG.nMels} bands, ${FEATURE_CONFIG.fMin}–${FEATURE_CONFIG.fMax} Hz`,
+  ],
+  ["MFCCs", inputShape[1]],
+  [
+    "Time steps",
+    `${inputShape[0]} (${(
+      (inputShape[0] * FEATURE_CONFIG.hopLength) /
+      PREPROCESS_CONFIG.sampleRate
+    ).toFixed(1)} s)`,
+  ],
+  ["Normalisation", FEATURE_CONFIG.normalize ? "per coefficient" : "off"],
+];
+
+function NumberInput({ value, onChange, min, max, step = 1 }) {
+  return (
+    <input
+      type="number"
+      value={value}
+      min={min}
+      max={max}
+      step={step}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className="w-20 border border-slate-300 rounded px-2 py-1 text-xs"
+    />
+  );
+}
+
+const Labelled = ({ label, children }) => (
+  <label className="flex items-center space-x-2 text-xs text-slate-600">
+    <span>{label}</span>
+    {children}
+  </label>
+);
+
+const NEW_BLOCK = {
+  filters: 64,
+  kernelSize: 3,
+  batchNorm: false,
+  poolSize: 2,
+  dropout: 0,
+};
+
+// Edits a CNN_GRU_CONFIG-shaped config and builds an untrained model from it.
+function ModelBuilder({ classConfig }) {
+  const [config, setConfig] = useState(CNN_GRU_CONFIG);
+  const [built, setBuilt] = useState(null); // describeModel() of the last build
+  const [status, setStatus] = useState(null);
+  const modelRef = useRef(null);
+  const classes = classConfig.classes.length;
+
+  useEffect(
+    () => () => {
+      if (modelRef.current) modelRef.current.dispose();
+    },
+    []
+  );
+
+  const change = (next) => {
+    setConfig(next);
+    setBuilt(null);
+    setStatus(null);
+  };
+  const setBlock = (index, key, value) =>
+    change({
+      ...config,
+      conv: config.conv.map((b, i) =>
+        i === index ? { ...b, [key]: value } : b
+      ),
+    });
+  const setPart = (part, key, value) =>
+    change({ ...config, [part]: { ...config[part], [key]: value } });
+
+  const build = async () => {
+    setStatus({ message: "Building..." });
+    try {
+      const tf = await loadTf();
+      const model = compileModel(tf, buildCnnGru(tf, { classes, config }), {
+        learningRate: TRAINING_DEFAULTS.learningRate,
+      });
+      if (modelRef.current) modelRef.current.dispose();
+      modelRef.current = model;
+      setBuilt(await describeModel(model));
+      setStatus(null);
+    } catch (err) {
+      console.error("Error building model:", err);
+      setStatus({ error: true, message: err.message });
+    }
+  };
+
+  const name = `cnn-gru-${fileStamp(Date.now())}`;
+  const save = async () => {
+    try {
+      const url = await saveToBrowser(modelRef.current, name, classConfig);
+      setStatus({ message: `Saved as ${url}; train it in the Training tab.` });
+    } catch (err) {
+      console.error("Error saving model:", err);
+      setStatus({ error: true, message: err.message });
+    }
+  };
+
+  const downloadConfig = () => {
+    downloadFile(
+      JSON.stringify(config, null, 2),
+      `${name}.config.json`,
+      "application/json"
+    );
+    logEvent("export", {
+      details: { format: "model-config", file: `${name}.config.json` },
+    });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap gap-4">
+        <Labelled label="Time steps">
+          <NumberInput
+            value={config.inputShape[0]}
+            min={8}
+            max={1024}
+            onChange={(v) =>
+              change({ ...config, inputShape: [v, config.inputShape[1]] })
+            }
+          />
+        </Labelled>
+        <Labelled label="MFCCs">
+          <NumberInput
+            value={config.inputShape[1]}
+            min={1}
+            max={FEATURE_CONFIG.nMels}
+            onChange={(v) =>
+              change({ ...config, inputShape: [config.inputShape[0], v] })
+            }
+          />
+        </Labelled>
+      </div>
+
+      {config.conv.map((block, i) => (
+        <div
+          key={i}
+          className="flex flex-wrap items-center gap-4 border border-slate-200 rounded-lg p-3"
+        >
+          <span className="text-xs font-semibold text-slate-700">
+            Conv {i + 1}
+          </span>
+          <Labelled label="Filters">
+            <NumberInput
+              value={block.filters}
+              min={1}
+              max={1024}
+              onChange={(v) => setBlock(i, "filters", v)}
+            />
+          </Labelled>
+          <Labelled label="Kernel">
+            <NumberInput
+              value={block.kernelSize}
+              min={1}
+              max={31}
+              onChange={(v) => setBlock(i, "kernelSize", v)}
+            />
+          </Labelled>
+          <Labelled label="Pool">
+            <NumberInput
+              value={block.poolSize}
+              min={1}
+              max={8}
+              onChange={(v) => setBlock(i, "poolSize", v)}
+            />
+          </Labelled>
+          <Labelled label="Dropout">
+            <NumberInput
+              value={block.dropout}
+              min={0}
+              max={0.9}
+              step={0.05}
+              onChange={(v) => setBlock(i, "dropout", v)}
+            />
+          </Labelled>
+          <Labelled label="Batch norm">
+            <input
+              type="checkbox"
+              checked={block.batchNorm}
+              onChange={(e) => setBlock(i, "batchNorm", e.target.checked)}
+            />
+          </Labelled>
+          <button
+            onClick={() =>
+              change({ ...config, conv: config.conv.filter((_, j) => j !== i) })
+            }
+            disabled={config.conv.length === 1}
+            title="Remove block"
+            className="ml-auto p-1 rounded text-slate-400 hover:text-red-600 hover:bg-red-50 disabled:opacity-30"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+      <button
+        onClick={() => change({ ...config, conv: [...config.conv, NEW_BLOCK] })}
+        className="flex items-center space-x-1 text-xs font-medium text-teal-700 hover:text-teal-900"
+      >
+        <Plus className="w-4 h-4" />
+        <span>Add conv block</span>
+      </button>
+
+      <div className="flex flex-wrap items-center gap-4 border border-slate-200 rounded-lg p-3">
+        <span className="text-xs font-semibold text-slate-700">GRU</span>
+        <Labelled label="Units">
+          <NumberInput
+            value={config.gru.units}
+            min={1}
+            max={1024}
+            onChange={(v) => setPart("gru", "units", v)}
+          />
+        </Labelled>
+        <Labelled label="Dropout">
+          <NumberInput
+            value={config.gru.dropout}
+            min={0}
+            max={0.9}
+            step={0.05}
+            onChange={(v) => setPart("gru", "dropout", v)}
+          />
+        </Labelled>
+        <Labelled label="Recurrent dropout">
+          <NumberInput
+            value={config.gru.recurrentDropout}
+            min={0}
+            max={0.9}
+            step={0.05}
+            onChange={(v) => setPart("gru", "recurrentDropout", v)}
+          />
+        </Labelled>
+      </div>
+      <div className="flex flex-wrap items-center gap-4 border border-slate-200 rounded-lg p-3">
+        <span className="text-xs font-semibold text-slate-700">Dense</span>
+        <Labelled label="Units">
+          <NumberInput
+            value={config.dense.units}
+            min={1}
+            max={1024}
+            onChange={(v) => setPart("dense", "units", v)}
+          />
+        </Labelled>
+        <Labelled label="Dropout">
+          <NumberInput
+            value={config.dense.dropout}
+            min={0}
+            max={0.9}
+            step={0.05}
+            onChange={(v) => setPart("dense", "dropout", v)}
+          />
+        </Labelled>
+        <span className="text-xs text-slate-500">
+          Output: {classes} classes (
+          {classConfig.classes.map((c) => c.label).join(", ")})
+        </span>
+      </div>
+
+      <div className="rounded-xl overflow-hidden border border-slate-800">
+        <div className="bg-slate-900 text-slate-300 px-4 py-2 flex justify-between items-center">
+          <span className="font-mono text-sm">model_architecture.js</span>
+          <span className="text-xs bg-teal-900 text-teal-300 px-2 py-1 rounded">
+            TensorFlow.js
+          </span>
+        </div>
+        <pre className="p-4 overflow-x-auto bg-[#0f172a] font-mono text-xs text-blue-100 leading-relaxed">
+          {modelSource({ classes, config })}
+        </pre>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          onClick={build}
+          className="flex items-center space-x-2 px-4 py-2 rounded-lg text-sm font-semibold bg-teal-600 text-white hover:bg-teal-700"
+        >
+          <Wrench className="w-4 h-4" />
+          <span>Build untrained model</span>
+        </button>
+        <button
+          onClick={downloadConfig}
+          className="flex items-center space-x-2 px-4 py-2 rounded-lg text-sm font-medium text-teal-700 border border-teal-200 hover:bg-teal-50"
+        >
+          <Download className="w-4 h-4" />
+          <span>Config JSON</span>
+        </button>
+        {built && (
+          <>
+            <button
+              onClick={save}
+              className="flex items-center space-x-2 px-4 py-2 rounded-lg text-sm font-medium text-teal-700 border border-teal-200 hover:bg-teal-50"
+            >
+              <Save className="w-4 h-4" />
+              <span>Save in browser</span>
+            </button>
+            <button
+              onClick={() => downloadModel(modelRef.current, name, classConfig)}
+              className="flex items-center space-x-2 px-4 py-2 rounded-lg text-sm font-medium text-teal-700 border border-teal-200 hover:bg-teal-50"
+            >
+              <Download className="w-4 h-4" />
+              <span>TF.js model</span>
+            </button>
+          </>
+        )}
+      </div>
+      {status && (
+        <p
+          className={`text-xs ${
+            status.error ? "text-red-600" : "text-slate-500"
+          }`}
+        >
+          {status.message}
+        </p>
+      )}
+      {built && <LayerTable description={built} />}
+    </div>
+  );
+}
+
+// Introspects the live inference backend (layers, shapes, parameters, labels,
+// feature settings and a weights fingerprint) and hosts the model builder.
+export default function ArchitectureTab({
+  engine,
+  classConfig,
+  heartSuppression,
+}) {
+  const [description, setDescription] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const source = engine && engine.source;
+
+  useEffect(() => {
+    if (!engine) return undefined;
+    let cancelled = false;
+    setLoading(true);
+    engine
+      .describe()
+      .then((next) => !cancelled && setDescription(next))
+      .catch((err) => {
+        console.error("Error inspecting model:", err);
+        if (!cancelled) setDescription(null);
+      })
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [engine, source]);
+
+  if (!engine) return null;
+  const inputShape = engine.inputShape || CNN_GRU_CONFIG.inputShape;
+
+  return (
+    <div className="max-w-5xl mx-auto space-y-6">
+      <div className={CARD}>
+        <h3 className={HEADING}>
+          <Layers className="w-4 h-4" />
+          <span>Loaded model · {engine.name}</span>
+        </h3>
+        <LoadedModel
+          engine={engine}
+          description={description}
+          loading={loading}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className={CARD}>
+          <h3 className={HEADING}>
+            <Tags className="w-4 h-4" />
+            <span>Labels</span>
+          </h3>
+          <ol className="space-y-1 text-sm">
+            {classConfig.classes.map((c, i) => (
+              <li key={c.label} className="flex justify-between">
+                <span className="text-slate-700">
+                  <span className="font-mono text-slate-400 mr-2">{i}</span>
+                  {c.label}
+                </span>
+                <span className="text-xs text-slate-500">{c.severity}</span>
+              </li>
+            ))}
+          </ol>
+          <p className="mt-3 text-xs text-slate-500">
+            Decision threshold {(classConfig.threshold * 100).toFixed(0)}%;{" "}
+            {engine.classConfig
+              ? "shipped with the model"
+              : "default class config"}
+            .
+          </p>
+        </div>
+
+        <div className={CARD}>
+          <h3 className={HEADING}>
+            <Activity className="w-4 h-4" />
+            <span>Preprocessing &amp; features</span>
+          </h3>
+          <dl className="grid grid-cols-2 gap-x-4 gap-y-1 text-sm">
+            {CONFIG_ROWS(inputShape, heartSuppression).map(([label, value]) => (
+              <React.Fragment key={label}>
+                <dt className="text-slate-500">{label}</dt>
+                <dd className="text-slate-800 font-mono text-xs self-center">
+                  {value}
+                </dd>
+              </React.Fragment>
+            ))}
+          </dl>
+        </div>
+      </div>
+
+      <div className={CARD}>
+        <h3 className={HEADING}>
+          <Wrench className="w-4 h-4" />
+          <span>Model builder</span>
+        </h3>
+        <ModelBuilder classConfig={classConfig} />
+        <div className="mt-6 pt-6 border-t border-slate-100">
+          <h4 className="font-semibold text-slate-800 mb-2">
+            Why this Architecture?
+          </h4>
+          <ul className="space-y-2 text-sm text-slate-600">
+            <li className="flex items-start">
+              <ChevronRight className="w-4 h-4 text-teal-500 mt-0.5 mr-2 shrink-0" />
+              <span>
+                <strong>CNN (1D Convolution):</strong> Excellent at detecting
+                local features in audio spectrograms, such as the specific
+                frequency spikes caused by crackles or wheezes.
+              </span>
+            </li>
+            <li className="flex items-start">
+              <ChevronRight className="w-4 h-4 text-teal-500 mt-0.5 mr-2 shrink-0" />
+              <span>
+                <strong>GRU (Gated Recurrent Unit):</strong> More efficient than
+                LSTM, it remembers sequences. Respiratory diseases often
+                manifest as patterns over time (e.g., a wheeze lasts for a
+                specific duration in the breath cycle).
+              </span>
+            </li>
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
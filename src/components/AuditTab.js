@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from "react";
+import {
+  ScrollText,
+  ShieldCheck,
+  ShieldAlert,
+  FileJson,
+  FileSpreadsheet,
+} from "lucide-react";
+import {
+  AUDIT_EVENTS,
+  listEvents,
+  verifyAuditLog,
+  logEvent,
+} from "../storage/audit";
+import { toCsv } from "../report/csv";
+import { downloadFile, fileStamp } from "../report/download";
+import { routeHash } from "../navigation/routes";
+
+const formatDateTime = (t) =>
+  new Date(t).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "medium",
+  });
+
+const formatDetails = (details) =>
+  Object.entries(details)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(
+      ([key, value]) =>
+        `${key}: ${Array.isArray(value) ? value.join(", ") : value}`
+    )
+    .join(" · ");
+
+const CSV_HEADER = [
+  "id",
+  "time",
+  "event",
+  "operator",
+  "patient",
+  "session",
+  "details",
+  "hash",
+];
+
+const csvRow = (e) => [
+  e.id,
+  new Date(e.at).toISOString(),
+  e.type,
+  e.operator,
+  e.patientId,
+  e.sessionId,
+  JSON.stringify(e.details),
+  e.hash,
+];
+
+// The audit log (storage/audit.js): every entry newest first, with a check of
+// the hash chain, filtering by event type and export as JSON or CSV.
+export default function AuditTab() {
+  const [events, setEvents] = useState(null);
+  const [broken, setBroken] = useState(undefined); // First bad id, or null
+  const [error, setError] = useState(null);
+  const [type, setType] = useState("");
+
+  useEffect(() => {
+    listEvents()
+      .then(async (list) => {
+        setEvents(list);
+        setBroken(await verifyAuditLog(list));
+      })
+      .catch((err) => {
+        console.error("Error loading the audit log:", err);
+        setError(err.message);
+      });
+  }, []);
+
+  // The exported file is the log as loaded; the export itself is logged after
+  const exportLog = (format) => {
+    const base = `respironet-audit-${fileStamp()}`;
+    if (format === "json") {
+      downloadFile(
+        JSON.stringify(events, null, 2),
+        `${base}.json`,
+        "application/json"
+      );
+    } else {
+      downloadFile(
+        toCsv([CSV_HEADER, ...events.map(csvRow)]),
+        `${base}.csv`,
+        "text/csv"
+      );
+    }
+    logEvent("export", {
+      details: { format: `audit-${format}`, entries: events.length },
+    });
+  };
+
+  if (error || !events) {
+    return (
+      <div className="max-w-4xl mx-auto bg-white rounded-2xl shadow-sm border border-slate-200 p-8 text-center text-sm text-slate-500">
+        {error || "Loading audit log..."}
+      </div>
+    );
+  }
+
+  const visible = events
+    .filter((e) => !type || e.type === type)
+    .slice()
+    .reverse();
+
+  return (
+    <div className="max-w-4xl mx-auto bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h2 className="text-lg font-semibold flex items-center space-x-2">
+          <ScrollText className="w-5 h-5 text-teal-600" />
+          <span>Audit Log</span>
+        </h2>
+        <div className="flex items-center space-x-4">
+          <button
+            onClick={() => exportLog("json")}
+            disabled={events.length === 0}
+            className="flex items-center space-x-1 text-xs font-medium text-teal-700 hover:text-teal-900 disabled:text-slate-300"
+          >
+            <FileJson className="w-4 h-4" />
+            <span>Export JSON</span>
+          </button>
+          <button
+            onClick={() => exportLog("csv")}
+            disabled={events.length === 0}
+            className="flex items-center space-x-1 text-xs font-medium text-teal-700 hover:text-teal-900 disabled:text-slate-300"
+          >
+            <FileSpreadsheet className="w-4 h-4" />
+            <span>Export CSV</span>
+          </button>
+        </div>
+      </div>
+
+      {broken !== undefined && events.length > 0 && (
+        <p
+          className={`flex items-center space-x-2 text-sm rounded-lg px-4 py-2 mb-4 border ${
+            broken === null
+              ? "text-teal-800 bg-teal-50 border-teal-200"
+              : "text-red-800 bg-red-50 border-red-200"
+          }`}
+        >
+          {broken === null ? (
+            <ShieldCheck className="w-4 h-4 shrink-0" />
+          ) : (
+            <ShieldAlert className="w-4 h-4 shrink-0" />
+          )}
+          <span>
+            {broken === null
+              ? `All ${events.length} entries are intact.`
+              : `Entry ${broken} or an earlier one has been altered or removed; the log cannot be trusted from there on.`}
+          </span>
+        </p>
+      )}
+
+      <select
+        value={type}
+        onChange={(e) => setType(e.target.value)}
+        className="border border-slate-300 rounded-lg px-3 py-2 bg-white text-sm mb-4"
+      >
+        <option value="">All events</option>
+        {Object.entries(AUDIT_EVENTS).map(([id, label]) => (
+          <option key={id} value={id}>
+            {label}
+          </option>
+        ))}
+      </select>
+
+      {visible.length === 0 ? (
+        <p className="text-sm text-slate-500 text-center py-8">
+          {events.length === 0
+            ? "Nothing has been recorded yet."
+            : "No entries of this type."}
+        </p>
+      ) : (
+        <ul className="divide-y divide-slate-100">
+          {visible.map((e) => (
+            <li key={e.id} className="py-3 text-sm">
+              <p className="flex flex-wrap items-baseline gap-x-2">
+                <span className="font-medium text-slate-800">
+                  {AUDIT_EVENTS[e.type] || e.type}
+                </span>
+                <span className="text-slate-400">
+                  {formatDateTime(e.at)} · {e.operator || "Unknown operator"}
+                </span>
+                {e.patientId && (
+                  <span className="text-slate-600">{e.patientId}</span>
+                )}
+                {e.sessionId !== null && (
+                  <a
+                    href={routeHash({ sessionId: e.sessionId })}
+                    className="text-teal-700 hover:text-teal-900"
+                  >
+                    Session {e.sessionId}
+                  </a>
+                )}
+              </p>
+              {Object.keys(e.details).length > 0 && (
+                <p className="text-xs text-slate-500 break-all">
+                  {formatDetails(e.details)}
+                </p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
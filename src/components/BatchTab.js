@@ -0,0 +1,414 @@
+import React, { useState, useRef } from "react";
+import {
+  Layers,
+  Upload,
+  FolderOpen,
+  X,
+  FileSpreadsheet,
+  ArrowUp,
+  ArrowDown,
+} from "lucide-react";
+import { runQueue, isAudioFile } from "../analysis/batch";
+import {
+  AnalysisCancelledError,
+  isAnalysisCancelled,
+} from "../analysis/pipeline";
+import { decodeAudio } from "../audio/decode";
+import { buildBatchCsv } from "../report/csv";
+import { downloadFile, fileStamp } from "../report/download";
+import { logEvent, analysisDetails } from "../storage/audit";
+import { saveSession } from "../storage/sessions";
+import { SEVERITY_STYLES } from "./severityStyles";
+
+// Batch state lives in App (through this hook) so a run survives switching
+// tabs. `options` are the analysis options of the detect view.
+//
+// start() takes the patient the upload was consented for, { patientId,
+// consent } as in App's sessions; every item keeps it, each analysed file is
+// saved to the session history under it, and the upload and every analysis
+// are audited under it.
+export function useBatchAnalysis(analysis, options) {
+  const [items, setItems] = useState([]);
+  const [running, setRunning] = useState(false);
+  const controllerRef = useRef(null);
+
+  const start = async (files, { patientId = "", consent = null } = {}) => {
+    const audio = Array.from(files).filter(isAudioFile);
+    if (audio.length === 0 || controllerRef.current) return;
+    const queued = audio.map((file) => ({
+      file,
+      path: file.webkitRelativePath || file.name,
+      patientId,
+      status: "queued",
+      result: null,
+      error: null,
+    }));
+    logEvent("upload", {
+      patientId,
+      details: { files: queued.map((item) => item.path), batch: true },
+    });
+    const update = (index, changes) =>
+      setItems((list) =>
+        list.map((item, i) => (i === index ? { ...item, ...changes } : item))
+      );
+
+    // Like the detect view: the session is saved whatever the quality gate
+    // said, and the analysis is audited even when saving fails.
+    const saveResult = async (item, result) => {
+      let sessionId = null;
+      try {
+        sessionId = await saveSession({
+          audio: item.file,
+          audioName: item.file.name,
+          audioSource: "upload",
+          patientId: item.patientId,
+          result: { ...result, analyzedAt: Date.now() },
+          consent,
+        });
+      } catch (err) {
+        console.error(`Error saving the session for ${item.path}:`, err);
+      }
+      logEvent("analysis", {
+        patientId: item.patientId,
+        sessionId,
+        details: { file: item.path, batch: true, ...analysisDetails(result) },
+      });
+    };
+
+    const controller = new AbortController();
+    const { signal } = controller;
+    controllerRef.current = controller;
+    setItems(queued);
+    setRunning(true);
+
+    await runQueue(
+      queued,
+      async (item, index) => {
+        update(index, { status: "running" });
+        const decoded = await decodeAudio(item.file);
+        if (signal.aborted) throw new AnalysisCancelledError();
+        const run = analysis.analyze(decoded, options);
+        signal.addEventListener("abort", run.cancel);
+        try {
+          return await run.promise;
+        } finally {
+          signal.removeEventListener("abort", run.cancel);
+        }
+      },
+      {
+        signal,
+        onSettled: (index, { result, error }) => {
+          if (!error) saveResult(queued[index], result);
+          update(
+            index,
+            error
+              ? {
+                  status: isAnalysisCancelled(error) ? "cancelled" : "failed",
+                  error: isAnalysisCancelled(error) ? null : error.message,
+                }
+              : {
+                  status: result.quality.acceptable ? "done" : "rejected",
+                  result,
+                }
+          );
+        },
+      }
+    );
+
+    setItems((list) =>
+      list.map((item) =>
+        item.status === "queued" ? { ...item, status: "cancelled" } : item
+      )
+    );
+    controllerRef.current = null;
+    setRunning(false);
+  };
+
+  const cancel = () => {
+    if (controllerRef.current) controllerRef.current.abort();
+  };
+
+  const clear = () => {
+    if (!controllerRef.current) setItems([]);
+  };
+
+  return { items, running, start, cancel, clear };
+}
+
+const STATUS_STYLES = {
+  queued: "text-slate-400",
+  running: "text-teal-600",
+  done: "text-slate-600",
+  rejected: "text-red-600",
+  failed: "text-red-600",
+  cancelled: "text-slate-400",
+};
+
+const STATUS_LABELS = {
+  queued: "Queued",
+  running: "Analysing",
+  done: "Done",
+  rejected: "Re-record",
+  failed: "Failed",
+  cancelled: "Cancelled",
+};
+
+const accepted = (item) =>
+  Boolean(item.result && item.result.quality.acceptable);
+
+const probabilityOf = (item, label) => {
+  if (!accepted(item)) return null;
+  const entry = item.result.probabilities.find((p) => p.label === label);
+  return entry ? entry.probability : null;
+};
+
+// Sortable columns; `value` returns null for cells without a value, which
+// always sort last.
+const buildColumns = (classLabels) => [
+  { key: "file", title: "File", value: (item) => item.path },
+  {
+    key: "status",
+    title: "Status",
+    value: (item) => STATUS_LABELS[item.status],
+  },
+  {
+    key: "label",
+    title: "Label",
+    value: (item) => (accepted(item) ? item.result.label : null),
+  },
+  ...classLabels.map((label) => ({
+    key: `p:${label}`,
+    title: label,
+    numeric: true,
+    value: (item) => probabilityOf(item, label),
+    format: (p) => `${(p * 100).toFixed(0)}%`,
+  })),
+  {
+    key: "quality",
+    title: "Quality",
+    numeric: true,
+    value: (item) => (item.result ? item.result.quality.score : null),
+    format: (score) => score.toFixed(2),
+  },
+  {
+    key: "duration",
+    title: "Duration",
+    numeric: true,
+    value: (item) => (item.result ? item.result.duration : null),
+    format: (seconds) => `${seconds.toFixed(1)}s`,
+  },
+];
+
+const compare = (a, b) =>
+  typeof a === "number" ? a - b : String(a).localeCompare(String(b));
+
+// Many recordings at once: multi-file or folder upload, a sortable results
+// table and CSV export. Results are added to the session history under
+// `patientId`, the patient entered in the detect view.
+// `requestConsent(action)` runs `action` (opening a file picker) once that
+// patient's consent is confirmed, as for the detect view's uploads; `consent`
+// is then the record stored with the sessions.
+export default function BatchTab({
+  batch,
+  classLabels,
+  engineReady,
+  patientId,
+  consent,
+  requestConsent,
+}) {
+  const filesRef = useRef(null);
+  const folderRef = useRef(null);
+  const [sort, setSort] = useState({ key: "file", dir: 1 });
+  const { items, running } = batch;
+
+  const columns = buildColumns(classLabels);
+  const sortColumn = columns.find((c) => c.key === sort.key) || columns[0];
+  const rows = items
+    .map((item, index) => ({ item, index, value: sortColumn.value(item) }))
+    .sort((a, b) => {
+      if (a.value === null || b.value === null) {
+        return (a.value === null) - (b.value === null) || a.index - b.index;
+      }
+      return sort.dir * compare(a.value, b.value) || a.index - b.index;
+    });
+  const settled = items.filter(
+    (item) => item.status !== "queued" && item.status !== "running"
+  ).length;
+
+  const toggleSort = (key) =>
+    setSort((s) => ({ key, dir: s.key === key ? -s.dir : 1 }));
+
+  const pick = (e) => {
+    batch.start(e.target.files, { patientId, consent });
+    e.target.value = "";
+  };
+
+  const exportCsv = () => {
+    const filename = `respironet-batch-${fileStamp()}.csv`;
+    downloadFile(buildBatchCsv(items, classLabels), filename, "text/csv");
+    logEvent("export", {
+      details: {
+        format: "batch-csv",
+        file: filename,
+        recordings: items.length,
+      },
+    });
+  };
+
+  const uploadButton =
+    "flex items-center space-x-2 px-4 py-2 rounded-lg border border-slate-300 text-sm font-medium text-slate-600 hover:border-teal-500 hover:bg-teal-50 cursor-pointer";
+
+  return (
+    <div className="max-w-5xl mx-auto bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <h2 className="text-lg font-semibold flex items-center space-x-2 mb-4">
+        <Layers className="w-5 h-5 text-teal-600" />
+        <span>Batch Analysis</span>
+      </h2>
+
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <button
+          onClick={() => requestConsent(() => filesRef.current.click())}
+          disabled={running || !engineReady}
+          className={`${uploadButton} disabled:opacity-50 disabled:pointer-events-none`}
+        >
+          <Upload className="w-4 h-4" />
+          <span>Files</span>
+        </button>
+        <input
+          ref={filesRef}
+          type="file"
+          accept="audio/*"
+          multiple
+          className="hidden"
+          onChange={pick}
+        />
+        <button
+          onClick={() => requestConsent(() => folderRef.current.click())}
+          disabled={running || !engineReady}
+          className={`${uploadButton} disabled:opacity-50 disabled:pointer-events-none`}
+        >
+          <FolderOpen className="w-4 h-4" />
+          <span>Folder</span>
+        </button>
+        <input
+          ref={folderRef}
+          type="file"
+          webkitdirectory=""
+          className="hidden"
+          onChange={pick}
+        />
+        {items.length > 0 && (
+          <span className="text-sm text-slate-500">
+            {settled}/{items.length} analysed
+          </span>
+        )}
+        <div className="ml-auto flex items-center gap-3">
+          {running ? (
+            <button
+              onClick={batch.cancel}
+              className="flex items-center space-x-1 px-4 py-2 rounded-lg text-sm font-medium text-slate-600 border border-slate-300 hover:bg-slate-50"
+            >
+              <X className="w-4 h-4" />
+              <span>Cancel</span>
+            </button>
+          ) : (
+            items.length > 0 && (
+              <button
+                onClick={batch.clear}
+                className="px-4 py-2 rounded-lg text-sm font-medium text-slate-500 hover:bg-slate-50"
+              >
+                Clear
+              </button>
+            )
+          )}
+          <button
+            onClick={exportCsv}
+            disabled={settled === 0}
+            className="flex items-center space-x-1 px-4 py-2 rounded-lg text-sm font-medium bg-teal-600 text-white hover:bg-teal-700 disabled:bg-slate-200 disabled:text-slate-400"
+          >
+            <FileSpreadsheet className="w-4 h-4" />
+            <span>Export CSV</span>
+          </button>
+        </div>
+      </div>
+
+      {items.length > 0 && (
+        <div className="h-1 bg-slate-100 rounded-full overflow-hidden mb-4">
+          <div
+            className="h-full bg-teal-500 transition-all"
+            style={{ width: `${(settled / items.length) * 100}%` }}
+          />
+        </div>
+      )}
+
+      {items.length === 0 ? (
+        <p className="text-sm text-slate-500 text-center py-8">
+          Choose several recordings or a whole folder. Each file goes through
+          the same pipeline as the detect view, a few at a time.
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="border-b border-slate-200 text-slate-500">
+                {columns.map((column) => (
+                  <th
+                    key={column.key}
+                    className={`py-2 px-2 font-semibold whitespace-nowrap ${
+                      column.numeric ? "text-right" : "text-left"
+                    }`}
+                  >
+                    <button
+                      onClick={() => toggleSort(column.key)}
+                      className="inline-flex items-center space-x-1 hover:text-teal-700"
+                    >
+                      <span>{column.title}</span>
+                      {sort.key === column.key &&
+                        (sort.dir > 0 ? (
+                          <ArrowUp className="w-3 h-3" />
+                        ) : (
+                          <ArrowDown className="w-3 h-3" />
+                        ))}
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {rows.map(({ item, index }) => (
+                <tr key={index}>
+                  {columns.map((column) => {
+                    const value = column.value(item);
+                    let className = "text-slate-600";
+                    if (column.key === "status") {
+                      className = STATUS_STYLES[item.status];
+                    } else if (column.key === "label" && value !== null) {
+                      className = `font-semibold ${
+                        SEVERITY_STYLES[item.result.severity].text
+                      }`;
+                    }
+                    return (
+                      <td
+                        key={column.key}
+                        title={column.key === "status" ? item.error : undefined}
+                        className={`py-1.5 px-2 whitespace-nowrap ${className} ${
+                          column.numeric ? "text-right tabular-nums" : ""
+                        } ${column.key === "file" ? "max-w-xs truncate" : ""}`}
+                      >
+                        {value === null
+                          ? "–"
+                          : column.format
+                          ? column.format(value)
+                          : value}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
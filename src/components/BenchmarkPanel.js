@@ -0,0 +1,269 @@
+import React, { useState, useRef } from "react";
+import { Gauge, FolderOpen, X, FileJson } from "lucide-react";
+import { isAnalysisCancelled } from "../analysis/pipeline";
+import { loadIcbhiDataset } from "../evaluation/icbhi";
+import { runBenchmark } from "../evaluation/benchmark";
+import { downloadFile, fileStamp } from "../report/download";
+import { logEvent } from "../storage/audit";
+
+// Benchmark state lives in App, like the batch queue, so a run survives
+// switching tabs. Recordings go through the analysis worker with the same
+// options as runAnalysis.
+export function useBenchmark(analysis, options) {
+  const [report, setReport] = useState(null);
+  const [progress, setProgress] = useState(null); // 0..1 while running
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  const start = async (files) => {
+    if (controllerRef.current) return;
+    const controller = new AbortController();
+    const { signal } = controller;
+    controllerRef.current = controller;
+    setReport(null);
+    setError(null);
+    setProgress(0);
+
+    const analyze = (audio) => {
+      const run = analysis.analyze(audio, options);
+      signal.addEventListener("abort", run.cancel);
+      return run.promise.finally(() =>
+        signal.removeEventListener("abort", run.cancel)
+      );
+    };
+    try {
+      const recordings = await loadIcbhiDataset(files);
+      setReport(
+        await runBenchmark(recordings, analyze, {
+          classConfig: options.classConfig,
+          signal,
+          onProgress: setProgress,
+        })
+      );
+    } catch (err) {
+      if (!isAnalysisCancelled(err)) {
+        console.error("Error running benchmark:", err);
+        setError(err.message);
+      }
+    } finally {
+      controllerRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const cancel = () => {
+    if (controllerRef.current) controllerRef.current.abort();
+  };
+
+  return { report, progress, error, start, cancel };
+}
+
+const percent = (value) =>
+  value === null ? "–" : `${(value * 100).toFixed(1)}%`;
+
+function Metric({ label, value }) {
+  return (
+    <div className="bg-slate-50 rounded-lg p-3">
+      <p className="text-xs text-slate-500">{label}</p>
+      <p className="text-lg font-bold text-slate-800">{percent(value)}</p>
+    </div>
+  );
+}
+
+function ConfusionTable({ labels, matrix }) {
+  return (
+    <table className="text-xs">
+      <thead>
+        <tr className="text-slate-500">
+          <th className="p-1 text-left font-normal">actual \ predicted</th>
+          {labels.map((label) => (
+            <th key={label} className="p-1 font-semibold">
+              {label}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {matrix.map((row, i) => (
+          <tr key={labels[i]}>
+            <th className="p-1 text-left font-semibold text-slate-500">
+              {labels[i]}
+            </th>
+            {row.map((n, j) => (
+              <td
+                key={labels[j]}
+                className={`p-1 w-16 text-center tabular-nums rounded ${
+                  i === j
+                    ? "bg-teal-50 text-teal-800 font-semibold"
+                    : "text-slate-600"
+                }`}
+              >
+                {n}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// ICBHI 2017-style evaluation of the active model: load a folder of .wav
+// recordings, their .txt cycle annotations and the diagnosis CSV.
+export default function BenchmarkPanel({ benchmark, engineReady }) {
+  const { report, progress, error } = benchmark;
+  const running = progress !== null;
+
+  const pick = (e) => {
+    benchmark.start(Array.from(e.target.files));
+    e.target.value = "";
+  };
+
+  const downloadReport = () => {
+    const filename = `respironet-benchmark-${fileStamp()}.json`;
+    downloadFile(JSON.stringify(report, null, 2), filename, "application/json");
+    logEvent("export", { details: { format: "benchmark", file: filename } });
+  };
+
+  return (
+    <div className="max-w-5xl mx-auto mt-8 bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <h2 className="text-lg font-semibold flex items-center space-x-2 mr-auto">
+          <Gauge className="w-5 h-5 text-teal-600" />
+          <span>ICBHI Benchmark</span>
+        </h2>
+        {running ? (
+          <button
+            onClick={benchmark.cancel}
+            className="flex items-center space-x-1 px-4 py-2 rounded-lg text-sm font-medium text-slate-600 border border-slate-300 hover:bg-slate-50"
+          >
+            <X className="w-4 h-4" />
+            <span>Cancel</span>
+          </button>
+        ) : (
+          <label
+            className={`flex items-center space-x-2 px-4 py-2 rounded-lg border border-slate-300 text-sm font-medium text-slate-600 hover:border-teal-500 hover:bg-teal-50 cursor-pointer ${
+              engineReady ? "" : "opacity-50 pointer-events-none"
+            }`}
+          >
+            <FolderOpen className="w-4 h-4" />
+            <span>Dataset folder</span>
+            <input
+              type="file"
+              webkitdirectory=""
+              className="hidden"
+              onChange={pick}
+            />
+          </label>
+        )}
+        {report && (
+          <button
+            onClick={downloadReport}
+            className="flex items-center space-x-1 px-4 py-2 rounded-lg text-sm font-medium bg-teal-600 text-white hover:bg-teal-700"
+          >
+            <FileJson className="w-4 h-4" />
+            <span>Report</span>
+          </button>
+        )}
+      </div>
+
+      {running && (
+        <div className="h-1 bg-slate-100 rounded-full overflow-hidden mb-4">
+          <div
+            className="h-full bg-teal-500 transition-all"
+            style={{ width: `${progress * 100}%` }}
+          />
+        </div>
+      )}
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+      {!report ? (
+        <p className="text-sm text-slate-500">
+          Pick a folder in the ICBHI 2017 layout: recordings named{" "}
+          <code>101_1b1_Al_sc_Meditron.wav</code> with a matching{" "}
+          <code>.txt</code> of breath cycles (start, end, crackles, wheezes) and
+          a diagnosis CSV of <code>patient,diagnosis</code> lines. Diagnoses are
+          matched to the model's class labels.
+        </p>
+      ) : (
+        <div className="space-y-6">
+          <p className="text-xs text-slate-500">
+            {report.counts.recordings} recordings: {report.counts.evaluated}{" "}
+            evaluated, {report.counts.rejected} failed the quality gate,{" "}
+            {report.counts.unmapped} with a diagnosis outside the label set,{" "}
+            {report.counts.failed} could not be analysed.
+          </p>
+
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+            <Metric label="ICBHI score" value={report.cycles.score} />
+            <Metric label="Sensitivity" value={report.cycles.sensitivity} />
+            <Metric label="Specificity" value={report.cycles.specificity} />
+            <Metric label="Cycle accuracy" value={report.cycles.accuracy} />
+            <Metric
+              label="Crackle accuracy"
+              value={report.cycles.crackleAccuracy}
+            />
+            <Metric
+              label="Wheeze accuracy"
+              value={report.cycles.wheezeAccuracy}
+            />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-2">
+                Diagnosis · accuracy {percent(report.diagnosis.accuracy)}
+              </h3>
+              <ConfusionTable {...report.diagnosis} />
+              <table className="w-full text-xs mt-3">
+                <thead>
+                  <tr className="text-slate-500 border-b border-slate-200">
+                    <th className="py-1 text-left font-semibold">Class</th>
+                    <th className="py-1 text-right font-semibold">Precision</th>
+                    <th className="py-1 text-right font-semibold">Recall</th>
+                    <th className="py-1 text-right font-semibold">F1</th>
+                    <th className="py-1 text-right font-semibold">n</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100 tabular-nums">
+                  {report.diagnosis.classes.map((c) => (
+                    <tr key={c.label}>
+                      <td className="py-1">{c.label}</td>
+                      <td className="py-1 text-right">
+                        {percent(c.precision)}
+                      </td>
+                      <td className="py-1 text-right">{percent(c.recall)}</td>
+                      <td className="py-1 text-right">{percent(c.f1)}</td>
+                      <td className="py-1 text-right">{c.support}</td>
+                    </tr>
+                  ))}
+                  <tr className="font-semibold">
+                    <td className="py-1">Macro average</td>
+                    <td className="py-1 text-right">
+                      {percent(report.diagnosis.macro.precision)}
+                    </td>
+                    <td className="py-1 text-right">
+                      {percent(report.diagnosis.macro.recall)}
+                    </td>
+                    <td className="py-1 text-right">
+                      {percent(report.diagnosis.macro.f1)}
+                    </td>
+                    <td className="py-1 text-right">
+                      {report.diagnosis.total}
+                    </td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+            <div>
+              <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-2">
+                Cycles · {report.cycles.total} annotated
+              </h3>
+              <ConfusionTable {...report.cycles} />
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+import React from "react";
+import { AUSCULTATION_SITES } from "../analysis/aggregate";
+
+// Dot position within one torso drawing (viewBox 0 0 120 150). In the
+// anterior view the patient's left is on the viewer's right; in the posterior
+// view it is on the viewer's left.
+const dotPosition = ({ view, level, side }) => {
+  const viewerLeft = (view === "anterior") === (side === "right");
+  return { x: viewerLeft ? 42 : 78, y: level === "upper" ? 55 : 100 };
+};
+
+const TORSO =
+  "M40 10 Q60 2 80 10 L100 22 Q108 26 106 40 L100 140 Q60 148 20 140 L14 40 Q12 26 20 22 Z";
+
+// `status` maps site id to 'empty' | 'recorded' | 'normal' | 'abnormal' |
+// 'inconclusive' | 'rejected'.
+const DOT_STYLES = {
+  empty: { fill: "#ffffff", stroke: "#94a3b8" },
+  recorded: { fill: "#ccfbf1", stroke: "#0d9488" },
+  normal: { fill: "#10b981", stroke: "#047857" },
+  abnormal: { fill: "#f59e0b", stroke: "#b45309" },
+  inconclusive: { fill: "#94a3b8", stroke: "#475569" },
+  rejected: { fill: "#fecaca", stroke: "#dc2626" },
+};
+
+export default function BodyDiagram({ status, selected, onSelect, disabled }) {
+  return (
+    <div className="grid grid-cols-2 gap-4">
+      {["anterior", "posterior"].map((view) => (
+        <figure key={view} className="text-center">
+          <svg viewBox="0 0 120 150" className="w-full max-w-[10rem] mx-auto">
+            <path d={TORSO} fill="#f1f5f9" stroke="#cbd5e1" strokeWidth="2" />
+            {[
+              [8, view === "anterior" ? "R" : "L"],
+              [112, view === "anterior" ? "L" : "R"],
+            ].map(([x, letter]) => (
+              <text
+                key={letter}
+                x={x}
+                y="12"
+                textAnchor="middle"
+                fontSize="10"
+                fill="#64748b"
+              >
+                {letter}
+              </text>
+            ))}
+            {view === "posterior" && (
+              <line
+                x1="60"
+                y1="14"
+                x2="60"
+                y2="140"
+                stroke="#cbd5e1"
+                strokeDasharray="4 3"
+              />
+            )}
+            {AUSCULTATION_SITES.filter((s) => s.view === view).map((site) => {
+              const { x, y } = dotPosition(site);
+              const style = DOT_STYLES[status[site.id] || "empty"];
+              return (
+                <g
+                  key={site.id}
+                  onClick={() => !disabled && onSelect(site.id)}
+                  className={disabled ? "" : "cursor-pointer"}
+                >
+                  <title>{site.label}</title>
+                  {site.id === selected && (
+                    <circle
+                      cx={x}
+                      cy={y}
+                      r="13"
+                      fill="none"
+                      stroke="#0f766e"
+                      strokeWidth="2"
+                    />
+                  )}
+                  <circle
+                    cx={x}
+                    cy={y}
+                    r="9"
+                    fill={style.fill}
+                    stroke={style.stroke}
+                    strokeWidth="2"
+                  />
+                </g>
+              );
+            })}
+          </svg>
+          <figcaption className="text-xs text-slate-500 capitalize">
+            {view}
+          </figcaption>
+        </figure>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import React, { useState } from "react";
+import { ShieldCheck } from "lucide-react";
+import { CONSENT_STATEMENT } from "../config/consent";
+import { loadOperator } from "../storage/audit";
+
+// Asks the operator to confirm the patient's consent before recording or
+// uploading. `onConfirm(operator)` is called from the click handler, so the
+// caller can open a file picker or the microphone straight away.
+export default function ConsentDialog({ patientId, onConfirm, onCancel }) {
+  const [agreed, setAgreed] = useState(false);
+  const [operator, setOperator] = useState(loadOperator);
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="consent-title"
+      className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/50 p-4"
+    >
+      <div className="bg-white rounded-2xl shadow-xl max-w-md w-full p-6 space-y-4">
+        <h2
+          id="consent-title"
+          className="text-lg font-semibold flex items-center space-x-2"
+        >
+          <ShieldCheck className="w-5 h-5 text-teal-600" />
+          <span>Patient consent</span>
+        </h2>
+        <p className="text-sm text-slate-600">
+          {patientId.trim()
+            ? `Patient ${patientId.trim()}`
+            : "No patient ID entered"}
+        </p>
+        <label className="flex items-start space-x-2 text-sm text-slate-700">
+          <input
+            type="checkbox"
+            checked={agreed}
+            onChange={(e) => setAgreed(e.target.checked)}
+            className="mt-1"
+          />
+          <span>{CONSENT_STATEMENT}</span>
+        </label>
+        <label className="block text-sm">
+          <span className="text-slate-600">Your name or staff ID</span>
+          <input
+            type="text"
+            value={operator}
+            onChange={(e) => setOperator(e.target.value)}
+            className="mt-1 w-full border border-slate-300 rounded-lg px-3 py-2"
+          />
+        </label>
+        <div className="flex justify-end space-x-3">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 rounded-lg text-sm text-slate-600 hover:bg-slate-100"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onConfirm(operator.trim())}
+            disabled={!agreed || !operator.trim()}
+            className="px-4 py-2 rounded-lg text-sm font-medium bg-teal-600 text-white hover:bg-teal-700 disabled:bg-slate-300"
+          >
+            Confirm
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import React from "react";
+import { Wind } from "lucide-react";
+import { PROLONGED_EXPIRATION_IE } from "../audio/segmentation";
+import { SEVERITY_STYLES } from "./severityStyles";
+
+const formatRange = ({ start, end }) =>
+  `${start.toFixed(1)}-${end.toFixed(1)}s`;
+
+// Respiratory rate, I:E ratio and the per-cycle classifications shown under
+// the overall verdict.
+export default function CycleBreakdown({ result }) {
+  const { cycles, respiratoryRate, ieRatio } = result;
+  const prolonged = ieRatio !== null && ieRatio <= PROLONGED_EXPIRATION_IE;
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 gap-2 text-center">
+        <div className="bg-slate-50 rounded-lg border border-slate-100 p-2">
+          <p className="text-xs text-slate-500">Resp. Rate</p>
+          <p className="font-bold text-slate-800">
+            {respiratoryRate ? `${respiratoryRate.toFixed(0)} /min` : "n/a"}
+          </p>
+        </div>
+        <div
+          className={`rounded-lg border p-2 ${
+            prolonged
+              ? "bg-amber-50 border-amber-200"
+              : "bg-slate-50 border-slate-100"
+          }`}
+        >
+          <p className="text-xs text-slate-500">I:E Ratio</p>
+          <p
+            className={`font-bold ${
+              prolonged ? "text-amber-800" : "text-slate-800"
+            }`}
+          >
+            {ieRatio ? `1:${(1 / ieRatio).toFixed(1)}` : "n/a"}
+          </p>
+        </div>
+      </div>
+      {prolonged && (
+        <p className="text-xs text-amber-700">Prolonged expiratory phase.</p>
+      )}
+
+      <div>
+        <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 flex items-center space-x-1">
+          <Wind className="w-3.5 h-3.5" />
+          <span>Breath Cycles ({cycles.length})</span>
+        </p>
+        {cycles.length === 0 ? (
+          <p className="text-xs text-slate-500">
+            No breath cycles could be segmented.
+          </p>
+        ) : (
+          <ul className="max-h-48 overflow-y-auto divide-y divide-slate-100 text-xs">
+            {cycles.map((cycle, i) => (
+              <li
+                key={cycle.start}
+                className="py-1.5 flex items-center justify-between"
+              >
+                <span className="text-slate-500">
+                  #{i + 1}{" "}
+                  <span className="font-mono">{formatRange(cycle)}</span>
+                </span>
+                <span
+                  className={`font-semibold ${
+                    SEVERITY_STYLES[cycle.severity].text
+                  }`}
+                >
+                  {cycle.label} {(cycle.confidence * 100).toFixed(0)}%
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,328 @@
+import React, { useState, useEffect } from "react";
+import {
+  History,
+  Search,
+  Play,
+  Trash2,
+  TrendingUp,
+  Tag,
+  FileAudio,
+  CloudOff,
+  CloudUpload,
+  Download,
+} from "lucide-react";
+import { listSessions, deleteSession } from "../storage/sessions";
+import { hasAnnotations } from "../annotation/annotations";
+import { downloadIcbhiExport } from "../report/icbhi";
+import ProbabilityTrend from "./ProbabilityTrend";
+import { SEVERITY_STYLES } from "./severityStyles";
+import { routeHash } from "../navigation/routes";
+import { SYNC_URL, syncQueued, exportQueued } from "../offline/syncQueue";
+import { useOnline } from "./OfflineStatus";
+import { pseudonymize } from "../privacy/pseudonym";
+
+const REJECTED = "Re-record";
+
+const sessionLabel = (session) =>
+  session.result.quality.acceptable ? session.result.label : REJECTED;
+
+const formatDateTime = (t) =>
+  new Date(t).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+
+// Past analyses from the local session store: filter, reopen in the detect
+// view, delete, follow one patient's class probabilities over time, and
+// export the annotated sessions as ICBHI-style training data. Sessions saved
+// offline are flagged and can be synced or exported from here.
+export default function HistoryTab({ query, onQueryChange }) {
+  const [sessions, setSessions] = useState(null);
+  const [error, setError] = useState(null);
+  const [patient, setPatient] = useState("");
+  const [label, setLabel] = useState("");
+  const [exporting, setExporting] = useState(false);
+  const [flushing, setFlushing] = useState(false);
+  const online = useOnline();
+  // Sessions store pseudonyms, so a search is also matched by its pseudonym;
+  // the search text itself only lives in App state, never in the URL
+  const [queryPseudonym, setQueryPseudonym] = useState("");
+
+  useEffect(() => {
+    listSessions()
+      .then(setSessions)
+      .catch((err) => {
+        console.error("Error loading session history:", err);
+        setError(err.message);
+      });
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    pseudonymize(query)
+      .then((value) => !cancelled && setQueryPseudonym(value))
+      .catch((err) => console.error("Error pseudonymizing search:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [query]);
+
+  const remove = async (session) => {
+    if (
+      !window.confirm(
+        `Delete the session from ${formatDateTime(session.createdAt)}?`
+      )
+    ) {
+      return;
+    }
+    try {
+      await deleteSession(session.id);
+      setSessions(sessions.filter((s) => s.id !== session.id));
+    } catch (err) {
+      console.error("Error deleting session:", err);
+      alert(`Could not delete the session: ${err.message}`);
+    }
+  };
+
+  const exportLabelled = async (list) => {
+    setExporting(true);
+    try {
+      await downloadIcbhiExport(list);
+    } catch (err) {
+      console.error("Error exporting annotations:", err);
+      alert(`Could not export the annotations: ${err.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Sync or export the queue, then reload so the flags reflect the store
+  const flushQueue = async (run, what) => {
+    setFlushing(true);
+    try {
+      await run();
+    } catch (err) {
+      console.error(`Error ${what} queued sessions:`, err);
+      alert(`Could not finish ${what} the queued sessions: ${err.message}`);
+    } finally {
+      setFlushing(false);
+      setSessions(await listSessions());
+    }
+  };
+
+  if (error || !sessions) {
+    return (
+      <div className="max-w-4xl mx-auto bg-white rounded-2xl shadow-sm border border-slate-200 p-8 text-center text-sm text-slate-500">
+        {error || "Loading history..."}
+      </div>
+    );
+  }
+
+  const patients = [
+    ...new Set(sessions.map((s) => s.patientId).filter(Boolean)),
+  ].sort();
+  const labels = [...new Set(sessions.map(sessionLabel))].sort();
+  const needle = query.trim().toLowerCase();
+  const visible = sessions.filter(
+    (s) =>
+      (!patient || s.patientId === patient) &&
+      (!label || sessionLabel(s) === label) &&
+      (!needle ||
+        (queryPseudonym && s.patientId === queryPseudonym) ||
+        [s.patientId, s.audioName, sessionLabel(s)].some((field) =>
+          (field || "").toLowerCase().includes(needle)
+        ))
+  );
+  const labelled = visible.filter((s) => hasAnnotations(s.annotations));
+  const queued = sessions.filter((s) => s.queued);
+  const trend = patient
+    ? sessions
+        .filter((s) => s.patientId === patient && s.result.quality.acceptable)
+        .reverse()
+    : [];
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold flex items-center space-x-2">
+            <History className="w-5 h-5 text-teal-600" />
+            <span>Session History</span>
+          </h2>
+          <button
+            onClick={() => exportLabelled(labelled)}
+            disabled={labelled.length === 0 || exporting}
+            title="Download each annotated session as an ICBHI .wav/.txt pair, plus a diagnosis CSV"
+            className="flex items-center space-x-1 text-xs font-medium text-teal-700 hover:text-teal-900 disabled:text-slate-300"
+          >
+            <FileAudio className="w-4 h-4" />
+            <span>
+              {exporting
+                ? "Exporting..."
+                : `Export ${labelled.length} annotated`}
+            </span>
+          </button>
+        </div>
+
+        {queued.length > 0 && (
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-4 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg px-4 py-2">
+            <span className="flex items-center space-x-2">
+              <CloudOff className="w-4 h-4" />
+              <span>
+                {queued.length} session{queued.length === 1 ? "" : "s"} saved
+                offline
+              </span>
+            </span>
+            <span className="flex items-center space-x-4">
+              {SYNC_URL && (
+                <button
+                  onClick={() => flushQueue(() => syncQueued(), "syncing")}
+                  disabled={!online || flushing}
+                  title={online ? "Upload to the sync server" : "Offline"}
+                  className="flex items-center space-x-1 font-medium hover:text-amber-900 disabled:text-amber-300"
+                >
+                  <CloudUpload className="w-4 h-4" />
+                  <span>Sync now</span>
+                </button>
+              )}
+              <button
+                onClick={() =>
+                  flushQueue(() => exportQueued(queued), "exporting")
+                }
+                disabled={flushing}
+                title="Download each queued recording with its JSON report"
+                className="flex items-center space-x-1 font-medium hover:text-amber-900 disabled:text-amber-300"
+              >
+                <Download className="w-4 h-4" />
+                <span>Export queued</span>
+              </button>
+            </span>
+          </div>
+        )}
+
+        <div className="flex flex-wrap gap-3 mb-4 text-sm">
+          <div className="relative flex-1 min-w-[12rem]">
+            <Search className="w-4 h-4 text-slate-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="search"
+              value={query}
+              onChange={(e) => onQueryChange(e.target.value)}
+              placeholder="Search patient, file or label"
+              className="w-full border border-slate-300 rounded-lg pl-9 pr-3 py-2"
+            />
+          </div>
+          <select
+            value={patient}
+            onChange={(e) => setPatient(e.target.value)}
+            className="border border-slate-300 rounded-lg px-3 py-2 bg-white"
+          >
+            <option value="">All patients</option>
+            {patients.map((p) => (
+              <option key={p} value={p}>
+                {p}
+              </option>
+            ))}
+          </select>
+          <select
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            className="border border-slate-300 rounded-lg px-3 py-2 bg-white"
+          >
+            <option value="">All results</option>
+            {labels.map((l) => (
+              <option key={l} value={l}>
+                {l}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {visible.length === 0 ? (
+          <p className="text-sm text-slate-500 text-center py-8">
+            {sessions.length === 0
+              ? "No sessions yet. Analysed recordings are saved here automatically."
+              : "No sessions match the filters."}
+          </p>
+        ) : (
+          <ul className="divide-y divide-slate-100">
+            {visible.map((s) => {
+              const accepted = s.result.quality.acceptable;
+              const style =
+                SEVERITY_STYLES[accepted ? s.result.severity : "inconclusive"];
+              return (
+                <li
+                  key={s.id}
+                  className="py-3 flex items-center justify-between"
+                >
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-slate-800 truncate">
+                      {s.patientId || "No patient ID"}{" "}
+                      <span className="text-slate-400 font-normal">
+                        · {formatDateTime(s.createdAt)}
+                      </span>
+                    </p>
+                    <p className="text-xs text-slate-500 truncate flex items-center space-x-1">
+                      <span className="truncate">
+                        {s.audioName} · {s.result.duration.toFixed(1)}s
+                      </span>
+                      {s.queued && (
+                        <span
+                          title="Saved offline, not yet synced or exported"
+                          className="shrink-0"
+                        >
+                          <CloudOff className="w-3 h-3 text-amber-600" />
+                        </span>
+                      )}
+                      {hasAnnotations(s.annotations) && (
+                        <span title="Annotated" className="shrink-0">
+                          <Tag className="w-3 h-3 text-teal-600" />
+                        </span>
+                      )}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-3 shrink-0">
+                    <span className={`text-sm font-semibold ${style.text}`}>
+                      {sessionLabel(s)}
+                      {accepted &&
+                        ` ${(s.result.confidence * 100).toFixed(0)}%`}
+                    </span>
+                    <a
+                      href={routeHash({ sessionId: s.id })}
+                      title="Open in the detection view"
+                      className="p-2 rounded-lg text-teal-700 hover:bg-teal-50"
+                    >
+                      <Play className="w-4 h-4" />
+                    </a>
+                    <button
+                      onClick={() => remove(s)}
+                      title="Delete session"
+                      className="p-2 rounded-lg text-slate-400 hover:text-red-600 hover:bg-red-50"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+
+      {patient && (
+        <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+          <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-4 flex items-center space-x-2">
+            <TrendingUp className="w-4 h-4" />
+            <span>Probability Trend · {patient}</span>
+          </h3>
+          {trend.length === 0 ? (
+            <p className="text-sm text-slate-500">
+              This patient has no sessions with a usable result.
+            </p>
+          ) : (
+            <ProbabilityTrend sessions={trend} />
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useRef } from "react";
+import { Headphones, RefreshCw } from "lucide-react";
+import { listInputDevices } from "../audio/devices";
+
+// Device picker, manual input gain and a live peak meter fed by the
+// recording's AnalyserNode.
+export default function InputDeviceSelector({
+  deviceId,
+  onDeviceChange,
+  gain,
+  onGainChange,
+  analyser,
+  disabled,
+}) {
+  const [devices, setDevices] = useState([]);
+  const meterRef = useRef(null);
+
+  const refreshDevices = () =>
+    listInputDevices()
+      .then(setDevices)
+      .catch((err) => console.error("Error listing input devices:", err));
+
+  useEffect(() => {
+    refreshDevices();
+    const { mediaDevices } = navigator;
+    if (!mediaDevices || !mediaDevices.addEventListener) return undefined;
+    mediaDevices.addEventListener("devicechange", refreshDevices);
+    return () =>
+      mediaDevices.removeEventListener("devicechange", refreshDevices);
+  }, []);
+
+  // Labels only become available after the first permission grant.
+  useEffect(() => {
+    if (analyser) refreshDevices();
+  }, [analyser]);
+
+  useEffect(() => {
+    const meter = meterRef.current;
+    if (!analyser || !meter) return undefined;
+
+    const data = new Float32Array(analyser.fftSize);
+    let frame;
+    const update = () => {
+      frame = requestAnimationFrame(update);
+      analyser.getFloatTimeDomainData(data);
+      let peak = 0;
+      for (let i = 0; i < data.length; i++) {
+        peak = Math.max(peak, Math.abs(data[i]));
+      }
+      // -60 dBFS .. 0 dBFS mapped onto the bar
+      const db = 20 * Math.log10(peak || 1e-6);
+      const level = Math.max(0, Math.min(1, (db + 60) / 60));
+      meter.style.width = `${level * 100}%`;
+      meter.className = `h-full transition-[width] duration-75 ${
+        peak >= 0.99
+          ? "bg-red-500"
+          : peak > 0.7
+          ? "bg-amber-400"
+          : "bg-teal-500"
+      }`;
+    };
+    update();
+
+    return () => {
+      cancelAnimationFrame(frame);
+      meter.style.width = "0%";
+    };
+  }, [analyser]);
+
+  const known = devices.some((d) => d.deviceId === deviceId);
+
+  return (
+    <div className="mb-4 p-4 bg-slate-50 rounded-xl border border-slate-200 space-y-3 text-xs text-slate-600">
+      <div className="flex items-center space-x-2">
+        <Headphones className="w-4 h-4 text-teal-600 shrink-0" />
+        <select
+          value={known ? deviceId : ""}
+          disabled={disabled}
+          onChange={(e) => onDeviceChange(e.target.value)}
+          className="flex-1 min-w-0 border border-slate-300 rounded-md px-2 py-1 bg-white"
+        >
+          <option value="">System default input</option>
+          {devices.map((device) => (
+            <option key={device.deviceId} value={device.deviceId}>
+              {device.label}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={refreshDevices}
+          disabled={disabled}
+          title="Refresh devices"
+          className="p-1.5 rounded-md text-slate-500 hover:bg-slate-200"
+        >
+          <RefreshCw className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="flex items-center space-x-3">
+        <span className="w-16 shrink-0 font-semibold uppercase tracking-wider text-slate-400">
+          Gain
+        </span>
+        <input
+          type="range"
+          min="0"
+          max="4"
+          step="0.1"
+          value={gain}
+          onChange={(e) => onGainChange(Number(e.target.value))}
+          className="flex-1 accent-teal-600"
+        />
+        <span className="w-12 text-right font-mono">
+          {gain === 0 ? "-inf" : (20 * Math.log10(gain)).toFixed(1)} dB
+        </span>
+      </div>
+
+      <div className="flex items-center space-x-3">
+        <span className="w-16 shrink-0 font-semibold uppercase tracking-wider text-slate-400">
+          Level
+        </span>
+        <div className="flex-1 h-2 bg-slate-200 rounded-full overflow-hidden">
+          <div
+            ref={meterRef}
+            className="h-full bg-teal-500"
+            style={{ width: 0 }}
+          />
+        </div>
+        <span className="w-12" />
+      </div>
+    </div>
+  );
+}
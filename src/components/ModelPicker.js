@@ -0,0 +1,169 @@
+import React, { useState, useEffect } from "react";
+import { Cpu, FolderOpen, Link } from "lucide-react";
+import { ENGINE_TYPES, DEFAULT_MODEL_URL } from "../inference/engine";
+import { loadTf } from "../inference/loadTf";
+import { listSavedModels } from "../training/train";
+
+export default function ModelPicker({
+  engine,
+  onEngineChange,
+  onModelLoaded,
+  classConfig,
+  threshold,
+  onThresholdChange,
+  disabled,
+}) {
+  const [modelUrl, setModelUrl] = useState(DEFAULT_MODEL_URL);
+  const [status, setStatus] = useState(null); // { kind: 'loading' | 'error' | 'ok', message }
+  const [savedModels, setSavedModels] = useState([]); // Trained in the Training tab
+
+  useEffect(() => {
+    if (engine.id !== "tfjs") return;
+    loadTf()
+      .then(listSavedModels)
+      .then(setSavedModels)
+      .catch((err) => console.error("Error listing saved models:", err));
+  }, [engine.id]);
+
+  const selectType = (type) => {
+    if (type === engine.id) return;
+    onEngineChange(type);
+    setStatus(null);
+  };
+
+  const loadModel = async (from) => {
+    setStatus({ kind: "loading", message: "Loading model..." });
+    try {
+      await engine.load(from);
+      onModelLoaded();
+      setStatus({ kind: "ok", message: `Loaded ${engine.source}` });
+    } catch (err) {
+      console.error("Error loading model:", err);
+      setStatus({ kind: "error", message: err.message });
+    }
+  };
+
+  const handleModelFiles = (e) => {
+    if (e.target.files.length) loadModel(e.target.files);
+    e.target.value = "";
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-4 flex items-center space-x-2">
+        <Cpu className="w-4 h-4" />
+        <span>Inference Backend</span>
+      </h3>
+
+      <select
+        value={engine.id}
+        disabled={disabled}
+        onChange={(e) => selectType(e.target.value)}
+        className="w-full border border-slate-300 rounded-lg px-3 py-2 text-sm bg-white"
+      >
+        {ENGINE_TYPES.map((type) => (
+          <option key={type.id} value={type.id}>
+            {type.name}
+          </option>
+        ))}
+      </select>
+
+      {engine.id === "tfjs" && (
+        <div className="mt-4 space-y-3">
+          <div className="flex space-x-2">
+            <input
+              type="text"
+              value={modelUrl}
+              onChange={(e) => setModelUrl(e.target.value)}
+              placeholder="https://.../model.json"
+              className="flex-1 min-w-0 border border-slate-300 rounded-lg px-3 py-2 text-xs font-mono"
+            />
+            <button
+              onClick={() => loadModel(modelUrl)}
+              disabled={disabled || !modelUrl}
+              title="Load from URL"
+              className="p-2 rounded-lg bg-teal-600 text-white hover:bg-teal-700 disabled:bg-slate-200 disabled:text-slate-400"
+            >
+              <Link className="w-4 h-4" />
+            </button>
+          </div>
+          <button
+            onClick={() => document.getElementById("model-upload").click()}
+            disabled={disabled}
+            className="w-full flex items-center justify-center space-x-2 px-3 py-2 border border-dashed border-slate-300 rounded-lg text-xs text-slate-600 hover:border-teal-500 hover:bg-teal-50"
+          >
+            <FolderOpen className="w-4 h-4" />
+            <span>Pick model.json + weight shards</span>
+          </button>
+          <input
+            id="model-upload"
+            type="file"
+            accept=".json,.bin"
+            multiple
+            className="hidden"
+            onChange={handleModelFiles}
+          />
+          {savedModels.length > 0 && (
+            <select
+              value=""
+              disabled={disabled}
+              onChange={(e) => e.target.value && loadModel(e.target.value)}
+              className="w-full border border-slate-300 rounded-lg px-3 py-2 text-xs bg-white"
+            >
+              <option value="">Saved in this browser...</option>
+              {savedModels.map((m) => (
+                <option key={m.url} value={m.url}>
+                  {m.name}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+      )}
+
+      {status && (
+        <p
+          className={`mt-3 text-xs break-all ${
+            status.kind === "error"
+              ? "text-red-600"
+              : status.kind === "ok"
+              ? "text-teal-700"
+              : "text-slate-500"
+          }`}
+        >
+          {status.message}
+        </p>
+      )}
+      {disabled && (
+        <p className="mt-3 text-xs text-slate-500">
+          The backend is locked while an analysis is running.
+        </p>
+      )}
+      {engine.id === "tfjs" && !engine.ready && !status && (
+        <p className="mt-3 text-xs text-slate-500">No model loaded yet.</p>
+      )}
+
+      <div className="mt-4 pt-4 border-t border-slate-100 space-y-2 text-xs text-slate-600">
+        <div className="flex items-center justify-between">
+          <span className="font-semibold">Decision threshold</span>
+          <span className="font-mono">{(threshold * 100).toFixed(0)}%</span>
+        </div>
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.05"
+          value={threshold}
+          disabled={disabled}
+          onChange={(e) => onThresholdChange(Number(e.target.value))}
+          className="w-full accent-teal-600"
+        />
+        <p className="text-slate-400">
+          Below this the result reads "Inconclusive". Classes:{" "}
+          {classConfig.classes.map((c) => c.label).join(", ")}
+          {engine.classConfig ? " (from model)" : ""}
+        </p>
+      </div>
+    </div>
+  );
+}
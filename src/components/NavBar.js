@@ -0,0 +1,136 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Stethoscope, Search, Menu, X } from "lucide-react";
+import { TAB_IDS, parseRoute, routeHash } from "../navigation/routes";
+
+const tabLabel = (tab) => tab.charAt(0).toUpperCase() + tab.slice(1);
+
+// The current hash route and `navigate(route, { replace })`. Navigating
+// pushes a browser history entry unless `replace` is set, which rewrites the
+// current one (used when the URL catches up with the app, e.g. once an
+// analysis has been saved as a session).
+export function useRoute() {
+  const [route, setRoute] = useState(() => parseRoute(window.location.hash));
+
+  useEffect(() => {
+    const onHashChange = () => setRoute(parseRoute(window.location.hash));
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
+
+  const navigate = useCallback((next, { replace = false } = {}) => {
+    const hash = routeHash(next);
+    if (replace) {
+      window.history.replaceState(null, "", hash);
+      setRoute(parseRoute(hash));
+    } else if (window.location.hash !== hash) {
+      window.location.hash = hash;
+    }
+  }, []);
+
+  return [route, navigate];
+}
+
+function SearchForm({ query, onSearch, className }) {
+  const [text, setText] = useState(query);
+
+  useEffect(() => setText(query), [query]);
+
+  return (
+    <form
+      role="search"
+      onSubmit={(e) => {
+        e.preventDefault();
+        onSearch(text.trim());
+      }}
+      className={`relative ${className}`}
+    >
+      <Search className="w-4 h-4 text-teal-200 absolute left-3 top-1/2 -translate-y-1/2" />
+      <input
+        type="search"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder="Search sessions"
+        aria-label="Search session history"
+        className="w-full bg-teal-800/60 placeholder-teal-200 text-white rounded-full pl-9 pr-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-white/60"
+      />
+    </form>
+  );
+}
+
+// Shared header: brand, tab links and session search. Below lg the links
+// fold into a menu panel, and below md the search does too. `onSearch(query)`
+// opens the history with that search; `query` is the current one.
+export default function NavBar({ route, navigate, query, onSearch }) {
+  const [menuOpen, setMenuOpen] = useState(false);
+
+  // Close the mobile menu whenever the route changes
+  useEffect(() => setMenuOpen(false), [route]);
+
+  const link = (tab, className) => (
+    <a
+      key={tab}
+      href={routeHash({ tab })}
+      aria-current={route.tab === tab ? "page" : undefined}
+      className={`${className} text-sm font-medium transition-colors ${
+        route.tab === tab
+          ? "bg-white text-teal-800 shadow-sm"
+          : "text-teal-100 hover:bg-teal-600"
+      }`}
+    >
+      {tabLabel(tab)}
+    </a>
+  );
+
+  return (
+    <header className="bg-teal-700 text-white shadow-lg">
+      <div className="container mx-auto px-4 py-4 flex items-center justify-between">
+        <a
+          href={routeHash({ tab: "detect" })}
+          className="flex items-center space-x-3"
+        >
+          <div className="bg-white/20 p-2 rounded-lg backdrop-blur-sm">
+            <Stethoscope className="w-6 h-6 text-white" />
+          </div>
+          <div>
+            <h1 className="text-xl font-bold tracking-tight">RespiroNet AI</h1>
+            <p className="text-xs text-teal-100 opacity-80">
+              CNN-GRU Hybrid Respiratory Analysis
+            </p>
+          </div>
+        </a>
+        <div className="flex items-center">
+          <nav className="hidden lg:flex items-center space-x-1">
+            {TAB_IDS.map((tab) => link(tab, "px-4 py-2 rounded-full"))}
+          </nav>
+          <SearchForm
+            query={query}
+            onSearch={onSearch}
+            className="hidden md:block w-56 ml-4"
+          />
+          <button
+            onClick={() => setMenuOpen(!menuOpen)}
+            aria-expanded={menuOpen}
+            aria-label={menuOpen ? "Close menu" : "Open menu"}
+            className="lg:hidden ml-2 p-2 rounded-lg hover:bg-teal-600"
+          >
+            {menuOpen ? (
+              <X className="w-6 h-6" />
+            ) : (
+              <Menu className="w-6 h-6" />
+            )}
+          </button>
+        </div>
+      </div>
+      {menuOpen && (
+        <nav className="lg:hidden container mx-auto px-4 pb-4 space-y-1">
+          <SearchForm
+            query={query}
+            onSearch={onSearch}
+            className="md:hidden mb-3"
+          />
+          {TAB_IDS.map((tab) => link(tab, "block px-4 py-2 rounded-lg"))}
+        </nav>
+      )}
+    </header>
+  );
+}
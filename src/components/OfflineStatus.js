@@ -0,0 +1,74 @@
+import React, { useState, useEffect } from "react";
+import { WifiOff, RefreshCw } from "lucide-react";
+import { registerServiceWorker } from "../offline/serviceWorker";
+import { SYNC_URL, syncQueued } from "../offline/syncQueue";
+
+// Whether the browser currently reports a network connection.
+export function useOnline() {
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine !== false);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+
+  return online;
+}
+
+// Banners under the header for the offline mode: registers the service
+// worker, offers to reload into a downloaded update, says when the app is
+// offline, and uploads queued sessions once the connection is back (when a
+// sync endpoint is configured).
+export default function OfflineStatus() {
+  const online = useOnline();
+  const [applyUpdate, setApplyUpdate] = useState(null);
+
+  useEffect(
+    () =>
+      registerServiceWorker({
+        // Wrapped, or React would call `apply` as a state updater
+        onUpdateReady: (apply) => setApplyUpdate(() => apply),
+      }),
+    []
+  );
+
+  useEffect(() => {
+    if (!online || !SYNC_URL) return;
+    syncQueued().catch((err) =>
+      console.error("Error syncing queued sessions:", err)
+    );
+  }, [online]);
+
+  if (online && !applyUpdate) return null;
+
+  return (
+    <div className="container mx-auto px-4 pt-4 space-y-2">
+      {!online && (
+        <div className="flex items-center space-x-2 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg px-4 py-2">
+          <WifiOff className="w-4 h-4 shrink-0" />
+          <span>
+            You are offline. Analysis still works; new sessions are queued in
+            the History tab until they are {SYNC_URL ? "synced" : "exported"}.
+          </span>
+        </div>
+      )}
+      {applyUpdate && (
+        <div className="flex items-center justify-between text-sm text-teal-800 bg-teal-50 border border-teal-200 rounded-lg px-4 py-2">
+          <span>A new version of RespiroNet has been downloaded.</span>
+          <button
+            onClick={applyUpdate}
+            className="flex items-center space-x-1 font-medium text-teal-700 hover:text-teal-900"
+          >
+            <RefreshCw className="w-4 h-4" />
+            <span>Reload</span>
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+import React from "react";
+
+const WIDTH = 600;
+const HEIGHT = 200;
+const PAD = { left: 36, right: 12, top: 12, bottom: 28 };
+const COLORS = [
+  "#10b981",
+  "#f59e0b",
+  "#8b5cf6",
+  "#ef4444",
+  "#3b82f6",
+  "#ec4899",
+];
+
+const formatDate = (t) =>
+  new Date(t).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+
+// Class probabilities of one patient's sessions over time, one line per class.
+// `sessions` must be in chronological order and have acceptable results.
+export default function ProbabilityTrend({ sessions }) {
+  const labels = [];
+  sessions.forEach((s) =>
+    s.result.probabilities.forEach(({ label }) => {
+      if (!labels.includes(label)) labels.push(label);
+    })
+  );
+
+  const first = sessions[0].createdAt;
+  const last = sessions[sessions.length - 1].createdAt;
+  const x = (t) =>
+    PAD.left +
+    (last === first ? 0.5 : (t - first) / (last - first)) *
+      (WIDTH - PAD.left - PAD.right);
+  const y = (p) => PAD.top + (1 - p) * (HEIGHT - PAD.top - PAD.bottom);
+
+  const probabilityOf = (session, label) => {
+    const entry = session.result.probabilities.find((p) => p.label === label);
+    return entry ? entry.probability : 0;
+  };
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto">
+        {[0, 0.5, 1].map((p) => (
+          <g key={p}>
+            <line
+              x1={PAD.left}
+              x2={WIDTH - PAD.right}
+              y1={y(p)}
+              y2={y(p)}
+              stroke="#e2e8f0"
+            />
+            <text
+              x={PAD.left - 6}
+              y={y(p) + 4}
+              textAnchor="end"
+              className="fill-current text-slate-400"
+              fontSize="10"
+            >
+              {p * 100}%
+            </text>
+          </g>
+        ))}
+        {labels.map((label, i) => {
+          const color = COLORS[i % COLORS.length];
+          const points = sessions.map((s) => [
+            x(s.createdAt),
+            y(probabilityOf(s, label)),
+          ]);
+          return (
+            <g key={label}>
+              <polyline
+                points={points.map((p) => p.join(",")).join(" ")}
+                fill="none"
+                stroke={color}
+                strokeWidth="2"
+              />
+              {points.map(([px, py], k) => (
+                <circle key={k} cx={px} cy={py} r="3" fill={color} />
+              ))}
+            </g>
+          );
+        })}
+        {[first, last]
+          .filter((t, i) => i === 0 || t !== first)
+          .map((t) => (
+            <text
+              key={t}
+              x={x(t)}
+              y={HEIGHT - 8}
+              textAnchor="middle"
+              className="fill-current text-slate-400"
+              fontSize="10"
+            >
+              {formatDate(t)}
+            </text>
+          ))}
+      </svg>
+      <div className="flex flex-wrap gap-3 text-xs text-slate-600 mt-1">
+        {labels.map((label, i) => (
+          <span key={label} className="flex items-center space-x-1">
+            <span
+              className="w-3 h-1 rounded-full"
+              style={{ background: COLORS[i % COLORS.length] }}
+            />
+            <span>{label}</span>
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import React from "react";
+import { ChevronRight, MapPin } from "lucide-react";
+import BodyDiagram from "./BodyDiagram";
+import { AUSCULTATION_SITES, siteById } from "../analysis/aggregate";
+
+// Diagram status of a site from its clip (see App's siteClips).
+const siteStatus = (clip) => {
+  if (!clip) return "empty";
+  if (!clip.result) return "recorded";
+  return clip.result.quality.acceptable ? clip.result.severity : "rejected";
+};
+
+// Guided multi-site acquisition: pick a site on the diagram, then record or
+// upload its clip with the controls below.
+export default function ProtocolPanel({ clips, selected, onSelect, disabled }) {
+  const status = {};
+  AUSCULTATION_SITES.forEach((site) => {
+    status[site.id] = siteStatus(clips[site.id]);
+  });
+  const recorded = AUSCULTATION_SITES.filter((s) => clips[s.id]).length;
+  const next = AUSCULTATION_SITES.find(
+    (s) => s.id !== selected && !clips[s.id]
+  );
+
+  return (
+    <div className="mb-6 border border-slate-200 rounded-xl p-4">
+      <BodyDiagram
+        status={status}
+        selected={selected}
+        onSelect={onSelect}
+        disabled={disabled}
+      />
+      <div className="mt-3 flex items-center justify-between text-sm">
+        <span className="flex items-center space-x-1 font-medium text-slate-700">
+          <MapPin className="w-4 h-4 text-teal-600" />
+          <span>{siteById(selected).label}</span>
+          <span className="text-xs font-normal text-slate-400">
+            ({recorded}/{AUSCULTATION_SITES.length} recorded)
+          </span>
+        </span>
+        {next && (
+          <button
+            onClick={() => onSelect(next.id)}
+            disabled={disabled}
+            className="flex items-center text-xs font-medium text-teal-700 hover:text-teal-900 disabled:text-slate-300"
+          >
+            <span>Next: {next.label}</span>
+            <ChevronRight className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+import React from "react";
+import { MapPin } from "lucide-react";
+import { SEVERITY_STYLES } from "./severityStyles";
+
+// Patient-level result of the multi-site protocol (see analysis/aggregate.js).
+export default function ProtocolResultCard({ summary, onSelectSite }) {
+  const { decision, sites, abnormalSites, rejectedSites } = summary;
+  const style = SEVERITY_STYLES[decision ? decision.severity : "inconclusive"];
+  const { Icon } = style;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg border border-teal-100 overflow-hidden">
+      <div className={`p-4 ${style.header}`}>
+        <div className="flex items-start justify-between">
+          <div>
+            <p className="text-xs font-bold opacity-60 uppercase mb-1">
+              Patient-Level Result ({sites.length} sites)
+            </p>
+            <h2 className={`text-2xl font-bold ${style.title}`}>
+              {decision ? decision.label : "No usable sites"}
+            </h2>
+            {decision && (
+              <p className={`text-sm ${style.text}`}>
+                Mean confidence {(decision.confidence * 100).toFixed(0)}%
+              </p>
+            )}
+          </div>
+          <div className={`p-2 rounded-full ${style.badge}`}>
+            <Icon className={`w-6 h-6 ${style.text}`} />
+          </div>
+        </div>
+      </div>
+      <div className="p-5 space-y-3">
+        {abnormalSites.length > 0 && (
+          <p className="text-sm text-amber-800 bg-amber-50 border border-amber-100 rounded-lg p-2">
+            Abnormal findings at{" "}
+            {abnormalSites.map((site) => site.label.toLowerCase()).join(", ")}.
+          </p>
+        )}
+        {rejectedSites.length > 0 && (
+          <p className="text-xs text-red-700">
+            Re-record{" "}
+            {rejectedSites.map((site) => site.label.toLowerCase()).join(", ")}:
+            signal quality too low.
+          </p>
+        )}
+        <ul className="divide-y divide-slate-100 text-xs">
+          {sites.map((s) => (
+            <li key={s.site.id}>
+              <button
+                onClick={() => onSelectSite(s.site.id)}
+                className={`w-full py-1.5 flex items-center justify-between text-left hover:bg-slate-50 ${
+                  s.severity === "abnormal" ? "font-semibold" : ""
+                }`}
+              >
+                <span className="flex items-center space-x-1 text-slate-600">
+                  <MapPin className="w-3 h-3" />
+                  <span>{s.site.label}</span>
+                </span>
+                {s.acceptable ? (
+                  <span className={SEVERITY_STYLES[s.severity].text}>
+                    {s.label} {(s.confidence * 100).toFixed(0)}%
+                    {s.crackles > 0 && ` · ${s.crackles} crackles`}
+                    {s.wheezes > 0 && ` · ${s.wheezes} wheezes`}
+                  </span>
+                ) : (
+                  <span className="text-red-600">Re-record</span>
+                )}
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
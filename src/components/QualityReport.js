@@ -0,0 +1,34 @@
+import React from "react";
+import { Gauge } from "lucide-react";
+
+const scoreStyle = (score) => {
+  if (score >= 0.8) return "text-emerald-700";
+  if (score >= 0.5) return "text-amber-700";
+  return "text-red-700";
+};
+
+// Signal quality score and the checks that lowered it (see audio/quality.js).
+export default function QualityReport({ quality }) {
+  return (
+    <div>
+      <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 flex items-center justify-between">
+        <span className="flex items-center space-x-1">
+          <Gauge className="w-3.5 h-3.5" />
+          <span>Signal Quality</span>
+        </span>
+        <span className={`font-mono ${scoreStyle(quality.score)}`}>
+          {(quality.score * 100).toFixed(0)}%
+        </span>
+      </p>
+      {quality.reasons.length > 0 && (
+        <ul className="space-y-1 text-xs">
+          {quality.reasons.map((reason) => (
+            <li key={reason.check} className={scoreStyle(reason.score)}>
+              {reason.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
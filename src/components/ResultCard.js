@@ -0,0 +1,196 @@
+import React from "react";
+import { RefreshCw, FileDown, ScanEye } from "lucide-react";
+import CycleBreakdown from "./CycleBreakdown";
+import QualityReport from "./QualityReport";
+import { SEVERITY_STYLES } from "./severityStyles";
+import { REPORT_FORMATS } from "../report/export";
+
+// `onExport(format)` takes an id from REPORT_FORMATS.
+export default function ResultCard({ result, onExport }) {
+  if (!result.quality.acceptable) {
+    return <RerecordCard result={result} onExport={onExport} />;
+  }
+
+  const style = SEVERITY_STYLES[result.severity];
+  const { Icon } = style;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg border border-teal-100 overflow-hidden animate-in fade-in slide-in-from-bottom-4 duration-500">
+      <div className={`p-4 ${style.header}`}>
+        <div className="flex items-start justify-between">
+          <div>
+            <p className="text-xs font-bold opacity-60 uppercase mb-1">
+              Diagnosis Prediction
+            </p>
+            <h2 className={`text-2xl font-bold ${style.title}`}>
+              {result.label}
+            </h2>
+          </div>
+          <div className={`p-2 rounded-full ${style.badge}`}>
+            <Icon className={`w-6 h-6 ${style.text}`} />
+          </div>
+        </div>
+      </div>
+      <div className="p-5 space-y-4">
+        <div>
+          <div className="flex justify-between text-sm mb-2">
+            <span className="text-slate-600">Class Probabilities</span>
+            <span className="text-xs text-slate-400">
+              threshold {(result.threshold * 100).toFixed(0)}%
+            </span>
+          </div>
+          <ul className="space-y-2">
+            {result.probabilities.map((p) => {
+              const top = p.label === result.topLabel;
+              return (
+                <li key={p.label}>
+                  <div className="flex justify-between text-xs mb-0.5">
+                    <span
+                      className={
+                        top ? "font-semibold text-slate-800" : "text-slate-500"
+                      }
+                    >
+                      {p.label}
+                    </span>
+                    <span className="font-mono text-slate-600">
+                      {(p.probability * 100).toFixed(1)}%
+                    </span>
+                  </div>
+                  <div className="relative w-full bg-slate-100 rounded-full h-2 overflow-hidden">
+                    <div
+                      className={`h-2 rounded-full ${
+                        top
+                          ? style.bar
+                          : SEVERITY_STYLES[p.severity].bar + " opacity-40"
+                      }`}
+                      style={{ width: `${p.probability * 100}%` }}
+                    />
+                    <div
+                      className="absolute top-0 bottom-0 w-px bg-slate-500"
+                      style={{ left: `${result.threshold * 100}%` }}
+                    />
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+        <div className="grid grid-cols-2 gap-2 text-center">
+          <div className="bg-amber-50 rounded-lg border border-amber-100 p-2">
+            <p className="text-xs text-amber-700">Crackles</p>
+            <p className="font-bold text-amber-900">
+              {result.events.crackles.length}
+            </p>
+          </div>
+          <div className="bg-purple-50 rounded-lg border border-purple-100 p-2">
+            <p className="text-xs text-purple-700">Wheezes</p>
+            <p className="font-bold text-purple-900">
+              {result.events.wheezes.length}
+            </p>
+          </div>
+        </div>
+        <p className="text-sm text-slate-600 bg-slate-50 p-3 rounded-lg border border-slate-100">
+          <span className="font-semibold block mb-1 text-slate-700">
+            Clinical Note:
+          </span>
+          {result.details}
+        </p>
+        {result.saliency && <SaliencyRegions saliency={result.saliency} />}
+        <CycleBreakdown result={result} />
+        <QualityReport quality={result.quality} />
+        {onExport && <ExportBar onExport={onExport} />}
+        <div className="text-xs text-slate-400 text-center pt-2 break-all">
+          {result.engine === "demo"
+            ? "* Simulation Mode: Results generated for demonstration."
+            : `* Model: ${result.model}`}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const formatHz = (hz) =>
+  hz >= 1000 ? `${(hz / 1000).toFixed(1)} kHz` : `${Math.round(hz)} Hz`;
+
+// Time regions whose masking lowered the predicted class's probability most
+// (analysis/saliency.js); the heatmap itself is drawn in the waveform viewer.
+function SaliencyRegions({ saliency }) {
+  return (
+    <div>
+      <p className="text-sm text-slate-600 mb-2 flex items-center space-x-1">
+        <ScanEye className="w-4 h-4 text-red-500" />
+        <span>Top regions for {saliency.label}</span>
+      </p>
+      {saliency.regions.length === 0 ? (
+        <p className="text-xs text-slate-500">
+          No single time region changed the prediction noticeably.
+        </p>
+      ) : (
+        <ol className="space-y-1 text-xs">
+          {saliency.regions.map((r) => (
+            <li key={r.start} className="flex justify-between">
+              <span className="font-mono text-slate-700">
+                {r.start.toFixed(2)}–{r.end.toFixed(2)}s
+                <span className="text-slate-400">
+                  {" "}
+                  · {formatHz(r.band.low)}–{formatHz(r.band.high)}
+                </span>
+              </span>
+              <span className="text-slate-500">
+                −{(r.drop * 100).toFixed(1)} pts if masked
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+// Shown instead of a diagnosis when the recording fails the quality gate.
+function RerecordCard({ result, onExport }) {
+  return (
+    <div className="bg-white rounded-2xl shadow-lg border border-red-100 overflow-hidden animate-in fade-in slide-in-from-bottom-4 duration-500">
+      <div className="p-4 bg-red-50">
+        <div className="flex items-start justify-between">
+          <div>
+            <p className="text-xs font-bold opacity-60 uppercase mb-1">
+              No Diagnosis
+            </p>
+            <h2 className="text-2xl font-bold text-red-800">
+              Please re-record
+            </h2>
+          </div>
+          <div className="p-2 rounded-full bg-red-100">
+            <RefreshCw className="w-6 h-6 text-red-700" />
+          </div>
+        </div>
+      </div>
+      <div className="p-5 space-y-4">
+        <p className="text-sm text-slate-600">
+          The recording is not good enough to classify reliably. Fix the issues
+          below and record again.
+        </p>
+        <QualityReport quality={result.quality} />
+        {onExport && <ExportBar onExport={onExport} />}
+      </div>
+    </div>
+  );
+}
+
+function ExportBar({ onExport }) {
+  return (
+    <div className="flex flex-wrap items-center gap-2 pt-2 border-t border-slate-100">
+      <FileDown className="w-4 h-4 text-slate-400" />
+      {REPORT_FORMATS.map((format) => (
+        <button
+          key={format.id}
+          onClick={() => onExport(format.id)}
+          className="px-2.5 py-1 rounded-md text-xs font-medium text-teal-700 border border-teal-200 hover:bg-teal-50"
+        >
+          {format.label}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import React from "react";
+import { Activity } from "lucide-react";
+import { STREAMING_CONFIG, isStable } from "../analysis/streaming";
+import { SEVERITY_STYLES } from "./severityStyles";
+
+const MAX_WINDOWS = 40; // Windows kept on screen
+
+// Rolling per-window predictions from streaming analysis. Bar height is the
+// window's confidence; the newest window is on the right.
+export default function StreamingTimeline({ windows, live }) {
+  const visible = windows.slice(-MAX_WINDOWS);
+  const latest = windows[windows.length - 1];
+  const stable = isStable(windows);
+
+  return (
+    <div className="mt-3 bg-slate-50 border border-slate-200 rounded-xl p-3">
+      <div className="flex items-center justify-between mb-2 text-xs">
+        <span className="font-bold text-slate-400 uppercase tracking-wider flex items-center space-x-1">
+          <Activity className="w-3.5 h-3.5" />
+          <span>Live Analysis</span>
+        </span>
+        {latest ? (
+          <span
+            className={`font-semibold ${SEVERITY_STYLES[latest.severity].text}`}
+          >
+            {latest.label} {(latest.confidence * 100).toFixed(0)}%
+            {stable && " · stable"}
+          </span>
+        ) : (
+          <span className="text-slate-400">
+            {live
+              ? `Collecting first ${STREAMING_CONFIG.window}s window...`
+              : "No windows analysed."}
+          </span>
+        )}
+      </div>
+
+      <div className="flex items-end h-10 space-x-0.5">
+        {visible.map((w) => (
+          <div
+            key={w.end}
+            title={`${w.start.toFixed(0)}-${w.end.toFixed(0)}s: ${w.label} ${(
+              w.confidence * 100
+            ).toFixed(0)}%`}
+            className={`flex-1 max-w-[12px] rounded-sm ${
+              SEVERITY_STYLES[w.severity].bar
+            }`}
+            style={{ height: `${Math.max(10, w.confidence * 100)}%` }}
+          />
+        ))}
+      </div>
+
+      <p className="mt-2 text-[11px] text-slate-400">
+        {STREAMING_CONFIG.window}s windows every {STREAMING_CONFIG.hop}s; stable
+        after {STREAMING_CONFIG.stableWindows} agreeing windows.
+      </p>
+    </div>
+  );
+}
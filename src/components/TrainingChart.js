@@ -0,0 +1,104 @@
+import React from "react";
+
+const WIDTH = 300;
+const HEIGHT = 160;
+const PAD = { left: 36, right: 8, top: 10, bottom: 24 };
+const SERIES = [
+  { key: "train", label: "Training", color: "#0d9488" },
+  { key: "validation", label: "Validation", color: "#f59e0b" },
+];
+
+// One metric per epoch for the training and validation sets. `history` is
+// the list of epoch entries from training/train.js; `train` and `validation`
+// name the fields to plot.
+export default function TrainingChart({
+  title,
+  history,
+  train,
+  validation,
+  percent,
+}) {
+  const series = SERIES.map((s) => ({
+    ...s,
+    points: history
+      .map((entry) => [
+        entry.epoch,
+        entry[s.key === "train" ? train : validation],
+      ])
+      .filter(([, v]) => typeof v === "number" && Number.isFinite(v)),
+  })).filter((s) => s.points.length > 0);
+
+  const values = series.flatMap((s) => s.points.map(([, v]) => v));
+  const max = percent ? 1 : Math.max(...values, 1e-6);
+  const epochs = Math.max(2, history.length);
+  const x = (epoch) =>
+    PAD.left + ((epoch - 1) / (epochs - 1)) * (WIDTH - PAD.left - PAD.right);
+  const y = (v) => PAD.top + (1 - v / max) * (HEIGHT - PAD.top - PAD.bottom);
+  const format = (v) => (percent ? `${(v * 100).toFixed(0)}%` : v.toFixed(2));
+
+  return (
+    <div>
+      <p className="text-xs font-semibold text-slate-500 mb-1">{title}</p>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto">
+        {[0, 0.5, 1].map((f) => (
+          <g key={f}>
+            <line
+              x1={PAD.left}
+              x2={WIDTH - PAD.right}
+              y1={y(f * max)}
+              y2={y(f * max)}
+              stroke="#e2e8f0"
+            />
+            <text
+              x={PAD.left - 6}
+              y={y(f * max) + 4}
+              textAnchor="end"
+              className="fill-current text-slate-400"
+              fontSize="10"
+            >
+              {format(f * max)}
+            </text>
+          </g>
+        ))}
+        {series.map((s) => (
+          <g key={s.key}>
+            <polyline
+              points={s.points.map(([e, v]) => `${x(e)},${y(v)}`).join(" ")}
+              fill="none"
+              stroke={s.color}
+              strokeWidth="2"
+            />
+            {s.points.length === 1 && (
+              <circle
+                cx={x(s.points[0][0])}
+                cy={y(s.points[0][1])}
+                r="3"
+                fill={s.color}
+              />
+            )}
+          </g>
+        ))}
+        <text
+          x={WIDTH - PAD.right}
+          y={HEIGHT - 6}
+          textAnchor="end"
+          className="fill-current text-slate-400"
+          fontSize="10"
+        >
+          epoch {history.length}
+        </text>
+      </svg>
+      <div className="flex gap-3 text-xs text-slate-600">
+        {series.map((s) => (
+          <span key={s.key} className="flex items-center space-x-1">
+            <span
+              className="w-3 h-1 rounded-full"
+              style={{ background: s.color }}
+            />
+            <span>{s.label}</span>
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,556 @@
+import React, { useState, useRef, useEffect } from "react";
+import {
+  Cpu,
+  FolderOpen,
+  X,
+  Play,
+  Save,
+  Download,
+  CheckCircle2,
+  Trash2,
+} from "lucide-react";
+import { orderModelFiles } from "../inference/tfjsEngine";
+import { loadTf } from "../inference/loadTf";
+import { listSessions } from "../storage/sessions";
+import {
+  sessionRecordings,
+  icbhiRecordings,
+  buildExamples,
+  splitExamples,
+} from "../training/dataset";
+import { buildCnnGru, compileModel } from "../training/model";
+import {
+  TRAINING_DEFAULTS,
+  trainModel,
+  saveToBrowser,
+  downloadModel,
+  listSavedModels,
+  deleteSavedModel,
+} from "../training/train";
+import TrainingChart from "./TrainingChart";
+
+const PHASE_LABELS = {
+  loading: "Loading recordings...",
+  features: "Extracting features...",
+  training: "Training...",
+};
+
+// Training state lives in App (through this hook) so a run survives switching
+// tabs. `options` are the class config and heart suppression setting of the
+// detect view, so examples match what inference sees.
+export function useTraining(options) {
+  const [phase, setPhase] = useState("idle"); // 'idle' | 'loading' | 'features' | 'training'
+  const [progress, setProgress] = useState(0);
+  const [history, setHistory] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState(null);
+  const modelRef = useRef(null);
+  const controllerRef = useRef(null);
+
+  // Builds the documented model, or loads the base model to fine-tune.
+  const prepareModel = async (tf, base, classes, learningRate) => {
+    let model;
+    if (base.type === "files") {
+      model = await tf.loadLayersModel(
+        tf.io.browserFiles(orderModelFiles(base.files).files)
+      );
+    } else if (base.type === "saved") {
+      model = await tf.loadLayersModel(base.url);
+    } else {
+      model = buildCnnGru(tf, { classes });
+    }
+    if (model.outputs[0].shape[1] !== classes) {
+      model.dispose();
+      throw new Error(
+        `The base model has ${model.outputs[0].shape[1]} outputs but ${classes} classes are configured.`
+      );
+    }
+    return compileModel(tf, model, { learningRate });
+  };
+
+  // `source` is { type: 'sessions' } or { type: 'icbhi', files }; `base` is
+  // { type: 'new' }, { type: 'files', files } or { type: 'saved', url }.
+  const start = async ({ source, base, settings }) => {
+    if (controllerRef.current) return;
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const { classConfig, heartSuppression } = options;
+    const labels = classConfig.classes.map((c) => c.label);
+    setError(null);
+    setSummary(null);
+    setHistory([]);
+    setProgress(0);
+    setPhase("loading");
+
+    try {
+      const tf = await loadTf();
+      const recordings =
+        source.type === "icbhi"
+          ? await icbhiRecordings(source.files, classConfig)
+          : sessionRecordings(await listSessions(), classConfig);
+      if (recordings.length < 2) {
+        throw new Error(
+          "Training needs at least two recordings labelled with one of the configured classes."
+        );
+      }
+
+      if (modelRef.current) modelRef.current.dispose();
+      modelRef.current = null;
+      const model = await prepareModel(
+        tf,
+        base,
+        labels.length,
+        settings.learningRate
+      );
+      const inputShape = model.inputs[0].shape.slice(1);
+
+      setPhase("features");
+      const examples = await buildExamples(recordings, {
+        labels,
+        inputShape,
+        heartSuppression,
+        onProgress: setProgress,
+      });
+      const split = splitExamples(examples, settings.validationSplit);
+
+      setPhase("training");
+      const outcome = await trainModel(tf, model, split, {
+        ...settings,
+        inputShape,
+        signal: controller.signal,
+        onEpoch: (entry) => setHistory((h) => [...h, entry]),
+      });
+      modelRef.current = model;
+      setSummary({
+        ...outcome,
+        recordings: recordings.length,
+        trainExamples: split.train.length,
+        validationExamples: split.validation.length,
+        fineTuned: base.type !== "new",
+      });
+    } catch (err) {
+      console.error("Error training model:", err);
+      setError(err.message);
+    } finally {
+      controllerRef.current = null;
+      setPhase("idle");
+    }
+  };
+
+  const cancel = () => {
+    if (controllerRef.current) controllerRef.current.abort();
+  };
+
+  const save = (name) =>
+    saveToBrowser(modelRef.current, name, options.classConfig);
+
+  const download = (name) =>
+    downloadModel(modelRef.current, name, options.classConfig);
+
+  return {
+    phase,
+    progress,
+    history,
+    summary,
+    error,
+    start,
+    cancel,
+    save,
+    download,
+  };
+}
+
+const loadSavedModels = () =>
+  loadTf()
+    .then(listSavedModels)
+    .catch((err) => {
+      console.error("Error listing saved models:", err);
+      return [];
+    });
+
+const percent = (value) =>
+  typeof value === "number" ? `${(value * 100).toFixed(1)}%` : "–";
+
+function NumberField({ label, value, onChange, min, max, step = 1 }) {
+  return (
+    <label className="flex flex-col text-xs text-slate-600">
+      <span className="mb-1">{label}</span>
+      <input
+        type="number"
+        value={value}
+        min={min}
+        max={max}
+        step={step}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="border border-slate-300 rounded-lg px-3 py-2 text-sm"
+      />
+    </label>
+  );
+}
+
+// Trains the documented CNN-GRU, or fine-tunes an existing TF.js model, on
+// labelled local recordings: annotated sessions from the history or an
+// ICBHI-style folder. The result can be saved in the browser or downloaded,
+// and selected as the detect view's inference backend.
+export default function TrainingTab({ training, classConfig, onUseModel }) {
+  const [sourceType, setSourceType] = useState("sessions");
+  const [sourceFiles, setSourceFiles] = useState(null);
+  const [baseType, setBaseType] = useState("new");
+  const [baseFiles, setBaseFiles] = useState(null);
+  const [baseUrl, setBaseUrl] = useState("");
+  const [settings, setSettings] = useState(TRAINING_DEFAULTS);
+  const [savedModels, setSavedModels] = useState([]);
+  const [modelName, setModelName] = useState("cnn-gru");
+  const [status, setStatus] = useState(null);
+
+  const { phase, progress, history, summary, error } = training;
+  const running = phase !== "idle";
+
+  const refreshSaved = () => loadSavedModels().then(setSavedModels);
+
+  useEffect(() => {
+    loadSavedModels().then(setSavedModels);
+  }, []);
+
+  const set = (key) => (value) => setSettings((s) => ({ ...s, [key]: value }));
+
+  const canStart =
+    !running &&
+    (sourceType === "sessions" || sourceFiles) &&
+    (baseType === "new" ||
+      (baseType === "files" && baseFiles) ||
+      (baseType === "saved" && baseUrl));
+
+  const start = () =>
+    training.start({
+      source: { type: sourceType, files: sourceFiles },
+      base: { type: baseType, files: baseFiles, url: baseUrl },
+      settings,
+    });
+
+  const save = async () => {
+    try {
+      const url = await training.save(modelName);
+      setStatus({ url, message: `Saved as ${url}` });
+      refreshSaved();
+    } catch (err) {
+      console.error("Error saving model:", err);
+      setStatus({ message: `Could not save: ${err.message}` });
+    }
+  };
+
+  const removeSaved = async (model) => {
+    if (!window.confirm(`Delete the saved model "${model.name}"?`)) return;
+    await loadTf().then((tf) => deleteSavedModel(tf, model.url));
+    refreshSaved();
+  };
+
+  const pickFiles = (setter) => (e) => {
+    setter(e.target.files.length ? Array.from(e.target.files) : null);
+  };
+
+  const radio = (name, value, current, setter, label) => (
+    <label className="flex items-center space-x-2 text-sm text-slate-700">
+      <input
+        type="radio"
+        name={name}
+        checked={current === value}
+        disabled={running}
+        onChange={() => setter(value)}
+      />
+      <span>{label}</span>
+    </label>
+  );
+
+  return (
+    <div className="max-w-5xl mx-auto space-y-6">
+      <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+        <h2 className="text-lg font-semibold flex items-center space-x-2 mb-4">
+          <Cpu className="w-5 h-5 text-teal-600" />
+          <span>Model Training</span>
+        </h2>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div className="space-y-2">
+            <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider">
+              Data
+            </h3>
+            {radio(
+              "source",
+              "sessions",
+              sourceType,
+              setSourceType,
+              "Annotated sessions"
+            )}
+            {radio(
+              "source",
+              "icbhi",
+              sourceType,
+              setSourceType,
+              "ICBHI folder"
+            )}
+            {sourceType === "icbhi" && (
+              <label className="flex items-center space-x-2 text-xs text-teal-700 cursor-pointer">
+                <FolderOpen className="w-4 h-4" />
+                <span>
+                  {sourceFiles ? `${sourceFiles.length} files` : "Pick folder"}
+                </span>
+                <input
+                  type="file"
+                  webkitdirectory=""
+                  className="hidden"
+                  onChange={pickFiles(setSourceFiles)}
+                />
+              </label>
+            )}
+            <p className="text-xs text-slate-400">
+              Labels: {classConfig.classes.map((c) => c.label).join(", ")}.
+              Sessions need a matching diagnosis.
+            </p>
+          </div>
+
+          <div className="space-y-2">
+            <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider">
+              Model
+            </h3>
+            {radio("base", "new", baseType, setBaseType, "New CNN-GRU")}
+            {radio(
+              "base",
+              "files",
+              baseType,
+              setBaseType,
+              "Fine-tune model files"
+            )}
+            {baseType === "files" && (
+              <label className="flex items-center space-x-2 text-xs text-teal-700 cursor-pointer">
+                <FolderOpen className="w-4 h-4" />
+                <span>
+                  {baseFiles
+                    ? `${baseFiles.length} files`
+                    : "Pick model.json + shards"}
+                </span>
+                <input
+                  type="file"
+                  accept=".json,.bin"
+                  multiple
+                  className="hidden"
+                  onChange={pickFiles(setBaseFiles)}
+                />
+              </label>
+            )}
+            {savedModels.length > 0 &&
+              radio(
+                "base",
+                "saved",
+                baseType,
+                setBaseType,
+                "Fine-tune saved model"
+              )}
+            {baseType === "saved" && (
+              <select
+                value={baseUrl}
+                onChange={(e) => setBaseUrl(e.target.value)}
+                className="w-full border border-slate-300 rounded-lg px-3 py-2 text-xs bg-white"
+              >
+                <option value="">Choose...</option>
+                {savedModels.map((m) => (
+                  <option key={m.url} value={m.url}>
+                    {m.name}
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <NumberField
+              label="Epochs"
+              value={settings.epochs}
+              min={1}
+              max={500}
+              onChange={set("epochs")}
+            />
+            <NumberField
+              label="Batch size"
+              value={settings.batchSize}
+              min={1}
+              max={512}
+              onChange={set("batchSize")}
+            />
+            <NumberField
+              label="Validation split"
+              value={settings.validationSplit}
+              min={0}
+              max={0.5}
+              step={0.05}
+              onChange={set("validationSplit")}
+            />
+            <NumberField
+              label="Early-stop patience"
+              value={settings.patience}
+              min={0}
+              max={100}
+              onChange={set("patience")}
+            />
+            <NumberField
+              label="Learning rate"
+              value={settings.learningRate}
+              min={0.00001}
+              max={0.1}
+              step={0.0001}
+              onChange={set("learningRate")}
+            />
+          </div>
+        </div>
+
+        <div className="mt-6 flex items-center justify-end space-x-3">
+          {running && (
+            <span className="mr-auto text-sm text-slate-500">
+              {PHASE_LABELS[phase]}
+              {phase === "features" && ` ${(progress * 100).toFixed(0)}%`}
+              {phase === "training" &&
+                ` epoch ${history.length}/${settings.epochs}`}
+            </span>
+          )}
+          {running && (
+            <button
+              onClick={training.cancel}
+              disabled={phase !== "training"}
+              className="flex items-center space-x-2 px-4 py-3 rounded-lg text-sm font-medium text-slate-600 border border-slate-300 hover:bg-slate-100 disabled:opacity-50"
+            >
+              <X className="w-4 h-4" />
+              <span>Stop</span>
+            </button>
+          )}
+          <button
+            onClick={start}
+            disabled={!canStart}
+            className="flex items-center space-x-2 px-6 py-3 rounded-lg font-semibold shadow-md bg-teal-600 text-white hover:bg-teal-700 disabled:bg-slate-200 disabled:text-slate-400 disabled:shadow-none"
+          >
+            <Play className="w-4 h-4" />
+            <span>Train</span>
+          </button>
+        </div>
+        {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+      </div>
+
+      {history.length > 0 && (
+        <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <TrainingChart
+              title="Loss"
+              history={history}
+              train="loss"
+              validation="valLoss"
+            />
+            <TrainingChart
+              title="Accuracy"
+              history={history}
+              train="acc"
+              validation="valAcc"
+              percent
+            />
+          </div>
+
+          {summary && (
+            <div className="mt-6 pt-6 border-t border-slate-100">
+              <p className="text-sm text-slate-600 mb-4 flex items-start space-x-2">
+                <CheckCircle2 className="w-4 h-4 text-teal-600 mt-0.5 shrink-0" />
+                <span>
+                  {summary.fineTuned ? "Fine-tuned" : "Trained"} on{" "}
+                  {summary.trainExamples} examples from {summary.recordings}{" "}
+                  recordings ({summary.validationExamples} held out).{" "}
+                  {summary.cancelled
+                    ? "Stopped by hand"
+                    : summary.stoppedEarly
+                    ? "Stopped early"
+                    : "Ran all epochs"}
+                  {summary.bestEpoch &&
+                    `; keeping epoch ${
+                      summary.bestEpoch
+                    } (validation accuracy ${percent(
+                      history[summary.bestEpoch - 1].valAcc
+                    )})`}
+                  .
+                </span>
+              </p>
+              <div className="flex flex-wrap items-center gap-3">
+                <input
+                  type="text"
+                  value={modelName}
+                  onChange={(e) => setModelName(e.target.value)}
+                  className="border border-slate-300 rounded-lg px-3 py-2 text-sm"
+                />
+                <button
+                  onClick={save}
+                  disabled={!modelName}
+                  className="flex items-center space-x-2 px-4 py-2 rounded-lg text-sm font-medium bg-teal-600 text-white hover:bg-teal-700 disabled:bg-slate-200"
+                >
+                  <Save className="w-4 h-4" />
+                  <span>Save in browser</span>
+                </button>
+                <button
+                  onClick={() => training.download(modelName)}
+                  disabled={!modelName}
+                  className="flex items-center space-x-2 px-4 py-2 rounded-lg text-sm font-medium text-teal-700 border border-teal-200 hover:bg-teal-50"
+                >
+                  <Download className="w-4 h-4" />
+                  <span>Download TF.js model</span>
+                </button>
+                {status && status.url && (
+                  <button
+                    onClick={() => onUseModel(status.url)}
+                    className="text-sm font-medium text-teal-700 hover:text-teal-900 underline"
+                  >
+                    Use for detection
+                  </button>
+                )}
+              </div>
+              {status && (
+                <p className="mt-2 text-xs text-slate-500">{status.message}</p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {savedModels.length > 0 && (
+        <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+          <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-3">
+            Saved in this browser
+          </h3>
+          <ul className="divide-y divide-slate-100 text-sm">
+            {savedModels.map((m) => (
+              <li
+                key={m.url}
+                className="py-2 flex items-center justify-between"
+              >
+                <span className="text-slate-700">
+                  {m.name}{" "}
+                  <span className="text-xs text-slate-400">
+                    · {new Date(m.savedAt).toLocaleString()}
+                  </span>
+                </span>
+                <span className="flex items-center space-x-2">
+                  <button
+                    onClick={() => onUseModel(m.url)}
+                    className="text-xs font-medium text-teal-700 hover:text-teal-900"
+                  >
+                    Use for detection
+                  </button>
+                  <button
+                    onClick={() => removeSaved(m)}
+                    title="Delete saved model"
+                    className="p-1 rounded text-slate-400 hover:text-red-600 hover:bg-red-50"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
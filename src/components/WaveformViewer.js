@@ -0,0 +1,716 @@
+import React, {
+  useState,
+  useEffect,
+  useRef,
+  forwardRef,
+  useImperativeHandle,
+} from "react";
+import {
+  ZoomIn,
+  ZoomOut,
+  Maximize2,
+  HeartOff,
+  Tag,
+  X,
+  ScanEye,
+} from "lucide-react";
+import { decodeAudio } from "../audio/decode";
+import { resample } from "../audio/preprocess";
+import { stft } from "../audio/features";
+import { encodeWav } from "../audio/wav";
+import { ANNOTATION_TAGS, tagById } from "../annotation/annotations";
+
+const CANVAS_WIDTH = 800;
+const WAVE_HEIGHT = 120;
+const SPEC_HEIGHT = 160;
+const SPEC_RATE = 8000; // Spectrogram covers 0-4 kHz, the lung-sound range
+const SPEC_FFT = { nFft: 256, hopLength: 64 };
+// Columns of the offscreen spectrogram: a zoom of up to 8x stays sharp, and
+// long recordings stay well inside browsers' canvas size limits.
+const SPEC_MAX_COLUMNS = 8 * CANVAS_WIDTH;
+const MIN_SPAN = 0.25; // seconds
+
+// Dark-to-bright teal/yellow ramp for the spectrogram.
+const COLOR_STOPS = [
+  [4, 47, 46],
+  [13, 148, 136],
+  [94, 234, 212],
+  [253, 224, 71],
+];
+
+const colorAt = (v) => {
+  const pos = Math.max(0, Math.min(1, v)) * (COLOR_STOPS.length - 1);
+  const i = Math.min(COLOR_STOPS.length - 2, Math.floor(pos));
+  const t = pos - i;
+  return COLOR_STOPS[i].map((c, k) => c + (COLOR_STOPS[i + 1][k] - c) * t);
+};
+
+// Renders the full-length spectrogram once into an offscreen canvas; zooming
+// then just crops it. Longer recordings have more frames than columns, so
+// each column takes the per-bin maximum of its frames, which keeps short
+// events such as crackles visible.
+const renderSpectrogram = ({ samples, sampleRate }) => {
+  const frames = stft(resample(samples, sampleRate, SPEC_RATE), SPEC_FFT);
+  const bins = frames[0].length;
+  const width = Math.min(frames.length, SPEC_MAX_COLUMNS);
+  const db = Array.from({ length: width }, (_, x) => {
+    const from = Math.floor((x * frames.length) / width);
+    const to = Math.floor(((x + 1) * frames.length) / width);
+    const column = new Float32Array(bins);
+    for (let f = from; f < to; f++) {
+      for (let bin = 0; bin < bins; bin++) {
+        column[bin] = Math.max(column[bin], frames[f][bin]);
+      }
+    }
+    return column.map((p) => 10 * Math.log10(p + 1e-12));
+  });
+  let max = -Infinity;
+  db.forEach((f) => f.forEach((v) => (max = Math.max(max, v))));
+  const floor = max - 80;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = bins;
+  const ctx = canvas.getContext("2d");
+  const image = ctx.createImageData(width, bins);
+  db.forEach((frame, x) => {
+    frame.forEach((v, bin) => {
+      const [r, g, b] = colorAt((v - floor) / (max - floor));
+      const idx = ((bins - 1 - bin) * width + x) * 4;
+      image.data[idx] = r;
+      image.data[idx + 1] = g;
+      image.data[idx + 2] = b;
+      image.data[idx + 3] = 255;
+    });
+  });
+  ctx.putImageData(image, 0, 0);
+  return canvas;
+};
+
+const clampView = (start, span, duration) => {
+  const s = Math.min(duration, Math.max(MIN_SPAN, span));
+  return { start: Math.max(0, Math.min(duration - s, start)), span: s };
+};
+
+const formatTime = (t) => `${t.toFixed(t < 10 ? 2 : 1)}s`;
+
+// S1/S2 removed in the lung-only version, as bands along the bottom edge.
+const HeartMarkers = ({ sounds, view }) => (
+  <div className="absolute inset-0 pointer-events-none">
+    {sounds
+      .filter((s) => s.end > view.start && s.start < view.start + view.span)
+      .map((s) => (
+        <div
+          key={s.start}
+          className="absolute bottom-0 h-2 bg-rose-400/70"
+          style={{
+            left: `${((s.start - view.start) / view.span) * 100}%`,
+            width: `${((s.end - s.start) / view.span) * 100}%`,
+          }}
+        />
+      ))}
+  </div>
+);
+
+// Crackles and wheezes from events.js, drawn over the visible window.
+const EventMarkers = ({ events, view }) => {
+  const toPercent = (t) => ((t - view.start) / view.span) * 100;
+  const visible = (e) => e.end > view.start && e.start < view.start + view.span;
+
+  return (
+    <div className="absolute inset-0 pointer-events-none">
+      {events.wheezes.filter(visible).map((w) => (
+        <div
+          key={`w${w.start}`}
+          title={`Wheeze ${w.start.toFixed(2)}-${w.end.toFixed(
+            2
+          )}s, ${w.frequency.toFixed(0)} Hz`}
+          className="absolute top-0 bottom-0 bg-purple-400/25 border-x border-purple-300/70"
+          style={{
+            left: `${toPercent(w.start)}%`,
+            width: `${toPercent(w.end) - toPercent(w.start)}%`,
+          }}
+        />
+      ))}
+      {events.crackles.filter(visible).map((c) => (
+        <div
+          key={`c${c.start}`}
+          className="absolute top-0 w-0 h-0 -ml-1 border-x-4 border-x-transparent border-t-8 border-t-amber-400"
+          style={{ left: `${toPercent((c.start + c.end) / 2)}%` }}
+        />
+      ))}
+    </div>
+  );
+};
+
+// Clinician annotations as a strip along the top edge.
+const RegionMarkers = ({ regions, view }) => (
+  <div className="absolute inset-x-0 top-0 h-2 pointer-events-none">
+    {regions
+      .filter((r) => r.end > view.start && r.start < view.start + view.span)
+      .map((r) => (
+        <div
+          key={r.id}
+          className={`absolute inset-y-0 opacity-80 ${tagById(r.tag).strip}`}
+          style={{
+            left: `${((r.start - view.start) / view.span) * 100}%`,
+            width: `${((r.end - r.start) / view.span) * 100}%`,
+          }}
+        />
+      ))}
+  </div>
+);
+
+// Occlusion saliency (analysis/saliency.js) as a heatmap over the spectrogram.
+// Only positive importance is drawn, scaled to the strongest patch.
+const SaliencyOverlay = ({ saliency, view }) => {
+  const peak = Math.max(
+    ...saliency.cells.map((c) => Math.max(...c.importance)),
+    1e-6
+  );
+  const nyquist = SPEC_RATE / 2;
+
+  return (
+    <div className="absolute inset-x-0 bottom-0 h-32 overflow-hidden pointer-events-none">
+      {saliency.cells
+        .filter((c) => c.end > view.start && c.start < view.start + view.span)
+        .map((c) =>
+          c.importance.map((value, b) =>
+            value > 0 ? (
+              <div
+                key={`${c.start}-${b}`}
+                className="absolute bg-red-500"
+                style={{
+                  left: `${((c.start - view.start) / view.span) * 100}%`,
+                  width: `${((c.end - c.start) / view.span) * 100}%`,
+                  top: `${(1 - saliency.bands[b].high / nyquist) * 100}%`,
+                  height: `${
+                    ((saliency.bands[b].high - saliency.bands[b].low) /
+                      nyquist) *
+                    100
+                  }%`,
+                  opacity: 0.7 * (value / peak),
+                }}
+              />
+            ) : null
+          )
+        )}
+    </div>
+  );
+};
+
+// Waveform and spectrogram of the visible window stacked into one image, with
+// the event markers drawn in, for reports.
+const composeSnapshot = (wave, spec, events, view) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = CANVAS_WIDTH;
+  canvas.height = WAVE_HEIGHT + SPEC_HEIGHT;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(wave, 0, 0);
+  ctx.drawImage(spec, 0, WAVE_HEIGHT);
+  if (events) {
+    const x = (t) => ((t - view.start) / view.span) * CANVAS_WIDTH;
+    ctx.fillStyle = "rgba(192, 132, 252, 0.3)";
+    events.wheezes.forEach((w) =>
+      ctx.fillRect(x(w.start), 0, x(w.end) - x(w.start), canvas.height)
+    );
+    ctx.fillStyle = "rgb(251, 191, 36)";
+    events.crackles.forEach((c) => {
+      const cx = x((c.start + c.end) / 2);
+      ctx.beginPath();
+      ctx.moveTo(cx - 4, 0);
+      ctx.lineTo(cx + 4, 0);
+      ctx.lineTo(cx, 8);
+      ctx.fill();
+    });
+  }
+  return canvas.toDataURL("image/png");
+};
+
+// Waveform, spectrogram and player. The player can switch between the
+// original recording and a lung-only version with heart sounds gated out
+// (A/B comparison); the lung-only version is computed on first use, in the
+// worker behind `analysis` (analysis/client.js).
+//
+// The ref exposes snapshot(), a PNG data URL of the current view (or null
+// before decoding finishes).
+//
+// With `onAddRegion`, an annotate mode turns dragging into a time selection
+// that can be tagged (annotation/annotations.js); `regions` are drawn along
+// the top edge. A result's `saliency` map can be toggled over the spectrogram.
+function WaveformViewer(
+  {
+    analysis,
+    audioFile,
+    audioUrl,
+    events,
+    regions = [],
+    onAddRegion,
+    saliency,
+  },
+  ref
+) {
+  const [original, setOriginal] = useState(null);
+  const [lungOnly, setLungOnly] = useState(null); // { audio, url, spectrogram, heartSounds }
+  const [showLungOnly, setShowLungOnly] = useState(false);
+  const [separating, setSeparating] = useState(false);
+  const [error, setError] = useState(null);
+  const [view, setView] = useState({ start: 0, span: 1 });
+  const [currentTime, setCurrentTime] = useState(0);
+  const [annotating, setAnnotating] = useState(false);
+  const [selection, setSelection] = useState(null); // { start, end } in seconds
+  const [showSaliency, setShowSaliency] = useState(true);
+
+  const waveRef = useRef(null);
+  const specRef = useRef(null);
+  const spectrogramRef = useRef(null);
+  const originalRef = useRef(null); // Lets a late lung-only result spot a newer file
+  const audioRef = useRef(null);
+  const dragRef = useRef(null);
+  const resumeRef = useRef(null); // Playback position carried across A/B switches
+
+  const audio = showLungOnly && lungOnly ? lungOnly.audio : original;
+  const duration = audio ? audio.samples.length / audio.sampleRate : 0;
+
+  useImperativeHandle(ref, () => ({
+    snapshot: () =>
+      audio
+        ? composeSnapshot(waveRef.current, specRef.current, events, view)
+        : null,
+  }));
+
+  // Decode whenever a new file is loaded
+  useEffect(() => {
+    let cancelled = false;
+    originalRef.current = null;
+    setOriginal(null);
+    setLungOnly(null);
+    setShowLungOnly(false);
+    setSeparating(false);
+    setError(null);
+    setCurrentTime(0);
+    setSelection(null);
+    decodeAudio(audioFile)
+      .then((decoded) => {
+        if (cancelled) return;
+        spectrogramRef.current = renderSpectrogram(decoded);
+        originalRef.current = decoded;
+        setOriginal(decoded);
+        setView({
+          start: 0,
+          span: decoded.samples.length / decoded.sampleRate,
+        });
+      })
+      .catch((err) => {
+        console.error("Error decoding audio for display:", err);
+        if (!cancelled) setError("This file could not be decoded.");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [audioFile]);
+
+  useEffect(
+    () => () => {
+      if (lungOnly) URL.revokeObjectURL(lungOnly.url);
+    },
+    [lungOnly]
+  );
+
+  // Redraw on zoom/pan
+  useEffect(() => {
+    if (!audio) return;
+    const { samples, sampleRate } = audio;
+
+    const wave = waveRef.current.getContext("2d");
+    wave.fillStyle = "rgb(15, 23, 42)";
+    wave.fillRect(0, 0, CANVAS_WIDTH, WAVE_HEIGHT);
+    wave.fillStyle = "rgb(45, 212, 191)";
+    const first = Math.floor(view.start * sampleRate);
+    const perPixel = (view.span * sampleRate) / CANVAS_WIDTH;
+    const mid = WAVE_HEIGHT / 2;
+    for (let x = 0; x < CANVAS_WIDTH; x++) {
+      const from = first + Math.floor(x * perPixel);
+      const to = Math.min(
+        samples.length,
+        first + Math.floor((x + 1) * perPixel)
+      );
+      let min = 0;
+      let max = 0;
+      for (
+        let i = from;
+        i < Math.max(to, from + 1) && i < samples.length;
+        i++
+      ) {
+        if (samples[i] < min) min = samples[i];
+        if (samples[i] > max) max = samples[i];
+      }
+      wave.fillRect(x, mid - max * mid, 1, Math.max(1, (max - min) * mid));
+    }
+
+    const spec = specRef.current.getContext("2d");
+    const image =
+      showLungOnly && lungOnly ? lungOnly.spectrogram : spectrogramRef.current;
+    const scale = image.width / duration;
+    spec.imageSmoothingEnabled = false;
+    spec.drawImage(
+      image,
+      view.start * scale,
+      0,
+      Math.max(1, view.span * scale),
+      image.height,
+      0,
+      0,
+      CANVAS_WIDTH,
+      SPEC_HEIGHT
+    );
+  }, [audio, view, duration, showLungOnly, lungOnly]);
+
+  // Keep the playhead in sync while playing
+  useEffect(() => {
+    const el = audioRef.current;
+    if (!el) return undefined;
+    let frame;
+    const tick = () => {
+      setCurrentTime(el.currentTime);
+      if (!el.paused) frame = requestAnimationFrame(tick);
+    };
+    const onPlay = () => tick();
+    el.addEventListener("play", onPlay);
+    el.addEventListener("seeked", tick);
+    return () => {
+      cancelAnimationFrame(frame);
+      el.removeEventListener("play", onPlay);
+      el.removeEventListener("seeked", tick);
+    };
+  }, [audioUrl]);
+
+  // Follow the playhead when it runs off the visible window
+  useEffect(() => {
+    const el = audioRef.current;
+    if (!el || el.paused) return;
+    if (currentTime < view.start || currentTime > view.start + view.span) {
+      setView(clampView(currentTime, view.span, duration));
+    }
+  }, [currentTime, view, duration]);
+
+  const zoom = (factor) => {
+    const center = view.start + view.span / 2;
+    const span = view.span * factor;
+    setView(clampView(center - span / 2, span, duration));
+  };
+
+  const timeAt = (clientX, rect) =>
+    view.start + ((clientX - rect.left) / rect.width) * view.span;
+
+  const clampTime = (t) => Math.max(0, Math.min(duration, t));
+
+  const handleMouseDown = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    dragRef.current = {
+      x: e.clientX,
+      start: view.start,
+      time: clampTime(timeAt(e.clientX, rect)),
+      moved: false,
+    };
+  };
+
+  // Dragging pans, or selects a time range in annotate mode
+  const handleMouseMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const dx = e.clientX - drag.x;
+    if (Math.abs(dx) > 3) drag.moved = true;
+    if (drag.moved && annotating) {
+      const t = clampTime(timeAt(e.clientX, rect));
+      setSelection({
+        start: Math.min(drag.time, t),
+        end: Math.max(drag.time, t),
+      });
+    } else if (drag.moved) {
+      setView(
+        clampView(
+          drag.start - (dx / rect.width) * view.span,
+          view.span,
+          duration
+        )
+      );
+    }
+  };
+
+  const handleMouseUp = (e) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || drag.moved || !audioRef.current) return;
+    // A click without dragging seeks
+    setSelection(null);
+    const t = timeAt(e.clientX, e.currentTarget.getBoundingClientRect());
+    audioRef.current.currentTime = clampTime(t);
+    setCurrentTime(audioRef.current.currentTime);
+  };
+
+  const switchPlayer = (lung) => {
+    const el = audioRef.current;
+    if (el) resumeRef.current = { time: el.currentTime, playing: !el.paused };
+    setShowLungOnly(lung);
+  };
+
+  const toggleLungOnly = async () => {
+    if (lungOnly) {
+      switchPlayer(!showLungOnly);
+      return;
+    }
+    if (separating) return;
+    setSeparating(true);
+    try {
+      const cleaned = await analysis.suppressHeartSounds(original);
+      if (originalRef.current !== original) return;
+      const wav = encodeWav(cleaned.samples, cleaned.sampleRate, 32);
+      setLungOnly({
+        audio: cleaned,
+        url: URL.createObjectURL(new Blob([wav], { type: "audio/wav" })),
+        spectrogram: renderSpectrogram(cleaned),
+        heartSounds: cleaned.heartSounds,
+      });
+      switchPlayer(true);
+    } catch (err) {
+      console.error("Error removing heart sounds:", err);
+      alert(`Could not remove the heart sounds: ${err.message}`);
+    } finally {
+      if (originalRef.current === original) setSeparating(false);
+    }
+  };
+
+  const handleLoadedMetadata = () => {
+    const resume = resumeRef.current;
+    const el = audioRef.current;
+    resumeRef.current = null;
+    if (!resume || !el) return;
+    el.currentTime = resume.time;
+    if (resume.playing) el.play();
+  };
+
+  const tagSelection = (tag) => {
+    onAddRegion({ ...selection, tag });
+    setSelection(null);
+  };
+
+  const toggleAnnotating = () => {
+    setAnnotating(!annotating);
+    setSelection(null);
+  };
+
+  const playheadLeft = ((currentTime - view.start) / view.span) * 100;
+
+  return (
+    <div className="bg-slate-900 rounded-xl overflow-hidden border border-slate-800">
+      <div
+        className="relative cursor-crosshair select-none"
+        onMouseDown={handleMouseDown}
+        onMouseMove={handleMouseMove}
+        onMouseUp={handleMouseUp}
+        onMouseLeave={() => (dragRef.current = null)}
+      >
+        <canvas
+          ref={waveRef}
+          width={CANVAS_WIDTH}
+          height={WAVE_HEIGHT}
+          className="block w-full h-24"
+        />
+        <canvas
+          ref={specRef}
+          width={CANVAS_WIDTH}
+          height={SPEC_HEIGHT}
+          className="block w-full h-32 border-t border-slate-800"
+        />
+        {audio && saliency && showSaliency && (
+          <SaliencyOverlay saliency={saliency} view={view} />
+        )}
+        {audio && events && <EventMarkers events={events} view={view} />}
+        {audio && regions.length > 0 && (
+          <RegionMarkers regions={regions} view={view} />
+        )}
+        {selection && (
+          <div
+            className="absolute top-0 bottom-0 bg-white/15 border-x border-white/60 pointer-events-none"
+            style={{
+              left: `${((selection.start - view.start) / view.span) * 100}%`,
+              width: `${
+                ((selection.end - selection.start) / view.span) * 100
+              }%`,
+            }}
+          />
+        )}
+        {showLungOnly && lungOnly && (
+          <HeartMarkers sounds={lungOnly.heartSounds} view={view} />
+        )}
+        {audio && playheadLeft >= 0 && playheadLeft <= 100 && (
+          <div
+            className="absolute top-0 bottom-0 w-px bg-white pointer-events-none"
+            style={{ left: `${playheadLeft}%` }}
+          />
+        )}
+        {!audio && (
+          <div className="absolute inset-0 flex items-center justify-center text-sm text-teal-400/60">
+            {error || "Decoding audio..."}
+          </div>
+        )}
+      </div>
+
+      {audio && (
+        <div className="px-3 pt-2 flex items-center space-x-2 text-xs text-slate-400 font-mono">
+          <span>{formatTime(view.start)}</span>
+          <input
+            type="range"
+            min="0"
+            max={Math.max(0, duration - view.span)}
+            step="0.01"
+            value={view.start}
+            disabled={view.span >= duration}
+            onChange={(e) =>
+              setView(clampView(Number(e.target.value), view.span, duration))
+            }
+            className="flex-1 accent-teal-500"
+          />
+          <span>{formatTime(view.start + view.span)}</span>
+          <button
+            onClick={() => zoom(0.5)}
+            title="Zoom in"
+            className="p-1 rounded hover:bg-slate-700 hover:text-white"
+          >
+            <ZoomIn className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => zoom(2)}
+            title="Zoom out"
+            className="p-1 rounded hover:bg-slate-700 hover:text-white"
+          >
+            <ZoomOut className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => setView(clampView(0, duration, duration))}
+            title="Show all"
+            className="p-1 rounded hover:bg-slate-700 hover:text-white"
+          >
+            <Maximize2 className="w-4 h-4" />
+          </button>
+          <button
+            onClick={toggleLungOnly}
+            disabled={separating}
+            title="Compare the original with heart sounds removed"
+            className={`flex items-center space-x-1 px-2 py-1 rounded ${
+              showLungOnly
+                ? "bg-rose-500/20 text-rose-300"
+                : "hover:bg-slate-700 hover:text-white"
+            }`}
+          >
+            <HeartOff className="w-4 h-4" />
+            <span>
+              {separating
+                ? "Removing heart sounds..."
+                : showLungOnly
+                ? "Lung only"
+                : "Original"}
+            </span>
+          </button>
+          {onAddRegion && (
+            <button
+              onClick={toggleAnnotating}
+              title="Drag across the view to select a region to label"
+              className={`flex items-center space-x-1 px-2 py-1 rounded ${
+                annotating
+                  ? "bg-teal-500/20 text-teal-300"
+                  : "hover:bg-slate-700 hover:text-white"
+              }`}
+            >
+              <Tag className="w-4 h-4" />
+              <span>Annotate</span>
+            </button>
+          )}
+          {saliency && (
+            <button
+              onClick={() => setShowSaliency(!showSaliency)}
+              title="Show which parts of the spectrogram drove the prediction"
+              className={`flex items-center space-x-1 px-2 py-1 rounded ${
+                showSaliency
+                  ? "bg-red-500/20 text-red-300"
+                  : "hover:bg-slate-700 hover:text-white"
+              }`}
+            >
+              <ScanEye className="w-4 h-4" />
+              <span>Saliency</span>
+            </button>
+          )}
+        </div>
+      )}
+
+      {selection && (
+        <div className="px-3 pt-2 flex flex-wrap items-center gap-1 text-xs text-slate-400">
+          <span className="font-mono mr-1">
+            {formatTime(selection.start)}–{formatTime(selection.end)}
+          </span>
+          {ANNOTATION_TAGS.map((tag) => (
+            <button
+              key={tag.id}
+              onClick={() => tagSelection(tag.id)}
+              className="flex items-center space-x-1 px-2 py-1 rounded hover:bg-slate-700 hover:text-white"
+            >
+              <span className={`w-2 h-2 rounded-full ${tag.strip}`} />
+              <span>{tag.label}</span>
+            </button>
+          ))}
+          <button
+            onClick={() => setSelection(null)}
+            title="Discard the selection"
+            className="p-1 rounded hover:bg-slate-700 hover:text-white"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      {audio && events && (
+        <div className="px-3 pt-2 flex items-center space-x-4 text-xs text-slate-400">
+          <span className="flex items-center space-x-1">
+            <span className="w-0 h-0 border-x-4 border-x-transparent border-t-8 border-t-amber-400" />
+            <span>Crackle ({events.crackles.length})</span>
+          </span>
+          <span className="flex items-center space-x-1">
+            <span className="w-3 h-3 bg-purple-400/40 border border-purple-300/70" />
+            <span>Wheeze ({events.wheezes.length})</span>
+          </span>
+        </div>
+      )}
+
+      {audio && saliency && showSaliency && (
+        <div className="px-3 pt-2 flex items-center space-x-1 text-xs text-slate-400">
+          <span className="w-3 h-3 bg-red-500/60" />
+          <span>
+            Evidence for {saliency.label} (model input covers the first{" "}
+            {formatTime(saliency.duration)})
+          </span>
+        </div>
+      )}
+
+      {showLungOnly && lungOnly && (
+        <div className="px-3 pt-2 flex items-center space-x-1 text-xs text-slate-400">
+          <span className="w-3 h-2 bg-rose-400/70" />
+          <span>Heart sound removed ({lungOnly.heartSounds.length})</span>
+        </div>
+      )}
+
+      <div className="p-3">
+        <audio
+          ref={audioRef}
+          src={showLungOnly && lungOnly ? lungOnly.url : audioUrl}
+          onLoadedMetadata={handleLoadedMetadata}
+          controls
+          className="w-full h-8"
+        />
+      </div>
+    </div>
+  );
+}
+
+export default forwardRef(WaveformViewer);
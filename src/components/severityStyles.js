@@ -0,0 +1,29 @@
+import { AlertCircle, CheckCircle2, HelpCircle } from "lucide-react";
+
+// Colour scheme per decision severity (see classConfig.js).
+export const SEVERITY_STYLES = {
+  normal: {
+    header: "bg-emerald-100",
+    title: "text-emerald-800",
+    badge: "bg-emerald-200",
+    bar: "bg-emerald-500",
+    text: "text-emerald-700",
+    Icon: CheckCircle2,
+  },
+  abnormal: {
+    header: "bg-amber-100",
+    title: "text-amber-800",
+    badge: "bg-amber-200",
+    bar: "bg-amber-500",
+    text: "text-amber-700",
+    Icon: AlertCircle,
+  },
+  inconclusive: {
+    header: "bg-slate-100",
+    title: "text-slate-700",
+    badge: "bg-slate-200",
+    bar: "bg-slate-400",
+    text: "text-slate-600",
+    Icon: HelpCircle,
+  },
+};
@@ -0,0 +1,10 @@
+// Confirmed by the operator before a recording is made or uploaded; the
+// version is stored with each session's consent, so a changed statement can
+// be told apart from the one a patient agreed to.
+export const CONSENT_VERSION = 1;
+
+export const CONSENT_STATEMENT =
+  "The patient (or their legal representative) has been told that their " +
+  "breath sounds will be recorded and analysed by software in this browser, " +
+  "that the result is not a medical diagnosis, and that the recording is " +
+  "stored under a pseudonym. They have agreed to this.";
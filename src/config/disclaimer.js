@@ -0,0 +1,6 @@
+// Shown in the About tab and printed on every exported report.
+export const DISCLAIMER =
+  "This application is a technical demonstration. With the demo backend the " +
+  "inference results are simulated; with a TensorFlow.js backend they are " +
+  "only as reliable as the pre-trained model loaded into the browser. " +
+  "Results are not a medical diagnosis.";
@@ -0,0 +1,195 @@
+// ICBHI-style benchmark: runs annotated recordings through the analysis
+// pipeline and scores the file-level diagnosis against the diagnosis CSV and
+// the crackle/wheeze findings against the cycle annotations.
+import { runQueue } from "../analysis/batch";
+import { AnalysisCancelledError } from "../analysis/pipeline";
+import { diagnosisLabel } from "./icbhi";
+import {
+  CYCLE_CLASSES,
+  cycleClass,
+  confusionMatrix,
+  classificationReport,
+  icbhiScore,
+} from "./metrics";
+
+const overlaps = (event, cycle) =>
+  event.start < cycle.end && event.end > cycle.start;
+
+// Findings the event detectors report within one annotated cycle.
+export const predictCycle = (cycle, events) => ({
+  crackles: events.crackles.some((e) => overlaps(e, cycle)),
+  wheezes: events.wheezes.some((e) => overlaps(e, cycle)),
+});
+
+// Row status: "evaluated", "rejected" (failed the quality gate), "unmapped"
+// (diagnosis missing or not in the label set) or "failed". Rejected
+// recordings have no detected events, so their cycles all score as normal.
+function scoreRecording(recording, result, error, classConfig) {
+  const { id, patientId, diagnosis } = recording;
+  const expected = diagnosis ? diagnosisLabel(diagnosis, classConfig) : null;
+  if (error) {
+    return {
+      id,
+      patientId,
+      diagnosis,
+      expected,
+      status: "failed",
+      error: error.message,
+      cycles: [],
+    };
+  }
+
+  const accepted = result.quality.acceptable;
+  let status = "evaluated";
+  if (!accepted) status = "rejected";
+  else if (!expected) status = "unmapped";
+  return {
+    id,
+    patientId,
+    diagnosis,
+    expected,
+    predicted: accepted ? result.topLabel : null,
+    confidence: accepted ? result.confidence : null,
+    qualityScore: result.quality.score,
+    status,
+    cycles: recording.cycles.map((cycle) => ({
+      start: cycle.start,
+      end: cycle.end,
+      actual: { crackles: cycle.crackles, wheezes: cycle.wheezes },
+      predicted: predictCycle(cycle, result.events),
+    })),
+  };
+}
+
+const countStatus = (rows, status) =>
+  rows.filter((row) => row.status === status).length;
+
+export function buildBenchmarkReport(rows, classConfig) {
+  const evaluated = rows.filter((row) => row.status === "evaluated");
+  const labels = classConfig.classes.map((c) => c.label);
+  // Models with more outputs than configured classes predict "Class n".
+  evaluated.forEach(({ predicted }) => {
+    if (!labels.includes(predicted)) labels.push(predicted);
+  });
+  const diagnosisMatrix = confusionMatrix(
+    evaluated.map(({ expected, predicted }) => ({
+      actual: expected,
+      predicted,
+    })),
+    labels
+  );
+
+  const cycles = rows.flatMap((row) => row.cycles);
+  const cycleMatrix = confusionMatrix(
+    cycles.map((c) => ({
+      actual: cycleClass(c.actual),
+      predicted: cycleClass(c.predicted),
+    })),
+    CYCLE_CLASSES
+  );
+  const agreement = (key) =>
+    cycles.length
+      ? cycles.filter((c) => c.actual[key] === c.predicted[key]).length /
+        cycles.length
+      : null;
+
+  return {
+    recordings: rows,
+    counts: {
+      recordings: rows.length,
+      evaluated: evaluated.length,
+      rejected: countStatus(rows, "rejected"),
+      unmapped: countStatus(rows, "unmapped"),
+      failed: countStatus(rows, "failed"),
+    },
+    diagnosis: {
+      ...diagnosisMatrix,
+      ...classificationReport(diagnosisMatrix),
+    },
+    cycles: {
+      ...cycleMatrix,
+      ...icbhiScore(cycleMatrix),
+      accuracy: classificationReport(cycleMatrix).accuracy,
+      crackleAccuracy: agreement("crackles"),
+      wheezeAccuracy: agreement("wheezes"),
+      total: cycles.length,
+    },
+  };
+}
+
+// `recordings` come from loadIcbhiDataset(). `analyze(audio)` resolves to an
+// analysis result (analysis/pipeline.js): the app sends it through the
+// analysis worker exactly like runAnalysis, tests call runPipeline directly.
+export async function runBenchmark(
+  recordings,
+  analyze,
+  { classConfig, concurrency, signal, onProgress = () => {} }
+) {
+  const rows = [];
+  await runQueue(
+    recordings,
+    async (recording) => analyze(await recording.readAudio()),
+    {
+      concurrency,
+      signal,
+      onSettled: (index, { result, error }) => {
+        rows[index] = scoreRecording(
+          recordings[index],
+          result,
+          error,
+          classConfig
+        );
+        onProgress(rows.filter(Boolean).length / recordings.length);
+      },
+    }
+  );
+  if (signal && signal.aborted) throw new AnalysisCancelledError();
+  return buildBenchmarkReport(rows, classConfig);
+}
+
+const percent = (value) =>
+  value === null ? "–" : `${(value * 100).toFixed(1)}%`;
+
+// Plain-text summary, for the console when the harness runs headlessly.
+export function formatBenchmarkReport({ counts, diagnosis, cycles }) {
+  const pad = (text, width) => String(text).padEnd(width);
+  const width = Math.max(...diagnosis.labels.map((l) => l.length), 10) + 2;
+  const first = Math.max(width, 20);
+  const matrix = ({ labels, matrix: rows }) => [
+    pad("actual \\ predicted", first) +
+      labels.map((l) => pad(l, width)).join(""),
+    ...rows.map(
+      (row, i) => pad(labels[i], first) + row.map((n) => pad(n, width)).join("")
+    ),
+  ];
+
+  return [
+    `Recordings: ${counts.recordings} (evaluated ${counts.evaluated}, rejected ${counts.rejected}, unmapped ${counts.unmapped}, failed ${counts.failed})`,
+    "",
+    "Diagnosis",
+    ...matrix(diagnosis),
+    "",
+    pad("class", first) +
+      ["precision", "recall", "f1", "support"].map((h) => pad(h, 11)).join(""),
+    ...diagnosis.classes.map(
+      (c) =>
+        pad(c.label, first) +
+        [percent(c.precision), percent(c.recall), percent(c.f1), c.support]
+          .map((v) => pad(v, 11))
+          .join("")
+    ),
+    `Accuracy ${percent(diagnosis.accuracy)}, macro F1 ${percent(
+      diagnosis.macro.f1
+    )}`,
+    "",
+    `Cycles (${cycles.total})`,
+    ...matrix(cycles),
+    "",
+    `ICBHI sensitivity ${percent(cycles.sensitivity)}, specificity ${percent(
+      cycles.specificity
+    )}, score ${percent(cycles.score)}`,
+    `Cycle accuracy ${percent(cycles.accuracy)}, crackles ${percent(
+      cycles.crackleAccuracy
+    )}, wheezes ${percent(cycles.wheezeAccuracy)}`,
+  ].join("\n");
+}
@@ -0,0 +1,206 @@
+import fs from "fs";
+import path from "path";
+import { runPipeline } from "../analysis/pipeline";
+import { encodeWav, decodeWav } from "../audio/wav";
+import { FEATURE_CONFIG } from "../audio/features";
+import { DEFAULT_CLASS_CONFIG } from "../inference/classConfig";
+import {
+  loadIcbhiDataset,
+  parseCycleAnnotations,
+  parseDiagnoses,
+  parseRecordingName,
+} from "./icbhi";
+import {
+  confusionMatrix,
+  classificationReport,
+  icbhiScore,
+  CYCLE_CLASSES,
+} from "./metrics";
+import { runBenchmark, formatBenchmarkReport } from "./benchmark";
+
+const FIXTURES = path.join(__dirname, "__fixtures__", "icbhi");
+
+// Fixture files with the Blob methods loadIcbhiDataset() uses.
+const fixtureFiles = () =>
+  fs.readdirSync(FIXTURES).map((name) => {
+    const data = fs.readFileSync(path.join(FIXTURES, name));
+    return {
+      name,
+      text: async () => data.toString("utf8"),
+      arrayBuffer: async () =>
+        data.buffer.slice(data.byteOffset, data.byteOffset + data.length),
+    };
+  });
+
+// Always predicts the second class (COPD in the default config), so the
+// diagnosis metrics are known in advance.
+const fixedEngine = {
+  id: "fixed",
+  name: "Fixed",
+  ready: true,
+  source: null,
+  inputShape: [FEATURE_CONFIG.frames, FEATURE_CONFIG.nMfcc],
+  outputSize: 3,
+  classConfig: null,
+  async load() {},
+  async predict() {
+    return { probabilities: [0.2, 0.7, 0.1] };
+  },
+  dispose() {},
+};
+
+describe("ICBHI readers", () => {
+  it("parses recording names", () => {
+    expect(parseRecordingName("dir/101_1b1_Al_sc_Meditron.wav")).toEqual({
+      id: "101_1b1_Al_sc_Meditron",
+      patientId: "101",
+      index: "1b1",
+      location: "Al",
+      mode: "sc",
+      device: "Meditron",
+    });
+  });
+
+  it("parses cycle annotations", () => {
+    expect(
+      parseCycleAnnotations("0.036\t0.579\t0\t0\n0.579 2.45 1 1\n\n")
+    ).toEqual([
+      { start: 0.036, end: 0.579, crackles: false, wheezes: false },
+      { start: 0.579, end: 2.45, crackles: true, wheezes: true },
+    ]);
+    expect(() => parseCycleAnnotations("0.1\t0.2\tx\t0")).toThrow(/line 1/);
+  });
+
+  it("parses the diagnosis CSV with or without a header", () => {
+    const diagnoses = parseDiagnoses(
+      "patient,diagnosis\r\n101,URTI\r\n102,Healthy\r\n"
+    );
+    expect([...diagnoses]).toEqual([
+      ["101", "URTI"],
+      ["102", "Healthy"],
+    ]);
+    // The original ICBHI file has no header and is tab separated.
+    expect(parseDiagnoses("101\tURTI\n102\tHealthy\n")).toEqual(diagnoses);
+  });
+
+  it("decodes 16-bit, 24-bit and float WAV files", () => {
+    const samples = Float32Array.from([0, 0.5, -0.5, 0.25]);
+    [16, 32].forEach((bitDepth) => {
+      const decoded = decodeWav(encodeWav(samples, 4000, bitDepth));
+      expect(decoded.sampleRate).toBe(4000);
+      decoded.samples.forEach((s, i) => expect(s).toBeCloseTo(samples[i], 3));
+    });
+    // The 102 fixture is 24-bit integer PCM.
+    const file = fixtureFiles().find(
+      (f) => f.name === "102_1b1_Ar_sc_Meditron.wav"
+    );
+    return file.arrayBuffer().then((buffer) => {
+      const { samples: pcm, sampleRate } = decodeWav(buffer);
+      expect(sampleRate).toBe(4000);
+      expect(pcm.length).toBe(48000);
+    });
+  });
+});
+
+describe("metrics", () => {
+  const labels = ["A", "B"];
+  const pairs = [
+    { actual: "A", predicted: "A" },
+    { actual: "A", predicted: "B" },
+    { actual: "B", predicted: "B" },
+    { actual: "B", predicted: "B" },
+  ];
+
+  it("builds a confusion matrix and per-class scores", () => {
+    const confusion = confusionMatrix(pairs, labels);
+    expect(confusion.matrix).toEqual([
+      [1, 1],
+      [0, 2],
+    ]);
+    const report = classificationReport(confusion);
+    expect(report.accuracy).toBe(0.75);
+    expect(report.classes[0]).toMatchObject({
+      precision: 1,
+      recall: 0.5,
+      support: 2,
+    });
+    expect(report.classes[1].precision).toBeCloseTo(2 / 3);
+    expect(report.classes[1].f1).toBeCloseTo(0.8);
+  });
+
+  it("computes the ICBHI score", () => {
+    // Rows: Normal, Crackle, Wheeze, Both
+    const matrix = [
+      [8, 1, 1, 0],
+      [2, 3, 0, 0],
+      [1, 0, 2, 0],
+      [0, 1, 0, 1],
+    ];
+    const { sensitivity, specificity, score } = icbhiScore({
+      labels: CYCLE_CLASSES,
+      matrix,
+    });
+    expect(specificity).toBe(0.8);
+    expect(sensitivity).toBe(0.6);
+    expect(score).toBeCloseTo(0.7);
+  });
+});
+
+describe("benchmark", () => {
+  it("scores the fixture dataset through the analysis pipeline", async () => {
+    const recordings = await loadIcbhiDataset(fixtureFiles());
+    expect(recordings.map((r) => [r.id, r.diagnosis, r.cycles.length])).toEqual(
+      [
+        ["101_1b1_Al_sc_Meditron", "Healthy", 3],
+        ["102_1b1_Ar_sc_Meditron", "COPD", 3],
+        ["103_2b2_Pl_mc_LittC2SE", "Pneumonia", 3],
+      ]
+    );
+
+    const progress = [];
+    const report = await runBenchmark(
+      recordings,
+      (audio) =>
+        runPipeline(audio, fixedEngine, {
+          classConfig: DEFAULT_CLASS_CONFIG,
+          threshold: DEFAULT_CLASS_CONFIG.threshold,
+        }),
+      { classConfig: DEFAULT_CLASS_CONFIG, onProgress: (p) => progress.push(p) }
+    );
+
+    expect(progress[progress.length - 1]).toBe(1);
+    expect(report.counts).toEqual({
+      recordings: 3,
+      evaluated: 3,
+      rejected: 0,
+      unmapped: 0,
+      failed: 0,
+    });
+    expect(report.diagnosis.matrix).toEqual([
+      [0, 1, 0],
+      [0, 1, 0],
+      [0, 1, 0],
+    ]);
+    expect(report.diagnosis.accuracy).toBeCloseTo(1 / 3);
+    expect(report.diagnosis.classes[1]).toMatchObject({
+      recall: 1,
+      support: 1,
+    });
+
+    // The fixtures carry clear synthetic crackles and wheezes, so the event
+    // detectors should recover every annotated cycle.
+    expect(report.cycles.total).toBe(9);
+    expect(report.cycles.crackleAccuracy).toBe(1);
+    expect(report.cycles.wheezeAccuracy).toBe(1);
+    expect(report.cycles.score).toBe(1);
+
+    const text = formatBenchmarkReport(report);
+    expect(text).toMatch(
+      /^Recordings: 3 \(evaluated 3, rejected 0, unmapped 0, failed 0\)$/m
+    );
+    expect(text).toMatch(/^Accuracy 33\.3%, macro F1 \d+\.\d%$/m);
+    expect(text).toMatch(
+      /^ICBHI sensitivity 100\.0%, specificity 100\.0%, score 100\.0%$/m
+    );
+  });
+});
@@ -0,0 +1,113 @@
+// Readers for the ICBHI 2017 Respiratory Sound Database layout:
+//
+//   <patient>_<index>_<location>_<mode>_<device>.wav   recording
+//   <same name>.txt                                    cycle annotations
+//   a CSV with one "<patient>,<diagnosis>" line per patient
+//
+// Annotation lines are "<start> <end> <crackles> <wheezes>" (seconds, then
+// 0/1 flags), separated by tabs or spaces.
+import { decodeWav } from "../audio/wav";
+
+const baseName = (name) => name.replace(/^.*[\\/]/, "").replace(/\.[^.]+$/, "");
+
+export function parseRecordingName(name) {
+  const id = baseName(name);
+  const [patientId, index, location, mode, device] = id.split("_");
+  return { id, patientId, index, location, mode, device };
+}
+
+export function parseCycleAnnotations(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line, i) => {
+      const fields = line.split(/\s+/).map(Number);
+      if (fields.length < 4 || fields.some(Number.isNaN)) {
+        throw new Error(`Bad annotation on line ${i + 1}: "${line}".`);
+      }
+      const [start, end, crackles, wheezes] = fields;
+      return { start, end, crackles: crackles === 1, wheezes: wheezes === 1 };
+    });
+}
+
+// Returns a Map from patient id to diagnosis. ICBHI ids are numbers, but
+// exported annotations may carry other ids, so a header row is recognised by
+// its "patient" field instead.
+export function parseDiagnoses(text) {
+  const diagnoses = new Map();
+  text.split(/\r?\n/).forEach((line, i) => {
+    const [patientId, diagnosis] = line.split(/[,;\t]/).map((f) => f.trim());
+    if (i === 0 && /patient/i.test(patientId)) return;
+    if (patientId && diagnosis) diagnoses.set(patientId, diagnosis);
+  });
+  return diagnoses;
+}
+
+// Writers for the same formats, used to export clinician annotations
+// (report/icbhi.js). Name fields must not contain underscores.
+export const formatRecordingName = ({
+  patientId,
+  index,
+  location,
+  mode,
+  device,
+}) => [patientId, index, location, mode, device].join("_");
+
+export const formatCycleAnnotations = (cycles) =>
+  cycles
+    .map(({ start, end, crackles, wheezes }) =>
+      [
+        start.toFixed(3),
+        end.toFixed(3),
+        crackles ? 1 : 0,
+        wheezes ? 1 : 0,
+      ].join("\t")
+    )
+    .join("\n") + "\n";
+
+export const formatDiagnoses = (entries) =>
+  entries
+    .map(([patientId, diagnosis]) => `${patientId},${diagnosis}`)
+    .join("\n") + "\n";
+
+// Class label for an ICBHI diagnosis, matched case-insensitively against the
+// configured classes; null when the label set has no such class.
+export function diagnosisLabel(diagnosis, classConfig) {
+  const entry = classConfig.classes.find(
+    (c) => c.label.toLowerCase() === diagnosis.toLowerCase()
+  );
+  return entry ? entry.label : null;
+}
+
+// Builds benchmark recordings from a flat list of files (browser Files, or
+// anything with `name`, `text()` and `arrayBuffer()`): every .wav with a
+// matching .txt, and the diagnosis from the one .csv in the list. Recordings
+// are { id, patientId, diagnosis, cycles, readAudio() }.
+export async function loadIcbhiDataset(files) {
+  const list = Array.from(files);
+  const csv = list.find((file) => /\.csv$/i.test(file.name));
+  if (!csv) throw new Error("No diagnosis CSV among the files.");
+  const diagnoses = parseDiagnoses(await csv.text());
+
+  const recordings = [];
+  for (const file of list.filter((f) => /\.wav$/i.test(f.name))) {
+    const name = parseRecordingName(file.name);
+    const txt = list.find(
+      (f) => /\.txt$/i.test(f.name) && baseName(f.name) === name.id
+    );
+    if (!txt) continue;
+    recordings.push({
+      id: name.id,
+      patientId: name.patientId,
+      diagnosis: diagnoses.get(name.patientId) || null,
+      cycles: parseCycleAnnotations(await txt.text()),
+      // Decoded on demand: a whole dataset does not fit in memory as PCM.
+      readAudio: async () => decodeWav(await file.arrayBuffer()),
+    });
+  }
+  if (recordings.length === 0) {
+    throw new Error("No .wav recordings with a matching .txt annotation.");
+  }
+  return recordings.sort((a, b) => a.id.localeCompare(b.id));
+}
@@ -0,0 +1,88 @@
+// Classification metrics for the benchmark harness.
+
+// Respiratory cycle classes of the ICBHI 2017 challenge.
+export const CYCLE_CLASSES = ["Normal", "Crackle", "Wheeze", "Both"];
+
+export const cycleClass = ({ crackles, wheezes }) => {
+  if (crackles && wheezes) return "Both";
+  if (crackles) return "Crackle";
+  return wheezes ? "Wheeze" : "Normal";
+};
+
+const ratio = (a, b) => (b > 0 ? a / b : null);
+
+// `pairs` are [{ actual, predicted }] drawn from `labels`. matrix[i][j]
+// counts samples of labels[i] predicted as labels[j].
+export function confusionMatrix(pairs, labels) {
+  const matrix = labels.map(() => labels.map(() => 0));
+  pairs.forEach(({ actual, predicted }) => {
+    const i = labels.indexOf(actual);
+    const j = labels.indexOf(predicted);
+    if (i < 0 || j < 0) {
+      throw new Error(`Label outside the matrix: ${actual} -> ${predicted}.`);
+    }
+    matrix[i][j]++;
+  });
+  return { labels, matrix };
+}
+
+// Per-class precision, recall and F1, plus accuracy and their macro
+// averages. Metrics with an empty denominator (precision of a class that is
+// never predicted, recall of a class with no samples) are null and are left
+// out of the averages.
+export function classificationReport({ labels, matrix }) {
+  const total = matrix.flat().reduce((a, b) => a + b, 0);
+  const correct = labels.reduce((sum, _, i) => sum + matrix[i][i], 0);
+  const classes = labels.map((label, i) => {
+    const support = matrix[i].reduce((a, b) => a + b, 0);
+    const predicted = matrix.reduce((sum, row) => sum + row[i], 0);
+    const hits = matrix[i][i];
+    const precision = ratio(hits, predicted);
+    const recall = ratio(hits, support);
+    // 2TP / (2TP + FP + FN): 0 for a class that is never predicted.
+    const f1 = ratio(2 * hits, support + predicted);
+    return { label, precision, recall, f1, support };
+  });
+
+  const mean = (key) => {
+    const values = classes.map((c) => c[key]).filter((v) => v !== null);
+    return values.length
+      ? values.reduce((a, b) => a + b, 0) / values.length
+      : null;
+  };
+  return {
+    classes,
+    accuracy: ratio(correct, total),
+    macro: {
+      precision: mean("precision"),
+      recall: mean("recall"),
+      f1: mean("f1"),
+    },
+    total,
+  };
+}
+
+// Official ICBHI 2017 challenge score over a cycle confusion matrix in
+// CYCLE_CLASSES order: specificity is the fraction of normal cycles
+// classified as normal, sensitivity the fraction of abnormal cycles given
+// their exact class, and the score is their mean.
+export function icbhiScore({ labels, matrix }) {
+  const normal = labels.indexOf("Normal");
+  let abnormalTotal = 0;
+  let abnormalCorrect = 0;
+  labels.forEach((_, i) => {
+    if (i === normal) return;
+    abnormalTotal += matrix[i].reduce((a, b) => a + b, 0);
+    abnormalCorrect += matrix[i][i];
+  });
+  const specificity = ratio(
+    matrix[normal][normal],
+    matrix[normal].reduce((a, b) => a + b, 0)
+  );
+  const sensitivity = ratio(abnormalCorrect, abnormalTotal);
+  const score =
+    sensitivity === null || specificity === null
+      ? null
+      : (sensitivity + specificity) / 2;
+  return { sensitivity, specificity, score };
+}
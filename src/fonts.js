@@ -0,0 +1,52 @@
+// Web fonts, bundled with the app so that the service worker precaches them
+// (public/sw.js precaches every file in asset-manifest.json).
+//
+// The faces are registered here rather than through @fontsource's
+// stylesheets: react-scripts 3 lists files referenced from CSS under the
+// stylesheet's name in asset-manifest.json, so the equally named Inter and
+// JetBrains Mono stylesheets overwrote each other's entries. Faces added
+// through the FontFace API still only download once text uses them.
+import interLatin400 from "@fontsource/inter/files/inter-latin-400-normal.woff2";
+import interLatinExt400 from "@fontsource/inter/files/inter-latin-ext-400-normal.woff2";
+import interLatin500 from "@fontsource/inter/files/inter-latin-500-normal.woff2";
+import interLatinExt500 from "@fontsource/inter/files/inter-latin-ext-500-normal.woff2";
+import interLatin600 from "@fontsource/inter/files/inter-latin-600-normal.woff2";
+import interLatinExt600 from "@fontsource/inter/files/inter-latin-ext-600-normal.woff2";
+import interLatin700 from "@fontsource/inter/files/inter-latin-700-normal.woff2";
+import interLatinExt700 from "@fontsource/inter/files/inter-latin-ext-700-normal.woff2";
+import jetbrainsMonoLatin400 from "@fontsource/jetbrains-mono/files/jetbrains-mono-latin-400-normal.woff2";
+import jetbrainsMonoLatinExt400 from "@fontsource/jetbrains-mono/files/jetbrains-mono-latin-ext-400-normal.woff2";
+
+// Google Fonts' Latin and Latin Extended subsets, which cover the UI and most
+// patient names; other scripts fall back to the system fonts.
+const LATIN =
+  "U+0000-00FF,U+0131,U+0152-0153,U+02BB-02BC,U+02C6,U+02DA,U+02DC,U+0304,U+0308,U+0329,U+2000-206F,U+20AC,U+2122,U+2191,U+2193,U+2212,U+2215,U+FEFF,U+FFFD";
+const LATIN_EXT =
+  "U+0100-02BA,U+02BD-02C5,U+02C7-02CC,U+02CE-02D7,U+02DD-02FF,U+0304,U+0308,U+0329,U+1D00-1DBF,U+1E00-1E9F,U+1EF2-1EFF,U+2020,U+20A0-20AB,U+20AD-20C0,U+2113,U+2C60-2C7F,U+A720-A7FF";
+
+// [family, weight, unicode range, URL]
+const FACES = [
+  ["Inter", 400, LATIN, interLatin400],
+  ["Inter", 400, LATIN_EXT, interLatinExt400],
+  ["Inter", 500, LATIN, interLatin500],
+  ["Inter", 500, LATIN_EXT, interLatinExt500],
+  ["Inter", 600, LATIN, interLatin600],
+  ["Inter", 600, LATIN_EXT, interLatinExt600],
+  ["Inter", 700, LATIN, interLatin700],
+  ["Inter", 700, LATIN_EXT, interLatinExt700],
+  ["JetBrains Mono", 400, LATIN, jetbrainsMonoLatin400],
+  ["JetBrains Mono", 400, LATIN_EXT, jetbrainsMonoLatinExt400],
+];
+
+export function registerFonts() {
+  if (typeof FontFace === "undefined" || !document.fonts) return;
+  FACES.forEach(([family, weight, unicodeRange, url]) =>
+    document.fonts.add(
+      new FontFace(family, `url(${url}) format("woff2")`, {
+        weight: String(weight),
+        display: "swap",
+        unicodeRange,
+      })
+    )
+  );
+}
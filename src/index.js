@@ -1,6 +1,9 @@
 import React from "react";
 import ReactDOM from "react-dom";
-import "./index.css";
+import { registerFonts } from "./fonts";
+import "./tailwind.css";
+import "./App.css";
 import App from "./App";
 
+registerFonts();
 ReactDOM.render(<App />, document.getElementById("root"));
@@ -0,0 +1,77 @@
+// Label set, decision threshold and clinical-note templates. The default
+// ships in src/config/classes.json; a model can bring its own classes.json
+// (same format) next to its model.json.
+//
+// Note templates may use {findings}, {label}, {confidence} and {threshold}.
+import defaultConfig from "../config/classes.json";
+
+export const INCONCLUSIVE = "Inconclusive";
+
+const DEFAULT_NOTE = "{findings}. Model impression: {label} ({confidence}).";
+
+export function normalizeClassConfig(raw) {
+  if (!raw || !Array.isArray(raw.classes) || raw.classes.length === 0) {
+    throw new Error("Class config needs a non-empty `classes` array.");
+  }
+
+  return {
+    threshold: typeof raw.threshold === "number" ? raw.threshold : 0,
+    classes: raw.classes.map((c) => {
+      const entry = typeof c === "string" ? { label: c } : c;
+      if (!entry.label) {
+        throw new Error("Every class in the config needs a `label`.");
+      }
+      return {
+        label: entry.label,
+        severity: entry.severity === "normal" ? "normal" : "abnormal",
+        note: entry.note || DEFAULT_NOTE,
+      };
+    }),
+    inconclusiveNote: raw.inconclusiveNote || DEFAULT_NOTE,
+  };
+}
+
+export const DEFAULT_CLASS_CONFIG = normalizeClassConfig(defaultConfig);
+
+// Resolves to null when there is no config at `url`.
+export async function fetchClassConfig(url) {
+  const response = await fetch(url);
+  if (!response.ok) return null;
+  return normalizeClassConfig(await response.json());
+}
+
+export async function readClassConfigFile(file) {
+  return normalizeClassConfig(JSON.parse(await file.text()));
+}
+
+// Turns a probability vector into the displayed decision. Models with more
+// outputs than configured classes get placeholder labels.
+export function decide(probabilities, config) {
+  const distribution = probabilities.map((probability, i) => {
+    const entry = config.classes[i] || {
+      label: `Class ${i}`,
+      severity: "abnormal",
+      note: DEFAULT_NOTE,
+    };
+    return { ...entry, probability };
+  });
+
+  const best = distribution.reduce((a, b) =>
+    b.probability > a.probability ? b : a
+  );
+  const inconclusive = best.probability < config.threshold;
+
+  return {
+    label: inconclusive ? INCONCLUSIVE : best.label,
+    topLabel: best.label,
+    confidence: best.probability,
+    severity: inconclusive ? "inconclusive" : best.severity,
+    inconclusive,
+    note: inconclusive ? config.inconclusiveNote : best.note,
+    probabilities: distribution.map(({ label, severity, probability }) => ({
+      label,
+      severity,
+      probability,
+    })),
+  };
+}
@@ -0,0 +1,70 @@
+import { PROLONGED_EXPIRATION_IE } from "../audio/segmentation";
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+// Dominant breath phase of a set of events, e.g. "inspiratory".
+const phaseOf = (events) => {
+  const insp = events.filter((e) => e.phase === "inspiration").length;
+  const exp = events.filter((e) => e.phase === "expiration").length;
+  if (insp + exp < events.length / 2) return "";
+  if (insp >= exp * 2) return "predominantly inspiratory ";
+  if (exp >= insp * 2) return "predominantly expiratory ";
+  return "";
+};
+
+const percent = (p) => `${(p * 100).toFixed(0)}%`;
+
+// Builds the clinical note by filling the decided class's template (see
+// classConfig.js) with what the signal analysis actually found.
+export function buildClinicalNote({
+  decision,
+  threshold,
+  events,
+  cycles,
+  ieRatio,
+}) {
+  const findings = [];
+  const { crackles, wheezes } = events;
+
+  if (crackles.length) {
+    const perCycle = cycles.length
+      ? ` (${(crackles.length / cycles.length).toFixed(1)} per cycle)`
+      : "";
+    findings.push(
+      `${phaseOf(crackles)}crackles detected: ${plural(
+        crackles.length,
+        "event"
+      )}${perCycle}`
+    );
+  }
+  if (wheezes.length) {
+    const total = wheezes.reduce((sum, w) => sum + (w.end - w.start), 0);
+    const pitch =
+      wheezes.reduce((sum, w) => sum + w.frequency, 0) / wheezes.length;
+    findings.push(
+      `${phaseOf(wheezes)}wheezing detected: ${plural(
+        wheezes.length,
+        "episode"
+      )}, ${total.toFixed(1)} s total, around ${pitch.toFixed(0)} Hz`
+    );
+  }
+  if (ieRatio !== null && ieRatio <= PROLONGED_EXPIRATION_IE) {
+    findings.push(
+      `prolonged expiratory phase (I:E 1:${(1 / ieRatio).toFixed(1)})`
+    );
+  }
+
+  const summary = findings.length
+    ? findings.map((f) => f.charAt(0).toUpperCase() + f.slice(1)).join(". ")
+    : "No adventitious sounds detected";
+
+  const values = {
+    findings: summary,
+    label: decision.topLabel,
+    confidence: percent(decision.confidence),
+    threshold: percent(threshold),
+  };
+  return decision.note.replace(/\{(\w+)\}/g, (match, key) =>
+    key in values ? values[key] : match
+  );
+}
@@ -0,0 +1,42 @@
+import { FEATURE_CONFIG } from "../audio/features";
+
+// The original mock generator, kept as an explicit backend so the UI can be
+// exercised without a trained model.
+export function createDemoEngine({ outputSize = 3 } = {}) {
+  return {
+    id: "demo",
+    name: "Demo (random)",
+    ready: true,
+    source: null,
+    inputShape: [FEATURE_CONFIG.frames, FEATURE_CONFIG.nMfcc],
+    outputSize,
+    classConfig: null,
+
+    async load() {},
+
+    // The first class wins 60% of the time, otherwise one of the others; the
+    // remaining probability mass is spread randomly.
+    async predict() {
+      const winner =
+        Math.random() > 0.4
+          ? 0
+          : 1 + Math.floor(Math.random() * (outputSize - 1));
+      const confidence = 0.5 + Math.random() * 0.49;
+      const rest = Array.from({ length: outputSize }, () => Math.random());
+      rest[winner] = 0;
+      const restSum = rest.reduce((a, b) => a + b, 0) || 1;
+
+      return {
+        probabilities: rest.map((r, i) =>
+          i === winner ? confidence : ((1 - confidence) * r) / restSum
+        ),
+      };
+    },
+
+    async describe() {
+      return null;
+    },
+
+    dispose() {},
+  };
+}
@@ -0,0 +1,81 @@
+// Layer-by-layer summary of a TF.js LayersModel for the Architecture tab.
+// Runs wherever the model lives: in the analysis worker for the loaded
+// backend (tfjsEngine.js), on the main thread for the model builder.
+
+// Hyperparameters worth showing per layer, when the layer config has them.
+const DETAIL_KEYS = [
+  "filters",
+  "kernelSize",
+  "poolSize",
+  "units",
+  "rate",
+  "dropout",
+  "recurrentDropout",
+  "activation",
+];
+
+const formatValue = (value) =>
+  Array.isArray(value) ? value.join("×") : String(value);
+
+const layerDetails = (layer) => {
+  const config = layer.getConfig();
+  return DETAIL_KEYS.filter(
+    (key) =>
+      config[key] !== undefined && config[key] !== null && config[key] !== 0
+  )
+    .map((key) => `${key}=${formatValue(config[key])}`)
+    .join(", ");
+};
+
+// Multi-output layers report a list of shapes; the batch dimension is null.
+const shapeOf = (shape) =>
+  Array.isArray(shape[0])
+    ? shape.map(shapeOf)
+    : shape.map((d) => (d === null ? "batch" : d));
+
+// SHA-256 over the weight values in layer order, so two models with the same
+// topology and weights get the same fingerprint wherever they were loaded
+// from. Null where SubtleCrypto is unavailable (insecure origins).
+async function weightsHash(model) {
+  if (typeof crypto === "undefined" || !crypto.subtle) return null;
+  const arrays = await Promise.all(model.getWeights().map((w) => w.data()));
+  const size = arrays.reduce((sum, a) => sum + a.byteLength, 0);
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  arrays.forEach((a) => {
+    bytes.set(new Uint8Array(a.buffer, a.byteOffset, a.byteLength), offset);
+    offset += a.byteLength;
+  });
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+// Resolves to { layers: [{ name, type, outputShape, params, trainable,
+// details }], totalParams, trainableParams, inputShape, outputSize, hash,
+// metadata } — plain data, so it can be posted from the worker.
+export async function describeModel(model) {
+  const layers = model.layers.map((layer) => ({
+    name: layer.name,
+    type: layer.getClassName(),
+    outputShape: shapeOf(layer.outputShape),
+    params: layer.countParams(),
+    trainable: layer.trainable,
+    details: layerDetails(layer),
+  }));
+  const trainableParams = model.trainableWeights.reduce(
+    (sum, w) => sum + w.shape.reduce((a, b) => a * b, 1),
+    0
+  );
+
+  return {
+    layers,
+    totalParams: model.countParams(),
+    trainableParams,
+    inputShape: model.inputs[0].shape.slice(1),
+    outputSize: model.outputs[0].shape[1],
+    hash: await weightsHash(model),
+    metadata: model.getUserDefinedMetadata() || null,
+  };
+}
@@ -0,0 +1,34 @@
+// Every inference backend exposes the same shape:
+//
+//   { id, name, ready, source, inputShape, outputSize, classConfig,
+//     load(from), predict(features), describe(), dispose() }
+//
+// `predict` receives the output of extractFeatures() (shaped to `inputShape`)
+// and resolves to { probabilities }, one per output class. `describe`
+// resolves to the network summary from describe.js, or null when there is no
+// network to inspect. Labels, the decision threshold and the clinical note
+// come from the class config (see classConfig.js); `classConfig` is non-null
+// when the model shipped its own.
+import { createDemoEngine } from "./demoEngine";
+import { createTfjsEngine } from "./tfjsEngine";
+
+export const ENGINE_TYPES = [
+  { id: "demo", name: "Demo (random)" },
+  { id: "tfjs", name: "TensorFlow.js model" },
+];
+
+// Default location of a model served next to the app (public/model/).
+export const DEFAULT_MODEL_URL =
+  process.env.REACT_APP_MODEL_URL ||
+  `${process.env.PUBLIC_URL}/model/model.json`;
+
+export function createEngine(type, options) {
+  switch (type) {
+    case "demo":
+      return createDemoEngine(options);
+    case "tfjs":
+      return createTfjsEngine(options);
+    default:
+      throw new Error(`Unknown inference engine "${type}".`);
+  }
+}
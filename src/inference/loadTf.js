@@ -0,0 +1,14 @@
+// TensorFlow.js for the main thread (training, the model builder and the
+// saved-model list). It is large, so it is only pulled in when first needed.
+//
+// Not for the analysis worker: a lazy chunk makes webpack 4 emit chunk-loading
+// code that refers to `window`, which workers do not have, so the worker
+// imports TF.js statically (analysis.worker.js).
+let tfPromise = null;
+
+export function loadTf() {
+  if (!tfPromise) {
+    tfPromise = import("@tensorflow/tfjs");
+  }
+  return tfPromise;
+}
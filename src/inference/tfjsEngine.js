@@ -0,0 +1,134 @@
+import {
+  fetchClassConfig,
+  readClassConfigFile,
+  normalizeClassConfig,
+} from "./classConfig";
+import { describeModel } from "./describe";
+
+const CLASS_CONFIG_FILE = "classes.json";
+
+// browserFiles() expects model.json first, followed by the weight shards.
+// A classes.json picked alongside them is split off. Also used to pick a base
+// model for fine-tuning (TrainingTab).
+export const orderModelFiles = (files) => {
+  const list = Array.from(files);
+  const config = list.find((f) => f.name === CLASS_CONFIG_FILE) || null;
+  const json = list.filter((f) => f.name.endsWith(".json") && f !== config);
+  if (json.length !== 1) {
+    throw new Error(
+      "Select exactly one model.json together with its .bin weight files."
+    );
+  }
+  const weights = list.filter((f) => f !== json[0] && f !== config);
+  return { files: [json[0], ...weights], config };
+};
+
+// Looks for classes.json next to a model.json URL. The URL must be absolute:
+// the engine runs in the analysis worker, which has no page to resolve against.
+// Models in browser storage (indexeddb://) have no neighbours.
+const fetchCompanionConfig = async (modelUrl) => {
+  if (!/^https?:/.test(modelUrl)) return null;
+  return fetchClassConfig(new URL(CLASS_CONFIG_FILE, modelUrl).href).catch(
+    () => null
+  );
+};
+
+// Models trained in the app carry their class config in model.json
+// (training/train.js).
+const metadataConfig = (model) => {
+  const metadata = model.getUserDefinedMetadata();
+  return metadata && metadata.classConfig
+    ? normalizeClassConfig(metadata.classConfig)
+    : null;
+};
+
+// `loadTf()` resolves to the TensorFlow.js module; how it is loaded depends on
+// where the engine runs (see loadTf.js).
+export function createTfjsEngine({ loadTf }) {
+  let model = null;
+  let source = null;
+  let classConfig = null;
+
+  return {
+    id: "tfjs",
+    name: "TensorFlow.js model",
+
+    get ready() {
+      return model !== null;
+    },
+
+    get source() {
+      return source;
+    },
+
+    // [timeSteps, coefficients] taken from the loaded model's input layer.
+    get inputShape() {
+      return model ? model.inputs[0].shape.slice(1) : null;
+    },
+
+    get outputSize() {
+      return model ? model.outputs[0].shape[1] : null;
+    },
+
+    // Class config shipped with the model, or null to use the default.
+    get classConfig() {
+      return classConfig;
+    },
+
+    // `from` is either a URL to model.json (or a TF.js storage URL such as
+    // indexeddb://name) or the files picked by the user.
+    async load(from) {
+      const tf = await loadTf();
+      let next;
+      let config;
+      let nextSource;
+      if (typeof from === "string") {
+        next = await tf.loadLayersModel(from);
+        config = await fetchCompanionConfig(from);
+        nextSource = from;
+      } else {
+        const { files, config: configFile } = orderModelFiles(from);
+        next = await tf.loadLayersModel(tf.io.browserFiles(files));
+        config = configFile ? await readClassConfigFile(configFile) : null;
+        nextSource = files[0].name;
+      }
+
+      if (model) model.dispose();
+      model = next;
+      classConfig = config || metadataConfig(next);
+      source = nextSource;
+    },
+
+    async predict(features) {
+      if (!model) {
+        throw new Error("No TensorFlow.js model is loaded.");
+      }
+      if (features.shape.join() !== this.inputShape.join()) {
+        throw new Error(
+          `Model expects input [${this.inputShape}], got [${features.shape}].`
+        );
+      }
+
+      const tf = await loadTf();
+      const output = tf.tidy(() =>
+        model
+          .predict(tf.tensor3d(features.data, [1, ...features.shape]))
+          .squeeze()
+      );
+      const probabilities = Array.from(await output.data());
+      output.dispose();
+      return { probabilities };
+    },
+
+    async describe() {
+      return model ? describeModel(model) : null;
+    },
+
+    dispose() {
+      if (model) model.dispose();
+      model = null;
+      source = null;
+      classConfig = null;
+    },
+  };
+}
@@ -0,0 +1,38 @@
+// Hash routes, so any view can be bookmarked or linked without server
+// rewrites:
+//
+//   #/detect, #/batch, #/train, #/history, #/audit, #/architecture, #/about
+//   #/sessions/12      a saved session and its result, in the detect view
+//
+// History searches are deliberately not part of the route: the search text
+// can be a patient's real identifier, which must not end up in the address
+// bar, browser history or shared links.
+export const TAB_IDS = [
+  "detect",
+  "batch",
+  "train",
+  "history",
+  "audit",
+  "architecture",
+  "about",
+];
+
+export const DEFAULT_ROUTE = { tab: "detect", sessionId: null };
+
+// Anything after a "?" is ignored, so old links with a search still open.
+export function parseRoute(hash) {
+  const [path] = hash.replace(/^#\/?/, "").split("?");
+  const parts = path.split("/").filter(Boolean);
+
+  if (parts[0] === "sessions" && /^\d+$/.test(parts[1] || "")) {
+    return { ...DEFAULT_ROUTE, sessionId: Number(parts[1]) };
+  }
+  if (TAB_IDS.includes(parts[0])) {
+    return { ...DEFAULT_ROUTE, tab: parts[0] };
+  }
+  return DEFAULT_ROUTE;
+}
+
+export function routeHash({ tab = "detect", sessionId = null }) {
+  return sessionId !== null ? `#/sessions/${sessionId}` : `#/${tab}`;
+}
@@ -0,0 +1,40 @@
+import { DEFAULT_ROUTE, TAB_IDS, parseRoute, routeHash } from "./routes";
+
+describe("parseRoute", () => {
+  it("round-trips every tab through routeHash", () => {
+    TAB_IDS.forEach((tab) => {
+      const route = { tab, sessionId: null };
+      expect(parseRoute(routeHash(route))).toEqual(route);
+    });
+  });
+
+  it("round-trips session links into the detect view", () => {
+    expect(routeHash({ tab: "history", sessionId: 12 })).toBe("#/sessions/12");
+    expect(parseRoute("#/sessions/12")).toEqual({
+      tab: "detect",
+      sessionId: 12,
+    });
+  });
+
+  it("ignores a search query, encoded or not", () => {
+    expect(parseRoute("#/history?q=MRN%20001%2Fa%26b")).toEqual({
+      tab: "history",
+      sessionId: null,
+    });
+    expect(parseRoute("#/history?q=MRN 001")).toEqual({
+      tab: "history",
+      sessionId: null,
+    });
+    expect(routeHash({ tab: "history", query: "MRN 001" })).toBe("#/history");
+  });
+
+  it("falls back to the default route", () => {
+    ["", "#", "#/", "#/unknown", "#/sessions/abc", "#/sessions/"].forEach(
+      (hash) => expect(parseRoute(hash)).toEqual(DEFAULT_ROUTE)
+    );
+  });
+
+  it("accepts hashes without the leading slash", () => {
+    expect(parseRoute("#batch").tab).toBe("batch");
+  });
+});
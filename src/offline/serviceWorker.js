@@ -0,0 +1,53 @@
+// Registers public/sw.js, which precaches the app and the default model so
+// the app opens and analyses without a connection. Production builds only:
+// in development the worker would serve stale bundles.
+import { DEFAULT_MODEL_URL } from "../inference/engine";
+
+// `onUpdateReady(apply)` is called once a new release has been downloaded;
+// calling `apply()` switches to it and reloads the page. Returns a function
+// that stops listening.
+export function registerServiceWorker({ onUpdateReady }) {
+  if (
+    process.env.NODE_ENV !== "production" ||
+    !("serviceWorker" in navigator)
+  ) {
+    return () => {};
+  }
+  const { serviceWorker } = navigator;
+  const model = new URL(DEFAULT_MODEL_URL, window.location.href).href;
+  const scriptUrl = `${process.env.PUBLIC_URL}/sw.js?model=${encodeURIComponent(
+    model
+  )}`;
+
+  const checkForUpdate = () =>
+    serviceWorker.ready.then((registration) => {
+      if (registration.active) {
+        registration.active.postMessage({ type: "check-update" });
+      }
+    });
+
+  const onMessage = (event) => {
+    const { type, version } = event.data || {};
+    if (type === "update-ready") {
+      onUpdateReady(() =>
+        serviceWorker.ready.then((registration) =>
+          registration.active.postMessage({ type: "apply-update", version })
+        )
+      );
+    } else if (type === "updated") {
+      window.location.reload();
+    }
+  };
+
+  serviceWorker.addEventListener("message", onMessage);
+  window.addEventListener("online", checkForUpdate);
+  serviceWorker
+    .register(scriptUrl)
+    .then(checkForUpdate)
+    .catch((err) => console.error("Service worker registration failed:", err));
+
+  return () => {
+    serviceWorker.removeEventListener("message", onMessage);
+    window.removeEventListener("online", checkForUpdate);
+  };
+}
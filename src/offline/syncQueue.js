@@ -0,0 +1,80 @@
+// Sessions saved while offline wait in the session store with `queued` set
+// (storage/sessions.js). They leave the queue by being uploaded to the sync
+// endpoint, when the deployment configures one, or by being exported as
+// files for manual transfer.
+import { listSessions, updateSession } from "../storage/sessions";
+import { buildJsonExport } from "../report/structured";
+import { downloadFile, fileStamp } from "../report/download";
+import { logEvent } from "../storage/audit";
+
+// Receives one multipart POST per session: `audio` (the recording) and
+// `report` (the JSON export, report/structured.js).
+export const SYNC_URL = process.env.REACT_APP_SYNC_URL || null;
+
+export async function queuedSessions() {
+  return (await listSessions()).filter((s) => s.queued);
+}
+
+const sessionReport = (session) =>
+  buildJsonExport({
+    result: session.result,
+    patientId: session.patientId,
+    recording: {
+      name: session.audioName,
+      type: session.audio.type,
+      size: session.audio.size,
+      source: session.audioSource,
+    },
+  });
+
+// Uploads the queued sessions oldest first and resolves to how many went
+// through; the first failure stops the run and rejects, leaving the rest
+// queued.
+export async function syncQueued(url = SYNC_URL) {
+  if (!url) throw new Error("No sync endpoint is configured.");
+  const sessions = (await queuedSessions()).reverse();
+  for (const session of sessions) {
+    const body = new FormData();
+    body.append("audio", session.audio, session.audioName);
+    body.append(
+      "report",
+      new Blob([JSON.stringify(sessionReport(session))], {
+        type: "application/json",
+      }),
+      "report.json"
+    );
+    const response = await fetch(url, { method: "POST", body });
+    if (!response.ok) {
+      throw new Error(
+        `Sync failed for session ${session.id}: HTTP ${response.status}`
+      );
+    }
+    await updateSession(session.id, { queued: false, syncedAt: Date.now() });
+    logEvent("sync", {
+      patientId: session.patientId,
+      sessionId: session.id,
+      details: { file: session.audioName, url },
+    });
+  }
+  return sessions.length;
+}
+
+// Downloads each queued session's recording and JSON report, then takes it
+// off the queue.
+export async function exportQueued(sessions) {
+  for (const session of sessions) {
+    const base = `respironet-${fileStamp(session.createdAt)}`;
+    downloadFile(session.audio, `${base}-${session.audioName}`);
+    downloadFile(
+      JSON.stringify(sessionReport(session), null, 2),
+      `${base}.json`,
+      "application/json"
+    );
+    await updateSession(session.id, { queued: false, exportedAt: Date.now() });
+    logEvent("export", {
+      patientId: session.patientId,
+      sessionId: session.id,
+      details: { format: "queued", file: session.audioName },
+    });
+  }
+}
@@ -0,0 +1,66 @@
+// Patient pseudonyms: a patient identifier is replaced by a salted SHA-256
+// hash before it is stored or exported, so the same patient keeps the same
+// pseudonym (history, trends and exports still group by patient) while the
+// identifier itself never leaves the input field.
+//
+// The salt is generated once per browser and kept in localStorage; clearing
+// site data therefore gives every patient a new pseudonym. Deployments that
+// need the same pseudonyms on several devices set REACT_APP_PSEUDONYM_SALT.
+const SALT_STORAGE_KEY = "respironet-pseudonym-salt";
+const PREFIX = "P-";
+const HASH_CHARS = 12; // 48 bits: collisions are negligible at clinic scale
+
+const PSEUDONYM = new RegExp(`^${PREFIX}[0-9a-f]{${HASH_CHARS}}$`);
+
+export const isPseudonym = (text) => PSEUDONYM.test(text);
+
+export async function sha256Hex(text) {
+  if (typeof crypto === "undefined" || !crypto.subtle) {
+    throw new Error(
+      "Hashing needs SubtleCrypto, which browsers only offer over HTTPS."
+    );
+  }
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(text)
+  );
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+let memorySalt = null; // Used when localStorage is unavailable
+
+const randomSalt = () =>
+  Array.from(crypto.getRandomValues(new Uint8Array(16)))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+
+function loadSalt() {
+  if (process.env.REACT_APP_PSEUDONYM_SALT) {
+    return process.env.REACT_APP_PSEUDONYM_SALT;
+  }
+  try {
+    let salt = localStorage.getItem(SALT_STORAGE_KEY);
+    if (!salt) {
+      salt = randomSalt();
+      localStorage.setItem(SALT_STORAGE_KEY, salt);
+    }
+    return salt;
+  } catch (err) {
+    // Storage can be unavailable (private mode); pseudonyms then only stay
+    // stable until the page is closed.
+    if (!memorySalt) memorySalt = randomSalt();
+    return memorySalt;
+  }
+}
+
+// Resolves to the pseudonym of `id`, e.g. "P-3f9a0c12b7d4". Identifiers are
+// compared ignoring case and surrounding whitespace. Empty identifiers stay
+// empty and pseudonyms are returned unchanged, so it is safe to apply twice.
+export async function pseudonymize(id) {
+  const normalized = (id || "").trim();
+  if (!normalized || isPseudonym(normalized)) return normalized;
+  const hash = await sha256Hex(`${loadSalt()}:${normalized.toUpperCase()}`);
+  return PREFIX + hash.slice(0, HASH_CHARS);
+}
@@ -0,0 +1,34 @@
+import { isPseudonym, pseudonymize, sha256Hex } from "./pseudonym";
+
+describe("sha256Hex", () => {
+  it("hashes UTF-8 text to hex", async () => {
+    expect(await sha256Hex("abc")).toBe(
+      "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad"
+    );
+  });
+});
+
+describe("pseudonymize", () => {
+  beforeEach(() => localStorage.clear());
+
+  it("maps an identifier to a stable pseudonym", async () => {
+    const pseudonym = await pseudonymize("MRN-001");
+    expect(isPseudonym(pseudonym)).toBe(true);
+    expect(await pseudonymize("MRN-001")).toBe(pseudonym);
+    expect(await pseudonymize("  mrn-001 ")).toBe(pseudonym);
+    expect(await pseudonymize("MRN-002")).not.toBe(pseudonym);
+  });
+
+  it("returns pseudonyms and empty identifiers unchanged", async () => {
+    const pseudonym = await pseudonymize("MRN-001");
+    expect(await pseudonymize(pseudonym)).toBe(pseudonym);
+    expect(await pseudonymize("")).toBe("");
+    expect(await pseudonymize(undefined)).toBe("");
+  });
+
+  it("depends on the per-browser salt", async () => {
+    const first = await pseudonymize("MRN-001");
+    localStorage.clear();
+    expect(await pseudonymize("MRN-001")).not.toBe(first);
+  });
+});
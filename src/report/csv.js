@@ -0,0 +1,48 @@
+// CSV export of batch results (see components/BatchTab.js).
+
+// RFC 4180 quoting: fields with commas, quotes or line breaks are quoted.
+const csvField = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) =>
+  rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+
+// `items` are batch rows { path, status, result, error }; `classLabels` names
+// the probability columns.
+export function buildBatchCsv(items, classLabels) {
+  const header = [
+    "file",
+    "status",
+    "label",
+    "confidence",
+    "severity",
+    ...classLabels.map((label) => `p_${label}`),
+    "quality_score",
+    "duration_s",
+    "error",
+  ];
+  const rows = items.map(({ path, status, result, error }) => {
+    const accepted = Boolean(result && result.quality.acceptable);
+    const probability = (label) => {
+      const entry = accepted
+        ? result.probabilities.find((p) => p.label === label)
+        : null;
+      return entry ? entry.probability.toFixed(4) : null;
+    };
+    return [
+      path,
+      status,
+      accepted ? result.label : null,
+      accepted ? result.confidence.toFixed(4) : null,
+      accepted ? result.severity : null,
+      ...classLabels.map(probability),
+      result ? result.quality.score.toFixed(3) : null,
+      result ? result.duration.toFixed(2) : null,
+      error,
+    ];
+  });
+  return toCsv([header, ...rows]);
+}
@@ -0,0 +1,56 @@
+import { buildBatchCsv, toCsv } from "./csv";
+
+describe("toCsv", () => {
+  it("quotes fields with commas, quotes and line breaks", () => {
+    expect(
+      toCsv([
+        ["plain", "a,b", 'say "hi"', "two\nlines"],
+        [1, null, undefined, ""],
+      ])
+    ).toBe('plain,"a,b","say ""hi""","two\nlines"\r\n1,,,\r\n');
+  });
+});
+
+describe("buildBatchCsv", () => {
+  const result = (acceptable) => ({
+    label: "Wheeze",
+    confidence: 0.81234,
+    severity: "moderate",
+    probabilities: [
+      { label: "Normal", probability: 0.1 },
+      { label: "Wheeze", probability: 0.81234 },
+    ],
+    quality: { acceptable, score: acceptable ? 0.9 : 0.25 },
+    duration: 12.345,
+  });
+
+  const lines = buildBatchCsv(
+    [
+      { path: "ward 1/a.wav", status: "done", result: result(true) },
+      { path: "b.wav", status: "done", result: result(false) },
+      { path: "c,d.wav", status: "error", error: "Could not decode" },
+    ],
+    ["Normal", "Wheeze"]
+  ).split("\r\n");
+
+  it("names a probability column per class", () => {
+    expect(lines[0]).toBe(
+      "file,status,label,confidence,severity,p_Normal,p_Wheeze,quality_score,duration_s,error"
+    );
+  });
+
+  it("writes the prediction of accepted recordings", () => {
+    expect(lines[1]).toBe(
+      "ward 1/a.wav,done,Wheeze,0.8123,moderate,0.1000,0.8123,0.900,12.35,"
+    );
+  });
+
+  it("leaves the prediction empty when the quality gate rejected it", () => {
+    expect(lines[2]).toBe("b.wav,done,,,,,,0.250,12.35,");
+  });
+
+  it("writes the error of failed files", () => {
+    expect(lines[3]).toBe('"c,d.wav",error,,,,,,,,Could not decode');
+    expect(lines[4]).toBe("");
+  });
+});
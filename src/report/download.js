@@ -0,0 +1,18 @@
+// Saves `content` (string or Blob) as a file through a temporary link.
+export function downloadFile(content, filename, type) {
+  const blob =
+    content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking right away can cancel the download in some browsers.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// File-name-safe timestamp, e.g. 2024-05-01T10-22-03-120Z.
+export const fileStamp = (time = Date.now()) =>
+  new Date(time).toISOString().replace(/[:.]/g, "-");
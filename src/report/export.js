@@ -0,0 +1,53 @@
+// Entry point for the result card's export action.
+import { buildReportHtml, printReport } from "./printable";
+import { buildJsonExport, buildFhirBundle } from "./structured";
+import { downloadFile, fileStamp } from "./download";
+import { isPseudonym } from "../privacy/pseudonym";
+import { logEvent } from "../storage/audit";
+
+export const REPORT_FORMATS = [
+  { id: "print", label: "Print / PDF" },
+  { id: "html", label: "HTML" },
+  { id: "json", label: "JSON" },
+  { id: "fhir", label: "FHIR" },
+];
+
+// `data` is { result, patientId, recording, snapshot } (see printable.js).
+// `patientId` must already be a pseudonym: printing has to open its window
+// synchronously, so there is no time to derive one here. `sessionId` is only
+// recorded in the audit log.
+export function exportReport(format, data, sessionId = null) {
+  if (data.patientId && !isPseudonym(data.patientId)) {
+    throw new Error("Patient IDs must be pseudonymized before export.");
+  }
+  const base = `respironet-${fileStamp(data.result.analyzedAt)}`;
+  switch (format) {
+    case "print":
+      printReport(data);
+      break;
+    case "html":
+      downloadFile(buildReportHtml(data), `${base}.html`, "text/html");
+      break;
+    case "json":
+      downloadFile(
+        JSON.stringify(buildJsonExport(data), null, 2),
+        `${base}.json`,
+        "application/json"
+      );
+      break;
+    case "fhir":
+      downloadFile(
+        JSON.stringify(buildFhirBundle(data), null, 2),
+        `${base}.fhir.json`,
+        "application/fhir+json"
+      );
+      break;
+    default:
+      throw new Error(`Unknown report format "${format}".`);
+  }
+  logEvent("export", {
+    patientId: data.patientId,
+    sessionId,
+    details: { format, file: data.recording.name },
+  });
+}
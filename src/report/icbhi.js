@@ -0,0 +1,81 @@
+// ICBHI 2017-style export of annotated sessions: each recording as a 16-bit
+// .wav with its .txt cycle annotations, plus a diagnosis CSV, so clinician
+// labels can feed the benchmark (evaluation/) and model training.
+//
+// `session` is a stored session (storage/sessions.js) with `annotations`
+// (annotation/annotations.js), or an equivalent object for the clip in the
+// detect view.
+import { decodeAudio } from "../audio/decode";
+import { encodeWav } from "../audio/wav";
+import { annotatedCycles } from "../annotation/annotations";
+import { siteById } from "../analysis/aggregate";
+import {
+  formatRecordingName,
+  formatCycleAnnotations,
+  formatDiagnoses,
+} from "../evaluation/icbhi";
+import { downloadFile } from "./download";
+import { pseudonymize } from "../privacy/pseudonym";
+import { logEvent } from "../storage/audit";
+
+const DEVICE = "RespiroNet";
+
+// Name fields are split on underscores, so keep them alphanumeric.
+const token = (text) => String(text).replace(/[^A-Za-z0-9]/g, "");
+
+const patientToken = (session) => token(session.patientId) || "0";
+
+// ICBHI chest location: Al/Ar/Pl/Pr for protocol sites, NA otherwise.
+const locationToken = (session) => {
+  const site = session.site && siteById(session.site);
+  return site ? `${site.view[0].toUpperCase()}${site.side[0]}` : "NA";
+};
+
+export async function buildIcbhiRecording(session) {
+  const name = formatRecordingName({
+    patientId: patientToken(session),
+    index: token(session.id || session.createdAt || Date.now()),
+    location: locationToken(session),
+    mode: "sc", // Single channel
+    device: DEVICE,
+  });
+  const { samples, sampleRate } = await decodeAudio(session.audio);
+  const detected = session.result ? session.result.cycles || [] : [];
+  return {
+    name,
+    wav: encodeWav(samples, sampleRate, 16),
+    txt: formatCycleAnnotations(annotatedCycles(session.annotations, detected)),
+  };
+}
+
+// Downloads the .wav/.txt pair of every session and one diagnosis CSV for
+// the patients with a file-level diagnosis. With several diagnoses for one
+// patient the first session listed wins (listSessions() is newest first).
+export async function downloadIcbhiExport(sessions) {
+  const diagnoses = new Map();
+  for (const original of sessions) {
+    // The detect view passes the identifier as typed
+    const session = {
+      ...original,
+      patientId: await pseudonymize(original.patientId),
+    };
+    const { name, wav, txt } = await buildIcbhiRecording(session);
+    downloadFile(new Blob([wav], { type: "audio/wav" }), `${name}.wav`);
+    downloadFile(txt, `${name}.txt`, "text/plain");
+    const diagnosis = session.annotations.diagnosis.replace(/,/g, " ").trim();
+    const patient = patientToken(session);
+    if (diagnosis && !diagnoses.has(patient)) diagnoses.set(patient, diagnosis);
+    logEvent("export", {
+      patientId: session.patientId,
+      sessionId: session.id,
+      details: { format: "icbhi", file: session.audioName },
+    });
+  }
+  if (diagnoses.size > 0) {
+    downloadFile(
+      formatDiagnoses([...diagnoses]),
+      "patient_diagnosis.csv",
+      "text/csv"
+    );
+  }
+}
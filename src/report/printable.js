@@ -0,0 +1,165 @@
+// Printable clinical report as a standalone HTML document. Printing it from
+// the browser also covers PDF ("Save as PDF" in the print dialog).
+//
+// Takes the same report data as structured.js, plus an optional `snapshot`
+// (PNG data URL of the waveform and spectrogram).
+import { DISCLAIMER } from "../config/disclaimer";
+
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (c) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[c])
+  );
+
+const STYLES = `
+  body { font-family: system-ui, sans-serif; color: #1e293b; margin: 32px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 14px; text-transform: uppercase; letter-spacing: .05em;
+       color: #64748b; margin: 24px 0 8px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e2e8f0; }
+  th { color: #64748b; font-weight: 600; width: 35%; }
+  .verdict { font-size: 24px; font-weight: 700; margin: 8px 0; }
+  .bar { background: #e2e8f0; height: 8px; border-radius: 4px; }
+  .bar div { background: #0d9488; height: 8px; border-radius: 4px; }
+  .disclaimer { margin-top: 24px; padding: 12px; background: #fffbeb;
+                border: 1px solid #fde68a; font-size: 12px; color: #92400e; }
+  img { width: 100%; border: 1px solid #cbd5e1; }
+  @media print { body { margin: 12mm; } }
+`;
+
+const row = (label, value) =>
+  `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`;
+
+const formatBytes = (bytes) =>
+  bytes < 1024 * 1024
+    ? `${(bytes / 1024).toFixed(0)} KB`
+    : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+const eventRows = (events) =>
+  [...events.crackles, ...events.wheezes]
+    .sort((a, b) => a.start - b.start)
+    .map((e) =>
+      row(
+        `${e.start.toFixed(2)}-${e.end.toFixed(2)}s`,
+        `${e.type}${e.frequency ? ` (${e.frequency.toFixed(0)} Hz)` : ""}${
+          e.phase ? `, ${e.phase}` : ""
+        }, confidence ${(e.confidence * 100).toFixed(0)}%`
+      )
+    )
+    .join("");
+
+export function buildReportHtml({ result, patientId, recording, snapshot }) {
+  const analyzed = new Date(result.analyzedAt).toLocaleString();
+  const accepted = result.quality.acceptable;
+
+  const findings = accepted
+    ? `
+      <p class="verdict">${escapeHtml(result.label)}
+        (${(result.confidence * 100).toFixed(1)}%)</p>
+      <table>
+        ${result.probabilities
+          .map(
+            (p) => `<tr><th>${escapeHtml(p.label)}</th><td>
+              ${(p.probability * 100).toFixed(1)}%
+              <div class="bar"><div style="width:${p.probability * 100}%">
+              </div></div></td></tr>`
+          )
+          .join("")}
+      </table>
+      <p>Decision threshold: ${(result.threshold * 100).toFixed(0)}%</p>
+      <h2>Detected Events</h2>
+      <table>
+        ${row("Crackles", result.events.crackles.length)}
+        ${row("Wheezes", result.events.wheezes.length)}
+        ${eventRows(result.events)}
+      </table>
+      <h2>Clinical Note</h2>
+      <p>${escapeHtml(result.details)}</p>`
+    : `
+      <p class="verdict">No diagnosis: re-recording required</p>
+      <ul>${result.quality.reasons
+        .map((r) => `<li>${escapeHtml(r.message)}</li>`)
+        .join("")}</ul>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>RespiroNet report ${escapeHtml(patientId || "")}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+  <h1>RespiroNet AI: Lung Sound Analysis Report</h1>
+  <p>Generated ${escapeHtml(new Date().toLocaleString())}</p>
+
+  <h2>Patient &amp; Recording</h2>
+  <table>
+    ${row("Patient pseudonym", patientId || "Not provided")}
+    ${row("Analysed", analyzed)}
+    ${row("File", recording.name)}
+    ${row(
+      "Source",
+      recording.source === "recording" ? "Recorded in app" : "Uploaded file"
+    )}
+    ${row(
+      "Format",
+      `${recording.type || "unknown"}, ${formatBytes(recording.size)}`
+    )}
+    ${row("Duration", `${result.duration.toFixed(1)} s`)}
+    ${row("Signal quality", `${(result.quality.score * 100).toFixed(0)}%`)}
+    ${row(
+      "Respiratory rate",
+      result.respiratoryRate
+        ? `${result.respiratoryRate.toFixed(0)} /min`
+        : "n/a"
+    )}
+    ${row(
+      "I:E ratio",
+      result.ieRatio ? `1:${(1 / result.ieRatio).toFixed(1)}` : "n/a"
+    )}
+    ${row(
+      "Model",
+      result.engine === "demo"
+        ? "Demo backend (simulated results)"
+        : result.model
+    )}
+  </table>
+
+  ${
+    snapshot
+      ? `<h2>Waveform &amp; Spectrogram</h2><img src="${snapshot}" alt="Waveform and spectrogram">`
+      : ""
+  }
+
+  <h2>Result</h2>
+  ${findings}
+
+  <div class="disclaimer"><strong>Disclaimer:</strong> ${escapeHtml(
+    DISCLAIMER
+  )}</div>
+</body>
+</html>`;
+}
+
+// Opens the report in a new window and brings up the print dialog.
+export function printReport(data) {
+  const win = window.open("", "_blank");
+  if (!win) throw new Error("Allow pop-ups to print the report.");
+  win.document.open();
+  win.document.write(buildReportHtml(data));
+  win.document.close();
+  const print = () => {
+    win.focus();
+    win.print();
+  };
+  if (win.document.readyState === "complete") print();
+  else win.addEventListener("load", print);
+}
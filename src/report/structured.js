@@ -0,0 +1,198 @@
+// Machine-readable exports of one analysis: plain JSON, and a FHIR R4
+// collection Bundle holding a DiagnosticReport and the Observation it cites.
+//
+// Both take the report data also used by the printable report:
+//   { result, patientId, recording: { name, type, size, source } }
+// where `result` is an analysis result (analysis/pipeline.js) with its
+// `analyzedAt` timestamp. The FHIR bundle leaves the recording metadata out.
+import { DISCLAIMER } from "../config/disclaimer";
+
+export const EXPORT_FORMAT = "respironet-result";
+export const EXPORT_VERSION = 1;
+
+// Local code system for values that have no standard LOINC/SNOMED code.
+const CODE_SYSTEM = "urn:respironet:codes";
+const PATIENT_SYSTEM = "urn:respironet:patient-id";
+const LOINC = "http://loinc.org";
+
+const uuid = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40; // Version 4
+  bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+  const hex = Array.from(bytes, (b) => b.toString(16).padStart(2, "0"));
+  return [
+    hex.slice(0, 4),
+    hex.slice(4, 6),
+    hex.slice(6, 8),
+    hex.slice(8, 10),
+    hex.slice(10),
+  ]
+    .map((group) => group.join(""))
+    .join("-");
+};
+
+const localCode = (code, display) => ({
+  coding: [{ system: CODE_SYSTEM, code, display }],
+  text: display,
+});
+
+export function buildJsonExport({ result, patientId, recording }) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    patientId: patientId || null,
+    recording,
+    result,
+    disclaimer: DISCLAIMER,
+  };
+}
+
+const qualityComponent = (quality) => ({
+  code: localCode("signal-quality", "Signal quality score"),
+  valueQuantity: {
+    value: Number(quality.score.toFixed(3)),
+    unit: "score",
+    system: "http://unitsofmeasure.org",
+    code: "1",
+  },
+});
+
+// Components shared by accepted and rejected results.
+const measurementComponents = (result) => {
+  const components = [qualityComponent(result.quality)];
+  if (result.respiratoryRate) {
+    components.push({
+      code: {
+        coding: [
+          { system: LOINC, code: "9279-1", display: "Respiratory rate" },
+        ],
+        text: "Respiratory rate",
+      },
+      valueQuantity: {
+        value: Number(result.respiratoryRate.toFixed(1)),
+        unit: "/min",
+        system: "http://unitsofmeasure.org",
+        code: "/min",
+      },
+    });
+  }
+  if (result.ieRatio) {
+    components.push({
+      code: localCode("ie-ratio", "Inspiratory to expiratory time ratio"),
+      valueRatio: {
+        numerator: { value: 1 },
+        denominator: { value: Number((1 / result.ieRatio).toFixed(2)) },
+      },
+    });
+  }
+  return components;
+};
+
+const classificationObservation = ({ result, subject, effective }) => {
+  const accepted = result.quality.acceptable;
+  const components = measurementComponents(result);
+  if (accepted) {
+    result.probabilities.forEach((p) =>
+      components.push({
+        code: localCode(
+          `probability-${p.label.toLowerCase().replace(/\s+/g, "-")}`,
+          `Probability of ${p.label}`
+        ),
+        valueQuantity: {
+          value: Number((p.probability * 100).toFixed(1)),
+          unit: "%",
+          system: "http://unitsofmeasure.org",
+          code: "%",
+        },
+      })
+    );
+    components.push(
+      {
+        code: localCode("crackle-count", "Crackles detected"),
+        valueInteger: result.events.crackles.length,
+      },
+      {
+        code: localCode("wheeze-count", "Wheezes detected"),
+        valueInteger: result.events.wheezes.length,
+      }
+    );
+  }
+
+  return {
+    resourceType: "Observation",
+    status: "preliminary",
+    category: [
+      {
+        coding: [
+          {
+            system:
+              "http://terminology.hl7.org/CodeSystem/observation-category",
+            code: "exam",
+            display: "Exam",
+          },
+        ],
+      },
+    ],
+    code: localCode(
+      "lung-sound-classification",
+      "Automated lung sound classification"
+    ),
+    subject,
+    effectiveDateTime: effective,
+    ...(accepted
+      ? { valueCodeableConcept: { text: result.label } }
+      : {
+          dataAbsentReason: {
+            coding: [
+              {
+                system:
+                  "http://terminology.hl7.org/CodeSystem/data-absent-reason",
+                code: "error",
+                display: "Error",
+              },
+            ],
+            text: "Recording failed the signal quality check",
+          },
+        }),
+    component: components,
+    device: {
+      display: result.engine === "demo" ? "Demo (simulated)" : result.model,
+    },
+  };
+};
+
+export function buildFhirBundle({ result, patientId }) {
+  const effective = new Date(result.analyzedAt).toISOString();
+  const subject = patientId
+    ? { identifier: { system: PATIENT_SYSTEM, value: patientId } }
+    : { display: "Unidentified patient" };
+  const observationUrl = `urn:uuid:${uuid()}`;
+  const conclusion = result.quality.acceptable
+    ? result.details
+    : `No diagnosis: ${result.quality.reasons.map((r) => r.message).join(" ")}`;
+
+  const report = {
+    resourceType: "DiagnosticReport",
+    status: "preliminary",
+    code: localCode("lung-sound-analysis", "Lung sound analysis"),
+    subject,
+    effectiveDateTime: effective,
+    issued: new Date().toISOString(),
+    result: [{ reference: observationUrl }],
+    conclusion: `${conclusion} ${DISCLAIMER}`,
+  };
+
+  return {
+    resourceType: "Bundle",
+    type: "collection",
+    timestamp: new Date().toISOString(),
+    entry: [
+      { fullUrl: `urn:uuid:${uuid()}`, resource: report },
+      {
+        fullUrl: observationUrl,
+        resource: classificationObservation({ result, subject, effective }),
+      },
+    ],
+  };
+}
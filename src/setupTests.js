@@ -0,0 +1,12 @@
+// Loaded by react-scripts before every test file. The jsdom bundled with
+// this version lacks SubtleCrypto and TextEncoder, which privacy/pseudonym.js
+// hashes with; Node's implementations stand in for them.
+import { webcrypto } from "crypto";
+import { TextEncoder } from "util";
+
+if (typeof global.crypto === "undefined" || !global.crypto.subtle) {
+  Object.defineProperty(global, "crypto", { value: webcrypto });
+}
+if (typeof global.TextEncoder === "undefined") {
+  global.TextEncoder = TextEncoder;
+}
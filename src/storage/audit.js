@@ -0,0 +1,105 @@
+// Append-only audit log of what was done with patient recordings, kept in
+// IndexedDB next to the sessions. Each entry is
+//
+//   { id, at, type, operator, patientId, sessionId, details, hash }
+//
+// where `patientId` is always a pseudonym (privacy/pseudonym.js) and `details`
+// depends on the type. This module has no way to change or remove entries,
+// and every entry's `hash` covers the previous entry's hash, so an edit made
+// outside the app (e.g. in the browser's developer tools) breaks the chain
+// from that entry on; verifyAuditLog() finds the first broken entry.
+import { withStore as withDbStore, AUDIT_STORE } from "./db";
+import { pseudonymize, sha256Hex } from "../privacy/pseudonym";
+
+export const AUDIT_EVENTS = {
+  consent: "Consent confirmed",
+  recording: "Recording",
+  upload: "Upload",
+  analysis: "Analysis",
+  export: "Export",
+  sync: "Sync",
+  deletion: "Deletion",
+  pseudonymization: "Pseudonymization",
+};
+
+const OPERATOR_STORAGE_KEY = "respironet-operator";
+
+const withStore = (mode, run) => withDbStore(AUDIT_STORE, mode, run);
+
+// The name or staff ID of whoever uses this browser, recorded with each entry.
+export function loadOperator() {
+  try {
+    return localStorage.getItem(OPERATOR_STORAGE_KEY) || "";
+  } catch (err) {
+    return "";
+  }
+}
+
+export function saveOperator(operator) {
+  try {
+    localStorage.setItem(OPERATOR_STORAGE_KEY, operator.trim());
+  } catch (err) {
+    // Storage can be unavailable (private mode); the name just won't persist.
+  }
+}
+
+const entryHash = ({ id, hash, ...fields }, previousHash) =>
+  sha256Hex(previousHash + JSON.stringify(fields));
+
+const lastEntry = () =>
+  withStore("readonly", (store) => store.openCursor(null, "prev")).then(
+    (cursor) => (cursor ? cursor.value : null)
+  );
+
+// Appends run one at a time, so each one sees the entry before it.
+let appending = Promise.resolve();
+
+// Records an event; `patientId` may be a raw identifier. Never rejects:
+// failing to log is reported but must not stop the action being logged.
+export function logEvent(
+  type,
+  { patientId = "", sessionId = null, details = {} } = {}
+) {
+  appending = appending.then(async () => {
+    try {
+      const entry = {
+        at: Date.now(),
+        type,
+        operator: loadOperator(),
+        patientId: await pseudonymize(patientId),
+        sessionId,
+        details,
+      };
+      const previous = await lastEntry();
+      entry.hash = await entryHash(entry, previous ? previous.hash : "");
+      await withStore("readwrite", (store) => store.add(entry));
+    } catch (err) {
+      console.error(`Error writing the ${type} audit entry:`, err);
+    }
+  });
+  return appending;
+}
+
+// Details of an "analysis" entry for an analysis result (analysis/pipeline.js).
+export const analysisDetails = (result) => ({
+  engine: result.engine,
+  model: result.model,
+  label: result.quality.acceptable ? result.label : null,
+  confidence: result.quality.acceptable ? result.confidence : null,
+});
+
+// Resolves to every entry, oldest first.
+export function listEvents() {
+  return withStore("readonly", (store) => store.getAll());
+}
+
+// Resolves to the id of the first entry whose hash does not match, or null
+// when the whole chain is intact.
+export async function verifyAuditLog(entries) {
+  let previousHash = "";
+  for (const entry of entries) {
+    if ((await entryHash(entry, previousHash)) !== entry.hash) return entry.id;
+    previousHash = entry.hash;
+  }
+  return null;
+}
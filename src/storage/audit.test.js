@@ -0,0 +1,71 @@
+import { listEvents, logEvent, verifyAuditLog } from "./audit";
+import { isPseudonym } from "../privacy/pseudonym";
+
+// An in-memory stand-in for the IndexedDB audit store; jsdom has no
+// IndexedDB. Requests resolve to their result directly, and values are
+// copied in and out as IndexedDB's structured clone would.
+jest.mock("./db", () => {
+  const entries = [];
+  const clone = (value) => JSON.parse(JSON.stringify(value));
+  const store = {
+    openCursor: () =>
+      entries.length ? { value: entries[entries.length - 1] } : null,
+    add: (entry) => entries.push({ ...clone(entry), id: entries.length + 1 }),
+    getAll: () => clone(entries),
+  };
+  return {
+    AUDIT_STORE: "audit",
+    entries,
+    withStore: async (storeName, mode, run) => run(store),
+  };
+});
+
+describe("audit log", () => {
+  beforeAll(async () => {
+    await logEvent("upload", { patientId: "MRN-001", details: { files: 1 } });
+    await logEvent("analysis", {
+      patientId: "MRN-001",
+      sessionId: 7,
+      details: { label: "Normal" },
+    });
+    await logEvent("export", { details: { format: "pdf" } });
+  });
+
+  it("stores pseudonyms, never the identifier", async () => {
+    const events = await listEvents();
+    expect(events.map((e) => e.type)).toEqual(["upload", "analysis", "export"]);
+    expect(isPseudonym(events[0].patientId)).toBe(true);
+    expect(events[1].patientId).toBe(events[0].patientId);
+    expect(JSON.stringify(events)).not.toMatch("MRN-001");
+  });
+
+  it("verifies an intact chain", async () => {
+    expect(await verifyAuditLog(await listEvents())).toBeNull();
+  });
+
+  it("finds the first edited entry", async () => {
+    const events = await listEvents();
+    events[1].details.label = "Wheeze";
+    expect(await verifyAuditLog(events)).toBe(2);
+  });
+
+  it("finds a removed entry", async () => {
+    const events = await listEvents();
+    events.splice(1, 1);
+    expect(await verifyAuditLog(events)).toBe(3);
+  });
+
+  it("does not reject when the entry cannot be written", async () => {
+    const { entries } = require("./db");
+    const push = entries.push;
+    entries.push = () => {
+      throw new Error("Quota exceeded");
+    };
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    await expect(logEvent("sync")).resolves.toBeUndefined();
+    expect(error).toHaveBeenCalled();
+    error.mockRestore();
+    entries.push = push;
+    expect(await verifyAuditLog(await listEvents())).toBeNull();
+  });
+});
@@ -0,0 +1,56 @@
+// The app's IndexedDB database: stored sessions (sessions.js) and the audit
+// log (audit.js).
+const DB_NAME = "respironet";
+const DB_VERSION = 2;
+
+export const SESSIONS_STORE = "sessions";
+export const AUDIT_STORE = "audit";
+
+let dbPromise = null;
+
+// Wraps an IDBRequest in a promise.
+export const settle = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const openDb = () => {
+  if (!dbPromise) {
+    if (typeof indexedDB === "undefined") {
+      return Promise.reject(
+        new Error("Session history needs IndexedDB, which is unavailable.")
+      );
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      if (event.oldVersion < 1) {
+        const store = db.createObjectStore(SESSIONS_STORE, {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+        store.createIndex("patientId", "patientId");
+        store.createIndex("createdAt", "createdAt");
+      }
+      if (event.oldVersion < 2) {
+        db.createObjectStore(AUDIT_STORE, {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+      }
+    };
+    dbPromise = settle(request).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+// Runs `run(objectStore)` in a transaction on `storeName` and resolves to the
+// result of the request it returns.
+export const withStore = async (storeName, mode, run) => {
+  const db = await openDb();
+  return settle(run(db.transaction(storeName, mode).objectStore(storeName)));
+};
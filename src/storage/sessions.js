@@ -0,0 +1,98 @@
+// Local session history in IndexedDB. Each session is one analysed recording:
+//
+//   { id, createdAt, patientId, audio (Blob), audioName, audioSource,
+//     site, result, annotations, consent, queued }
+//
+// `patientId` is a pseudonym (privacy/pseudonym.js), never the identifier
+// typed in; saveSession() derives it. `consent` is { confirmedAt, operator,
+// statement } from the confirmation given before recording or uploading
+// (config/consent.js), or null for sessions saved before consent capture.
+//
+// `site` is the auscultation site id (analysis/aggregate.js) for clips
+// recorded in the multi-site protocol, otherwise null. `annotations` are the
+// clinician labels (annotation/annotations.js); sessions saved before
+// labelling existed have none. `queued` marks sessions saved while offline
+// until they are synced or exported (offline/syncQueue.js).
+//
+// `result` is the analysis result as produced by analysis/pipeline.js, so it
+// carries the prediction, quality report and feature summary. Nothing leaves
+// the browser unless a sync endpoint is configured.
+import { withStore as withDbStore, SESSIONS_STORE } from "./db";
+import { logEvent } from "./audit";
+import { pseudonymize, isPseudonym } from "../privacy/pseudonym";
+
+const withStore = (mode, run) => withDbStore(SESSIONS_STORE, mode, run);
+
+// Resolves to the new session's id. `patientId` may be the raw identifier.
+export async function saveSession({
+  audio,
+  audioName,
+  audioSource,
+  patientId,
+  site = null,
+  result,
+  annotations = null,
+  consent = null,
+}) {
+  const pseudonym = await pseudonymize(patientId);
+  return withStore("readwrite", (store) =>
+    store.add({
+      createdAt: Date.now(),
+      patientId: pseudonym,
+      audio,
+      audioName,
+      audioSource,
+      site,
+      result,
+      annotations,
+      consent,
+      queued: typeof navigator !== "undefined" && navigator.onLine === false,
+    })
+  );
+}
+
+// Resolves to every session, newest first.
+export async function listSessions() {
+  const sessions = await withStore("readonly", (store) => store.getAll());
+  return sessions.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export function getSession(id) {
+  return withStore("readonly", (store) => store.get(id));
+}
+
+// Merges `changes` into a stored session and resolves to the updated session.
+export async function updateSession(id, changes) {
+  const session = await getSession(id);
+  if (!session) throw new Error(`Session ${id} does not exist.`);
+  const updated = { ...session, ...changes, id };
+  await withStore("readwrite", (store) => store.put(updated));
+  return updated;
+}
+
+// Replaces the raw identifiers of sessions saved before pseudonymization
+// existed. Resolves to the number of sessions changed.
+export async function pseudonymizeStoredSessions() {
+  const sessions = (await listSessions()).filter(
+    (s) => s.patientId && !isPseudonym(s.patientId)
+  );
+  for (const session of sessions) {
+    await updateSession(session.id, {
+      patientId: await pseudonymize(session.patientId),
+    });
+  }
+  if (sessions.length > 0) {
+    logEvent("pseudonymization", { details: { sessions: sessions.length } });
+  }
+  return sessions.length;
+}
+
+export async function deleteSession(id) {
+  const session = await getSession(id);
+  await withStore("readwrite", (store) => store.delete(id));
+  logEvent("deletion", {
+    sessionId: id,
+    patientId: session ? session.patientId : "",
+    details: session ? { file: session.audioName } : {},
+  });
+}
@@ -0,0 +1,126 @@
+// Training examples from labelled local recordings. Features go through the
+// same preprocessing and MFCC extraction as analysis (analysis/pipeline.js):
+// one example for the whole recording and one per breath cycle.
+//
+// A training recording is { id, label, readAudio(), cycles }, where `cycles`
+// are annotated [{ start, end }] or null to segment the audio like the
+// pipeline does.
+import { preprocessPcm } from "../audio/preprocess";
+import { segmentBreathCycles } from "../audio/segmentation";
+import { extractFeatures } from "../audio/features";
+import { decodeAudio } from "../audio/decode";
+import { sliceSeconds } from "../analysis/pipeline";
+import { loadIcbhiDataset, diagnosisLabel } from "../evaluation/icbhi";
+import { hasAnnotations } from "../annotation/annotations";
+
+// Cycles shorter than this carry too few frames to be worth an example.
+const MIN_CYCLE = 0.5; // seconds
+
+// Annotated sessions (storage/sessions.js) whose file-level diagnosis is one
+// of the configured classes.
+export function sessionRecordings(sessions, classConfig) {
+  return sessions
+    .filter((s) => hasAnnotations(s.annotations))
+    .map((s) => ({
+      id: `session-${s.id}`,
+      label: diagnosisLabel(s.annotations.diagnosis.trim(), classConfig),
+      readAudio: () => decodeAudio(s.audio),
+      cycles: null,
+    }))
+    .filter((r) => r.label);
+}
+
+// An ICBHI-style folder (see evaluation/icbhi.js), using its annotated
+// cycles. Recordings whose diagnosis is not a configured class are skipped.
+export async function icbhiRecordings(files, classConfig) {
+  const recordings = await loadIcbhiDataset(files);
+  return recordings
+    .map((r) => ({
+      id: r.id,
+      label: r.diagnosis && diagnosisLabel(r.diagnosis, classConfig),
+      readAudio: r.readAudio,
+      cycles: r.cycles,
+    }))
+    .filter((r) => r.label);
+}
+
+// Feature examples [{ group, labelIndex, data }] where `group` is the
+// recording id, so the split never puts cycles of one recording on both
+// sides. Yields between recordings to keep the page responsive.
+export async function buildExamples(
+  recordings,
+  { labels, inputShape, heartSuppression = false, onProgress = () => {} }
+) {
+  const [frames, nMfcc] = inputShape;
+  const examples = [];
+  for (let i = 0; i < recordings.length; i++) {
+    const { id, label, readAudio, cycles } = recordings[i];
+    const audio = preprocessPcm(await readAudio(), { heartSuppression });
+    const spans = cycles || segmentBreathCycles(audio).cycles;
+    const labelIndex = labels.indexOf(label);
+    [
+      audio,
+      ...spans
+        .filter((c) => c.end - c.start >= MIN_CYCLE)
+        .map((c) => sliceSeconds(audio, c.start, c.end)),
+    ].forEach((clip) =>
+      examples.push({
+        group: id,
+        labelIndex,
+        data: extractFeatures(clip, { frames, nMfcc }).data,
+      })
+    );
+    onProgress((i + 1) / recordings.length);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+  return examples;
+}
+
+// Deterministic shuffle so a split can be reproduced.
+const shuffle = (items, seed) => {
+  const out = items.slice();
+  let state = seed;
+  const random = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+};
+
+// Splits by recording: about `validationSplit` of the recordings, with all
+// their examples, go to validation.
+export function splitExamples(examples, validationSplit, seed = 42) {
+  const groups = shuffle([...new Set(examples.map((e) => e.group))], seed);
+  const count =
+    validationSplit > 0 && groups.length > 1
+      ? Math.max(1, Math.round(groups.length * validationSplit))
+      : 0;
+  const validationGroups = new Set(groups.slice(0, count));
+  return {
+    train: examples.filter((e) => !validationGroups.has(e.group)),
+    validation: examples.filter((e) => validationGroups.has(e.group)),
+  };
+}
+
+// Stacks examples into { xs: [n, frames, nMfcc], ys: one-hot [n, classes] }.
+export function toTensors(tf, examples, { inputShape, classes }) {
+  const size = inputShape[0] * inputShape[1];
+  const data = new Float32Array(examples.length * size);
+  examples.forEach((e, i) => data.set(e.data, i * size));
+  return {
+    xs: tf.tensor3d(data, [examples.length, ...inputShape]),
+    ys: tf.tidy(() =>
+      tf.oneHot(
+        tf.tensor1d(
+          examples.map((e) => e.labelIndex),
+          "int32"
+        ),
+        classes
+      )
+    ),
+  };
+}
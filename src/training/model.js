@@ -0,0 +1,111 @@
+// The documented CNN-GRU, built for real so it can be trained in the browser
+// (see TrainingTab) and edited in the Architecture tab's model builder. `tf`
+// is the lazily loaded TensorFlow.js module (inference/loadTf.js).
+import { FEATURE_CONFIG } from "../audio/features";
+
+export const CNN_GRU_CONFIG = {
+  inputShape: [FEATURE_CONFIG.frames, FEATURE_CONFIG.nMfcc],
+  conv: [
+    { filters: 64, kernelSize: 3, batchNorm: true, poolSize: 2, dropout: 0.3 },
+    { filters: 128, kernelSize: 3, batchNorm: false, poolSize: 2, dropout: 0 },
+  ],
+  gru: { units: 128, dropout: 0.2, recurrentDropout: 0.2 },
+  dense: { units: 64, dropout: 0.3 },
+};
+
+export function buildCnnGru(tf, { classes, config = CNN_GRU_CONFIG }) {
+  const model = tf.sequential();
+
+  // Feature extraction (CNN block)
+  config.conv.forEach((block, i) => {
+    model.add(
+      tf.layers.conv1d({
+        ...(i === 0 ? { inputShape: config.inputShape } : {}),
+        filters: block.filters,
+        kernelSize: block.kernelSize,
+        activation: "relu",
+        padding: "same",
+      })
+    );
+    if (block.batchNorm) model.add(tf.layers.batchNormalization());
+    model.add(tf.layers.maxPooling1d({ poolSize: block.poolSize }));
+    if (block.dropout) model.add(tf.layers.dropout({ rate: block.dropout }));
+  });
+
+  // Temporal analysis (GRU block)
+  model.add(
+    tf.layers.gru({
+      units: config.gru.units,
+      returnSequences: false,
+      dropout: config.gru.dropout,
+      recurrentDropout: config.gru.recurrentDropout,
+    })
+  );
+
+  // Classification head
+  model.add(tf.layers.dense({ units: config.dense.units, activation: "relu" }));
+  model.add(tf.layers.dropout({ rate: config.dense.dropout }));
+  model.add(tf.layers.dense({ units: classes, activation: "softmax" }));
+  return model;
+}
+
+// The TF.js code buildCnnGru() runs for `config`, for display and export.
+// Keep the two in step.
+export function modelSource({ classes, config = CNN_GRU_CONFIG }) {
+  const lines = [
+    "const model = tf.sequential();",
+    "",
+    "// Feature extraction (CNN block)",
+  ];
+  config.conv.forEach((block, i) => {
+    lines.push(
+      "model.add(tf.layers.conv1d({",
+      ...(i === 0 ? [`  inputShape: [${config.inputShape.join(", ")}],`] : []),
+      `  filters: ${block.filters},`,
+      `  kernelSize: ${block.kernelSize},`,
+      "  activation: 'relu',",
+      "  padding: 'same'",
+      "}));"
+    );
+    if (block.batchNorm)
+      lines.push("model.add(tf.layers.batchNormalization());");
+    lines.push(
+      `model.add(tf.layers.maxPooling1d({ poolSize: ${block.poolSize} }));`
+    );
+    if (block.dropout) {
+      lines.push(`model.add(tf.layers.dropout({ rate: ${block.dropout} }));`);
+    }
+    lines.push("");
+  });
+  lines.push(
+    "// Temporal analysis (GRU block)",
+    "model.add(tf.layers.gru({",
+    `  units: ${config.gru.units},`,
+    "  returnSequences: false,",
+    `  dropout: ${config.gru.dropout},`,
+    `  recurrentDropout: ${config.gru.recurrentDropout}`,
+    "}));",
+    "",
+    "// Classification head",
+    `model.add(tf.layers.dense({ units: ${config.dense.units}, activation: 'relu' }));`,
+    `model.add(tf.layers.dropout({ rate: ${config.dense.dropout} }));`,
+    `model.add(tf.layers.dense({ units: ${classes}, activation: 'softmax' }));`,
+    "",
+    "model.compile({",
+    "  optimizer: 'adam',",
+    "  loss: 'categoricalCrossentropy',",
+    "  metrics: ['accuracy']",
+    "});"
+  );
+  return lines.join("\n");
+}
+
+// Compiles as documented; a fresh optimizer also serves fine-tuning.
+export function compileModel(tf, model, { learningRate }) {
+  model.compile({
+    optimizer: tf.train.adam(learningRate),
+    loss: "categoricalCrossentropy",
+    metrics: ["accuracy"],
+  });
+  return model;
+}
@@ -0,0 +1,123 @@
+// Training loop and model storage for the Training tab.
+import { toTensors } from "./dataset";
+import { logEvent } from "../storage/audit";
+
+export const TRAINING_DEFAULTS = {
+  epochs: 30,
+  batchSize: 16,
+  validationSplit: 0.2,
+  patience: 5, // Epochs without a better validation loss before stopping
+  learningRate: 0.001,
+};
+
+// Saved models live in TF.js's IndexedDB store under this prefix, so the
+// model picker can list them apart from anything else on the origin.
+const STORAGE_PREFIX = "indexeddb://respironet-";
+
+// Fits `model` (already compiled) and calls `onEpoch({ epoch, loss, acc,
+// valLoss, valAcc })` after every epoch. With a validation set the weights
+// with the lowest validation loss are kept, and training stops after
+// `patience` epochs without improvement (0 turns early stopping off).
+// Aborting `signal` stops after the current batch.
+export async function trainModel(
+  tf,
+  model,
+  { train, validation },
+  { epochs, batchSize, patience, inputShape, onEpoch = () => {}, signal }
+) {
+  const classes = model.outputs[0].shape[1];
+  const trainSet = toTensors(tf, train, { inputShape, classes });
+  const validationSet = validation.length
+    ? toTensors(tf, validation, { inputShape, classes })
+    : null;
+
+  let best = { loss: Infinity, epoch: -1, weights: null };
+  let stoppedEarly = false;
+  const keepBest = (epoch, loss) => {
+    if (loss >= best.loss) return;
+    if (best.weights) best.weights.forEach((w) => w.dispose());
+    best = { loss, epoch, weights: model.getWeights().map((w) => w.clone()) };
+  };
+
+  try {
+    await model.fit(trainSet.xs, trainSet.ys, {
+      epochs,
+      batchSize,
+      shuffle: true,
+      validationData: validationSet
+        ? [validationSet.xs, validationSet.ys]
+        : undefined,
+      callbacks: {
+        onBatchEnd: async () => {
+          if (signal && signal.aborted) model.stopTraining = true;
+          await tf.nextFrame();
+        },
+        onEpochEnd: async (epoch, logs) => {
+          // TF.js names the accuracy metric "acc"
+          const entry = {
+            epoch: epoch + 1,
+            loss: logs.loss,
+            acc: logs.acc,
+            valLoss: validationSet ? logs.val_loss : null,
+            valAcc: validationSet ? logs.val_acc : null,
+          };
+          onEpoch(entry);
+          if (!validationSet) return;
+          keepBest(epoch, entry.valLoss);
+          if (patience > 0 && epoch - best.epoch >= patience) {
+            stoppedEarly = true;
+            model.stopTraining = true;
+          }
+        },
+      },
+    });
+    if (best.weights) model.setWeights(best.weights);
+  } finally {
+    [trainSet.xs, trainSet.ys].forEach((t) => t.dispose());
+    if (validationSet)
+      [validationSet.xs, validationSet.ys].forEach((t) => t.dispose());
+    if (best.weights) best.weights.forEach((w) => w.dispose());
+  }
+
+  return {
+    stoppedEarly,
+    cancelled: Boolean(signal && signal.aborted),
+    bestEpoch: best.epoch >= 0 ? best.epoch + 1 : null,
+  };
+}
+
+// The class config travels inside model.json as user-defined metadata, so a
+// saved or downloaded model brings its labels along (inference/tfjsEngine.js).
+const withMetadata = (model, classConfig) => {
+  model.setUserDefinedMetadata({ classConfig, trainedAt: Date.now() });
+  return model;
+};
+
+// Resolves to the URL the model was saved under.
+export async function saveToBrowser(model, name, classConfig) {
+  const url = `${STORAGE_PREFIX}${name.replace(/[^\w-]/g, "-")}`;
+  await withMetadata(model, classConfig).save(url);
+  return url;
+}
+
+// Models trained on stored sessions carry what was learnt from them, so the
+// download is audited like any other export.
+export async function downloadModel(model, name, classConfig) {
+  await withMetadata(model, classConfig).save(`downloads://${name}`);
+  logEvent("export", { details: { format: "tfjs-model", file: name } });
+}
+
+// Resolves to [{ url, name, savedAt }] for the models saved by this app.
+export async function listSavedModels(tf) {
+  const models = await tf.io.listModels();
+  return Object.entries(models)
+    .filter(([url]) => url.startsWith(STORAGE_PREFIX))
+    .map(([url, info]) => ({
+      url,
+      name: url.slice(STORAGE_PREFIX.length),
+      savedAt: new Date(info.dateSaved).getTime(),
+    }))
+    .sort((a, b) => b.savedAt - a.savedAt);
+}
+
+export const deleteSavedModel = (tf, url) => tf.io.removeModel(url);
@@ -0,0 +1,12 @@
+// Tailwind is compiled ahead of the app (`npm run build:css`, run before
+// `start` and `build`) into src/tailwind.css, which webpack then bundles like
+// any other stylesheet so it is precached for offline use. react-scripts 3
+// cannot add PostCSS plugins, hence the separate step; classes added while
+// `npm start` runs need another `npm run build:css`.
+module.exports = {
+  content: ["./src/**/*.js", "./public/index.html"],
+  theme: {
+    extend: {},
+  },
+  plugins: [],
+};